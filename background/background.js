@@ -1,9 +1,29 @@
 // background.js - 港股招股书信息提取器后台脚本
 console.log('[HKEX-Background] Service Worker 启动');
 
+// AI接口适配器；AI请求统一由后台发送，密钥只在此处读取
+importScripts('/utils/providers.js');
+
+// 携带密钥的消息，日志中只记录 action
+const SECRET_ACTIONS = ['saveAIKey', 'testAIConnection'];
+// content script 可经后台读取的设置（自定义提取配置、自定义字段），其余键（含密钥）不对其开放
+const CONTENT_READABLE_KEYS = ['hkex_customProfile', 'hkex_customFields'];
+// 招股书页面地址，设置变更时通知其中的 content script
+const PROSPECTUS_URL_PATTERN = 'https://www1.hkexnews.hk/*';
+
+// chrome.storage.local 默认对 content script 开放，限制为只有扩展页面和 service worker 可访问，
+// 防止招股书页面中的 content script 读到 hkex_aiKeys；每次启动都设置，因为该设置不跨浏览器会话保留
+function restrictStorageAccess() {
+    if (!chrome.storage.local.setAccessLevel) return;
+    chrome.storage.local.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' })
+        .catch(error => console.error('[HKEX-Background] 限制存储访问失败:', error));
+}
+restrictStorageAccess();
+
 // 监听扩展安装
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('[HKEX-Background] 扩展已安装，详情:', details);
+    restrictStorageAccess();
     if (details.reason === 'install') {
         // 首次安装时打开欢迎页
         chrome.tabs.create({
@@ -14,7 +34,7 @@ chrome.runtime.onInstalled.addListener((details) => {
 
 // 监听来自popup的消息
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('[HKEX-Background] 收到消息:', request);
+    console.log('[HKEX-Background] 收到消息:', SECRET_ACTIONS.includes(request.action) ? { action: request.action } : request);
     
     if (request.action === 'checkPageStatus') {
         handleCheckPageStatus(request, sender, sendResponse);
@@ -30,6 +50,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         handleDownloadPDF(request, sender, sendResponse);
         return true;
     }
+
+    if (request.action === 'callAI') {
+        handleCallAI(request, sender, sendResponse);
+        return true;
+    }
+
+    if (request.action === 'testAIConnection') {
+        handleTestAIConnection(request, sender, sendResponse);
+        return true;
+    }
+
+    if (request.action === 'saveAIKey') {
+        handleSaveAIKey(request, sender, sendResponse);
+        return true;
+    }
+
+    if (request.action === 'getAIKeyStatus') {
+        handleGetAIKeyStatus(request, sender, sendResponse);
+        return true;
+    }
+
+    if (request.action === 'readSetting') {
+        handleReadSetting(request, sender, sendResponse);
+        return true;
+    }
 });
 
 // 检查页面状态
@@ -78,7 +123,28 @@ async function handleInjectContentScript(request, sender, sendResponse) {
             files: [
                 'lib/pdf.min.js',
                 'utils/logger.js', 
+                'utils/config.js',
+                'utils/providers.js',
                 'utils/parser.js',
+                'utils/layout.js',
+                'utils/pipeline.js',
+                'utils/cache.js',
+                'utils/chapter-map.js',
+                'utils/doc-types.js',
+                'utils/jurisdictions.js',
+                'utils/language-profiles.js',
+                'utils/bilingual.js',
+                'utils/profiles.js',
+                'utils/custom-fields.js',
+                'utils/management.js',
+                'utils/shareholders.js',
+                'utils/offering.js',
+                'utils/financials.js',
+                'utils/proceeds.js',
+                'utils/risk-factors.js',
+                'utils/party-batch.js',
+                'utils/ai-response.js',
+                'utils/verifier.js',
                 'utils/extractor.js',
                 'content-scripts/content.js'
             ]
@@ -122,3 +188,138 @@ function handleDownloadPDF(request, sender, sendResponse) {
         sendResponse({ success: false, error: error.message });
     }
 }
+
+// 读取chrome.storage.local中的值
+function readLocal(key, fallback) {
+    return new Promise(resolve => {
+        chrome.storage.local.get([key], result => resolve(result && result[key] ? result[key] : fallback));
+    });
+}
+
+// 读取AI接口设置并并入密钥
+async function loadAISettings() {
+    const settings = await readLocal(HKEXProviders.SETTINGS_STORAGE_KEY, {});
+    const keys = await readLocal(HKEXProviders.KEYS_STORAGE_KEY, {});
+    return HKEXProviders.withKeys({ ...HKEXProviders.DEFAULT_SETTINGS, ...settings }, keys);
+}
+
+// 只接受扩展自身页面（设置页）发来的密钥相关消息；chrome.storage.local 已限制为受信任上下文，content script 也不能直接读取密钥
+// 设置页在标签页中打开时 sender.tab 也存在，因此按 sender.url 判断：content script 的 url 为招股书页面地址
+function isExtensionPage(sender) {
+    return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+// 代content script调用AI：按扩展设置和提取配置的 ai 字段选择接口，只返回模型输出文本和 token 用量；
+// request.schema 为 { name, schema } 时要求结构化输出
+async function handleCallAI(request, sender, sendResponse) {
+    try {
+        const settings = await loadAISettings();
+        if (!settings.enabled) {
+            sendResponse({ success: false, disabled: true, error: 'AI功能未启用' });
+            return;
+        }
+        // profileAI 来自 content script，按提取配置的规则再校验一次（不能带 apiKey 和 endpoint）
+        if (request.profileAI) HKEXProviders.validateProfileAI(request.profileAI);
+        const resolved = HKEXProviders.resolve(settings, request.profileAI);
+        const { text, usage, structured } = await HKEXProviders.complete(resolved, String(request.prompt || ''), request.schema || null);
+        sendResponse({
+            success: true,
+            data: text,
+            provider: resolved.provider,
+            model: resolved.model || resolved.deployment || '',
+            usage,
+            structured
+        });
+    } catch (error) {
+        console.error('[HKEX-Background] AI调用失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 设置页"测试连接"：用页面上尚未保存的设置发送一条简短请求；未填写密钥时使用已保存的密钥
+async function handleTestAIConnection(request, sender, sendResponse) {
+    try {
+        if (!isExtensionPage(sender)) {
+            throw new Error('只能从扩展设置页测试连接');
+        }
+        const provider = request.provider;
+        const keys = await readLocal(HKEXProviders.KEYS_STORAGE_KEY, {});
+        const apiKey = request.apiKey || keys[provider] || '';
+        const settings = HKEXProviders.resolve({
+            provider,
+            timeoutMs: request.timeoutMs,
+            providers: { [provider]: { ...(request.settings || {}), apiKey } }
+        });
+        const start = Date.now();
+        const text = await HKEXProviders.send(settings, '连接测试：请只回复 OK');
+        sendResponse({ success: true, data: { reply: text.slice(0, 200), elapsedMs: Date.now() - start } });
+    } catch (error) {
+        console.error('[HKEX-Background] AI连接测试失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 保存或清除某个接口的密钥
+async function handleSaveAIKey(request, sender, sendResponse) {
+    try {
+        if (!isExtensionPage(sender)) {
+            throw new Error('只能从扩展设置页保存密钥');
+        }
+        if (!HKEXProviders.PROVIDERS[request.provider]) {
+            throw new Error(`未知的AI接口: ${request.provider}`);
+        }
+        const keys = { ...(await readLocal(HKEXProviders.KEYS_STORAGE_KEY, {})) };
+        if (request.apiKey) {
+            keys[request.provider] = String(request.apiKey).trim();
+        } else {
+            delete keys[request.provider];
+        }
+        await chrome.storage.local.set({ [HKEXProviders.KEYS_STORAGE_KEY]: keys });
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('[HKEX-Background] 保存密钥失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 各接口是否已保存密钥（只返回是否存在，不返回密钥本身）
+async function handleGetAIKeyStatus(request, sender, sendResponse) {
+    try {
+        const keys = await readLocal(HKEXProviders.KEYS_STORAGE_KEY, {});
+        sendResponse({
+            success: true,
+            data: Object.fromEntries(Object.keys(HKEXProviders.PROVIDERS).map(key => [key, !!keys[key]]))
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 代content script读取允许的设置（chrome.storage.local 已限制为受信任上下文，content script 不能直接读取）
+async function handleReadSetting(request, sender, sendResponse) {
+    try {
+        if (!CONTENT_READABLE_KEYS.includes(request.key)) {
+            throw new Error(`不允许读取的设置: ${request.key}`);
+        }
+        sendResponse({ success: true, data: await readLocal(request.key, null) });
+    } catch (error) {
+        console.error('[HKEX-Background] 读取设置失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// content script 收不到 chrome.storage.onChanged，由后台把设置变更转告招股书页面，下次提取时重新加载
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    const keys = Object.keys(changes).filter(key => CONTENT_READABLE_KEYS.includes(key));
+    if (areaName !== 'local' || keys.length === 0) return;
+    try {
+        const tabs = await chrome.tabs.query({ url: PROSPECTUS_URL_PATTERN });
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, { action: 'settingsChanged', keys }).catch(() => {
+                // 页面中未注入 content script，无需通知
+            });
+        });
+    } catch (error) {
+        console.error('[HKEX-Background] 通知设置变更失败:', error);
+    }
+});
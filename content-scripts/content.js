@@ -23,14 +23,11 @@ async function initializeExtractor() {
         // 设置PDF.js工作线程
         pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdf.worker.min.js');
         // 创建提取器实例
-        window.prospectusExtractor = new window.HKEXProspectusExtractor();
-        // 使用配置文件中的API设置
-        if (window.prospectusExtractor.parser && window.HKEXConfig) {
-            window.prospectusExtractor.parser.configureAI(window.HKEXConfig.ai);
-            console.log('[HKEX-Content] AI配置完成');
-        } else {
-            console.warn('[HKEX-Content] 未找到配置信息');
-        }
+        window.prospectusExtractor = new window.HKEXProspectusExtractor({
+            ...(window.HKEXConfig?.extraction || {}),
+            cache: window.HKEXConfig?.cache
+        });
+        // AI接口及密钥由扩展设置页配置，请求经后台 service worker 发送，页面中不保存密钥
         // 自动准备本地可获得的所有数据，缓存到 window.hkexPreparedData
         try {
             // 只做本地章节、文本等准备，不调用AI
@@ -69,21 +66,39 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
     if (request.action === 'extractInfo') {
-        handleExtractInfo(sendResponse);
+        handleExtractInfo(sendResponse, request.options);
         return true; // 保持消息通道开放
     }
     if (request.action === 'getFormattedText') {
         handleGetFormattedText(sendResponse);
         return true;
     }
+    // 后台转告的设置变更（content script 不能直接监听 chrome.storage）
+    if (request.action === 'settingsChanged') {
+        handleSettingsChanged(request.keys || []);
+        sendResponse({ success: true });
+        return true;
+    }
     if (request.action === 'getChineseVersion') {
         handleGetChineseVersion(sendResponse);
         return true;
     }
+    if (request.action === 'extractBilingual') {
+        handleExtractBilingual(sendResponse);
+        return true;
+    }
+    if (request.action === 'extractRiskFactors') {
+        handleExtractRiskFactors(sendResponse);
+        return true;
+    }
+    if (request.action === 'clearPageCache') {
+        handleClearPageCache(sendResponse);
+        return true;
+    }
 });
 
 // 处理信息提取请求
-async function handleExtractInfo(sendResponse) {
+async function handleExtractInfo(sendResponse, options) {
     try {
         console.log('[HKEX-Content] 开始提取信息');
         
@@ -95,6 +110,14 @@ async function handleExtractInfo(sendResponse) {
                 throw new Error('提取器初始化失败');
             }
         }
+
+        // popup传入的解析选项（如是否提取地址和牌照）；未指定 partyBatch 时恢复为 config.js 中的设置
+        if (options && window.prospectusExtractor.parser.configure) {
+            window.prospectusExtractor.parser.configure({
+                partyBatch: window.prospectusExtractor.options.partyBatch !== false,
+                ...options
+            });
+        }
         
         // 提取信息
         const result = await window.prospectusExtractor.extractProspectusInfo();
@@ -149,6 +172,66 @@ async function handleGetChineseVersion(sendResponse) {
     }
 }
 
+// 处理中英文版本核对请求
+async function handleExtractBilingual(sendResponse) {
+    try {
+        if (!window.prospectusExtractor) {
+            await initializeExtractor();
+            if (!window.prospectusExtractor) {
+                throw new Error('提取器初始化失败');
+            }
+        }
+        const result = await window.prospectusExtractor.extractBilingualInfo();
+        console.log('[HKEX-Content] 中英核对完成:', result.bilingual);
+        sendResponse({ success: true, data: result });
+    } catch (error) {
+        console.error('[HKEX-Content] 中英核对失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 处理风险因素提取请求
+async function handleExtractRiskFactors(sendResponse) {
+    try {
+        if (!window.prospectusExtractor) {
+            await initializeExtractor();
+            if (!window.prospectusExtractor) {
+                throw new Error('提取器初始化失败');
+            }
+        }
+        const result = await window.prospectusExtractor.extractRiskFactors();
+        console.log('[HKEX-Content] 风险因素提取完成:', result.riskFactors);
+        sendResponse({ success: true, data: result });
+    } catch (error) {
+        console.error('[HKEX-Content] 风险因素提取失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 处理清除页面缓存请求
+async function handleClearPageCache(sendResponse) {
+    try {
+        if (!window.HKEXPageCache) {
+            throw new Error('缓存模块未加载');
+        }
+        const store = window.prospectusExtractor?.pageStore || new window.HKEXPageCache(window.HKEXConfig?.cache);
+        const cleared = await store.clear();
+        sendResponse({ success: true, data: cleared });
+    } catch (error) {
+        console.error('[HKEX-Content] 清除页面缓存失败:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// 自定义提取配置变更后清空已加载的配置，下次提取时重新加载；自定义字段每次提取时读取，无需处理
+function handleSettingsChanged(keys) {
+    const key = window.HKEXProfiles ? window.HKEXProfiles.CUSTOM_PROFILE_STORAGE_KEY : 'hkex_customProfile';
+    if (keys.includes(key) && window.prospectusExtractor) {
+        window.prospectusExtractor.profile = null;
+        console.log('[HKEX-Content] 提取配置已变更，下次提取时重新加载');
+    }
+}
+
 // 页面加载完成后的初始化
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeExtractor);
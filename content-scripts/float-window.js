@@ -88,6 +88,11 @@
         }
     }
 
+    // 转义用户输入和AI返回的文本后再写入 innerHTML（悬浮窗渲染在 hkexnews 页面中）
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
     // 格式化结果为HTML（复用popup逻辑，简化版）
     function formatResultHTML(data) {
         let html = '<div class="results-container">';
@@ -96,22 +101,30 @@
             return html + '</div>';
         }
         html += '<div class="section"><h3>公司基本信息</h3>';
-        html += `<div><b>英文名称：</b>${data.company.name || '未找到'}</div>`;
-        html += `<div><b>中文名称：</b>${data.company.chineseName || '未找到'}</div>`;
-        html += `<div><b>公司类型：</b>${data.company.type || '未确定'}</div>`;
-        html += `<div><b>行业信息：</b>${data.company.industry || '未找到'}</div>`;
+        html += `<div><b>英文名称：</b>${escapeHtml(data.company.name || '未找到')}</div>`;
+        html += `<div><b>中文名称：</b>${escapeHtml(data.company.chineseName || '未找到')}</div>`;
+        html += `<div><b>公司类型：</b>${escapeHtml(data.company.type || '未确定')}</div>`;
+        html += `<div><b>行业信息：</b>${escapeHtml(data.company.industry || '未找到')}</div>`;
         html += '</div>';
         html += '<div class="section"><h3>专业服务机构</h3>';
         if (data.professionals?.sponsors?.length > 0) {
-            html += '<div><b>保荐人：</b>' + data.professionals.sponsors.map(s=>s.name).join('，') + '</div>';
+            html += '<div><b>保荐人：</b>' + escapeHtml(data.professionals.sponsors.map(s=>s.name).join('，')) + '</div>';
         }
         if (data.professionals?.auditors?.length > 0) {
-            html += '<div><b>审计师：</b>' + data.professionals.auditors.map(a=>a.name).join('，') + '</div>';
+            html += '<div><b>审计师：</b>' + escapeHtml(data.professionals.auditors.map(a=>a.name).join('，')) + '</div>';
         }
         if (data.professionals?.industryConsultants?.length > 0) {
-            html += '<div><b>行业顾问：</b>' + data.professionals.industryConsultants.map(i=>i.name).join('，') + '</div>';
+            html += '<div><b>行业顾问：</b>' + escapeHtml(data.professionals.industryConsultants.map(i=>i.name).join('，')) + '</div>';
         }
         html += '</div>';
+        if (Array.isArray(data.customFields) && data.customFields.length > 0) {
+            html += '<div class="section"><h3>自定义字段</h3>';
+            data.customFields.forEach(item => {
+                const value = window.HKEXCustomFields ? window.HKEXCustomFields.formatValue(item) : (item.value ?? '未提取');
+                html += `<div><b>${escapeHtml(item.name)}：</b>${escapeHtml(value)}</div>`;
+            });
+            html += '</div>';
+        }
         if (data.metadata) {
             html += `<div class="section"><b>提取时间：</b>${new Date(data.metadata.extractTime).toLocaleString()}</div>`;
         }
@@ -0,0 +1,216 @@
+// options.js - 港股招股书信息提取器 AI接口设置页
+// 非密钥设置直接写入 chrome.storage.local；密钥经后台 service worker 保存，本页不读取已保存的密钥
+
+// 设置页中各字段的显示名称和输入类型
+const FIELD_LABELS = {
+    endpoint: { label: '接口地址（endpoint）', type: 'url' },
+    model: { label: '模型（model）', type: 'text' },
+    deployment: { label: '部署名（deployment）', type: 'text' },
+    apiVersion: { label: 'API版本（api-version）', type: 'text' },
+    maxTokens: { label: '最大输出token（max_tokens）', type: 'number' },
+    responseFormat: { label: '结构化输出（json_schema / json_object / none）', type: 'text' }
+};
+
+class OptionsController {
+    constructor() {
+        this.providers = HKEXProviders.list();
+        this.keyStatus = {};
+        this.elements = {
+            enabled: document.getElementById('enabled'),
+            defaultProvider: document.getElementById('defaultProvider'),
+            timeoutSeconds: document.getElementById('timeoutSeconds'),
+            providerList: document.getElementById('providerList'),
+            save: document.getElementById('save'),
+            status: document.getElementById('status')
+        };
+        this.init();
+    }
+
+    async init() {
+        try {
+            const settings = await this.loadSettings();
+            this.keyStatus = await this.sendMessage({ action: 'getAIKeyStatus' });
+            this.render(settings);
+            this.elements.save.addEventListener('click', () => this.save());
+            this.elements.defaultProvider.addEventListener('change', () => this.highlightDefault());
+            this.elements.providerList.addEventListener('click', (e) => {
+                const test = e.target.closest('[data-test]');
+                if (test) this.testConnection(test.dataset.test);
+                const clear = e.target.closest('[data-clear-key]');
+                if (clear) this.clearKey(clear.dataset.clearKey);
+            });
+        } catch (error) {
+            console.error('[HKEX-Options] 设置页初始化失败:', error);
+            this.showStatus(`设置读取失败: ${error.message}`, 'error');
+        }
+    }
+
+    loadSettings() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([HKEXProviders.SETTINGS_STORAGE_KEY], (result) => {
+                resolve({ ...HKEXProviders.DEFAULT_SETTINGS, ...(result[HKEXProviders.SETTINGS_STORAGE_KEY] || {}) });
+            });
+        });
+    }
+
+    // 发送消息给后台，失败时抛出错误
+    sendMessage(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response || !response.success) {
+                    reject(new Error((response && response.error) || '后台无响应'));
+                } else {
+                    resolve(response.data);
+                }
+            });
+        });
+    }
+
+    render(settings) {
+        this.elements.enabled.checked = settings.enabled !== false;
+        this.elements.timeoutSeconds.value = Math.round((Number(settings.timeoutMs) || HKEXProviders.DEFAULT_SETTINGS.timeoutMs) / 1000);
+        this.elements.defaultProvider.innerHTML = this.providers
+            .map(provider => `<option value="${provider.key}">${this.escapeHtml(provider.label)}</option>`)
+            .join('');
+        this.elements.defaultProvider.value = settings.provider || HKEXProviders.DEFAULT_PROVIDER;
+
+        const saved = settings.providers || {};
+        this.elements.providerList.innerHTML = this.providers.map(provider => {
+            const values = saved[provider.key] || {};
+            const fields = provider.fields.map(field => {
+                const meta = FIELD_LABELS[field] || { label: field, type: 'text' };
+                const placeholder = provider.defaults[field] !== undefined && provider.defaults[field] !== '' ? provider.defaults[field] : '';
+                return `<div class="field">
+                    <label>${meta.label}</label>
+                    <input type="${meta.type}" data-provider="${provider.key}" data-field="${field}" value="${this.escapeHtml(values[field] ?? '')}" placeholder="${this.escapeHtml(placeholder)}">
+                </div>`;
+            }).join('');
+            const hasKey = !!this.keyStatus[provider.key];
+            return `<section class="card" data-provider-card="${provider.key}">
+                <h2>${this.escapeHtml(provider.label)}</h2>
+                ${fields}
+                <div class="field">
+                    <label>API Key${provider.requiresKey ? '' : '（可选）'}</label>
+                    <input type="password" autocomplete="off" data-provider="${provider.key}" data-key
+                        placeholder="${hasKey ? '已保存（留空则不修改）' : '未设置'}">
+                </div>
+                <div class="actions">
+                    <button class="btn secondary" data-test="${provider.key}">🔌测试连接</button>
+                    <button class="btn secondary" data-clear-key="${provider.key}" ${hasKey ? '' : 'disabled'}>清除密钥</button>
+                </div>
+                <div class="test-result" data-test-result="${provider.key}"></div>
+            </section>`;
+        }).join('');
+        this.highlightDefault();
+    }
+
+    highlightDefault() {
+        const current = this.elements.defaultProvider.value;
+        this.elements.providerList.querySelectorAll('[data-provider-card]').forEach(card => {
+            card.classList.toggle('active', card.dataset.providerCard === current);
+        });
+    }
+
+    // 读取某个接口在页面上填写的设置（空字段不写入，使用默认值）
+    readProviderFields(key) {
+        const values = {};
+        this.elements.providerList.querySelectorAll(`input[data-provider="${key}"][data-field]`).forEach(input => {
+            const value = input.value.trim();
+            if (!value) return;
+            values[input.dataset.field] = input.type === 'number' ? Number(value) : value;
+        });
+        return values;
+    }
+
+    readTypedKey(key) {
+        const input = this.elements.providerList.querySelector(`input[data-provider="${key}"][data-key]`);
+        return input ? input.value.trim() : '';
+    }
+
+    readTimeoutMs() {
+        const seconds = Number(this.elements.timeoutSeconds.value);
+        return seconds > 0 ? Math.round(seconds * 1000) : HKEXProviders.DEFAULT_SETTINGS.timeoutMs;
+    }
+
+    async save() {
+        try {
+            const settings = {
+                enabled: this.elements.enabled.checked,
+                provider: this.elements.defaultProvider.value,
+                timeoutMs: this.readTimeoutMs(),
+                providers: Object.fromEntries(this.providers.map(provider => [provider.key, this.readProviderFields(provider.key)]))
+            };
+            await chrome.storage.local.set({ [HKEXProviders.SETTINGS_STORAGE_KEY]: settings });
+
+            // 只提交新填写的密钥；留空表示保持原密钥
+            for (const provider of this.providers) {
+                const apiKey = this.readTypedKey(provider.key);
+                if (apiKey) {
+                    await this.sendMessage({ action: 'saveAIKey', provider: provider.key, apiKey });
+                }
+            }
+            this.keyStatus = await this.sendMessage({ action: 'getAIKeyStatus' });
+            this.render(settings);
+            console.log('[HKEX-Options] 设置已保存', { provider: settings.provider });
+            this.showStatus('✅ 设置已保存', 'success');
+        } catch (error) {
+            console.error('[HKEX-Options] 保存设置失败:', error);
+            this.showStatus(`保存失败: ${error.message}`, 'error');
+        }
+    }
+
+    async testConnection(key) {
+        const result = this.elements.providerList.querySelector(`[data-test-result="${key}"]`);
+        const button = this.elements.providerList.querySelector(`[data-test="${key}"]`);
+        result.className = 'test-result';
+        result.textContent = '正在测试...';
+        button.disabled = true;
+        try {
+            const data = await this.sendMessage({
+                action: 'testAIConnection',
+                provider: key,
+                settings: this.readProviderFields(key),
+                apiKey: this.readTypedKey(key),
+                timeoutMs: this.readTimeoutMs()
+            });
+            result.classList.add('status', 'success');
+            result.textContent = `✅ 连接成功（${(data.elapsedMs / 1000).toFixed(1)}秒）：${data.reply}`;
+        } catch (error) {
+            result.classList.add('status', 'error');
+            result.textContent = `❌ ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async clearKey(key) {
+        try {
+            await this.sendMessage({ action: 'saveAIKey', provider: key, apiKey: '' });
+            this.keyStatus = await this.sendMessage({ action: 'getAIKeyStatus' });
+            this.render({
+                enabled: this.elements.enabled.checked,
+                provider: this.elements.defaultProvider.value,
+                timeoutMs: this.readTimeoutMs(),
+                providers: Object.fromEntries(this.providers.map(provider => [provider.key, this.readProviderFields(provider.key)]))
+            });
+            this.showStatus('密钥已清除', 'success');
+        } catch (error) {
+            this.showStatus(`清除失败: ${error.message}`, 'error');
+        }
+    }
+
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = `status ${type}`;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+});
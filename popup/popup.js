@@ -17,6 +17,15 @@ class Logger {
     }
 }
 
+// 旧版提取结果（无 metadata.profile）的参与方类型
+const DEFAULT_ROLES = [
+    { key: 'sponsors', label: '保荐人' },
+    { key: 'auditors', label: '审计师/报告会计师' },
+    { key: 'industryConsultants', label: '行业顾问' },
+    { key: 'legalAdvisersToCompany', label: '公司法律顾问' },
+    { key: 'legalAdvisersToSponsors', label: '保荐人法律顾问' }
+];
+
 class PopupController {
     // 新增：静态方法用于本地存取数据
     static saveExtractedData(data) {
@@ -52,9 +61,12 @@ class PopupController {
                 this.extractedData = cachedData;
                 this.displayResults();
                 if (this.elements.copyBtn) this.elements.copyBtn.disabled = false;
+                if (this.elements.exportJsonBtn) this.elements.exportJsonBtn.disabled = false;
                 if (this.elements.viewChineseBtn) this.elements.viewChineseBtn.disabled = false;
+                if (this.elements.bilingualBtn) this.elements.bilingualBtn.disabled = false;
             }
         });
+        this.loadCustomFields();
         this.checkPageStatus();
     }
 
@@ -64,6 +76,24 @@ class PopupController {
             extractBtn: document.getElementById('extract'),
             copyBtn: document.getElementById('copyText'),
             viewChineseBtn: document.getElementById('viewChinese'),
+            bilingualBtn: document.getElementById('bilingual'),
+            riskFactorsBtn: document.getElementById('riskFactors'),
+            clearCacheBtn: document.getElementById('clearCache'),
+            exportJsonBtn: document.getElementById('exportJson'),
+            exportIcsBtn: document.getElementById('exportIcs'),
+            partyDetails: document.getElementById('partyDetails'),
+            partyPerRole: document.getElementById('partyPerRole'),
+            importProfileBtn: document.getElementById('importProfile'),
+            profileFile: document.getElementById('profileFile'),
+            resetProfileBtn: document.getElementById('resetProfile'),
+            aiSettingsBtn: document.getElementById('aiSettings'),
+            customFieldList: document.getElementById('customFieldList'),
+            customFieldName: document.getElementById('customFieldName'),
+            customFieldAnchorType: document.getElementById('customFieldAnchorType'),
+            customFieldAnchorValue: document.getElementById('customFieldAnchorValue'),
+            customFieldInstruction: document.getElementById('customFieldInstruction'),
+            customFieldType: document.getElementById('customFieldType'),
+            addCustomFieldBtn: document.getElementById('addCustomField'),
             results: document.getElementById('results'),
             loading: document.getElementById('loading')
         };
@@ -110,6 +140,60 @@ class PopupController {
         if (this.elements.viewChineseBtn) {
             this.elements.viewChineseBtn.addEventListener('click', () => this.downloadChinese());
         }
+        if (this.elements.riskFactorsBtn) {
+            this.elements.riskFactorsBtn.addEventListener('click', () => this.extractRiskFactors());
+        }
+        if (this.elements.clearCacheBtn) {
+            this.elements.clearCacheBtn.addEventListener('click', () => this.clearPageCache());
+        }
+        if (this.elements.bilingualBtn) {
+            this.elements.bilingualBtn.addEventListener('click', () => this.extractBilingual());
+        }
+        if (this.elements.importProfileBtn && this.elements.profileFile) {
+            this.elements.importProfileBtn.addEventListener('click', () => this.elements.profileFile.click());
+            this.elements.profileFile.addEventListener('change', (e) => this.importProfile(e.target.files[0]));
+        }
+        if (this.elements.resetProfileBtn) {
+            this.elements.resetProfileBtn.addEventListener('click', () => this.resetProfile());
+        }
+        if (this.elements.aiSettingsBtn) {
+            this.elements.aiSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        }
+        if (this.elements.exportJsonBtn) {
+            this.elements.exportJsonBtn.addEventListener('click', () => this.exportJson());
+        }
+        if (this.elements.exportIcsBtn) {
+            this.elements.exportIcsBtn.addEventListener('click', () => this.exportIcs());
+        }
+        if (this.elements.partyDetails) {
+            chrome.storage.local.get(['hkex_partyDetails'], (result) => {
+                this.elements.partyDetails.checked = !!result.hkex_partyDetails;
+            });
+            this.elements.partyDetails.addEventListener('change', (e) => {
+                chrome.storage.local.set({ hkex_partyDetails: e.target.checked });
+            });
+        }
+        if (this.elements.partyPerRole) {
+            chrome.storage.local.get(['hkex_partyPerRole'], (result) => {
+                this.elements.partyPerRole.checked = !!result.hkex_partyPerRole;
+            });
+            this.elements.partyPerRole.addEventListener('change', (e) => {
+                chrome.storage.local.set({ hkex_partyPerRole: e.target.checked });
+            });
+        }
+        if (this.elements.addCustomFieldBtn) {
+            this.elements.addCustomFieldBtn.addEventListener('click', () => this.addCustomField());
+        }
+        if (this.elements.customFieldList) {
+            this.elements.customFieldList.addEventListener('click', (e) => {
+                const id = e.target.dataset && e.target.dataset.removeField;
+                if (id) this.removeCustomField(id);
+            });
+        }
+        // 结果区内的按钮（如财务概要的复制CSV）随结果重新渲染，统一在结果容器上监听
+        this.elements.results.addEventListener('click', (e) => {
+            if (e.target.dataset && e.target.dataset.copyFinancials !== undefined) this.copyFinancialsCsv();
+        });
     }
 
     async checkPageStatus() {
@@ -143,6 +227,9 @@ class PopupController {
                         if (this.elements.extractBtn) {
                             this.elements.extractBtn.disabled = false;
                         }
+                        if (this.elements.riskFactorsBtn) {
+                            this.elements.riskFactorsBtn.disabled = false;
+                        }
                     } else {
                         this.handlePageNotReady();
                     }
@@ -201,6 +288,9 @@ class PopupController {
                 if (this.elements.extractBtn) {
                     this.elements.extractBtn.disabled = false;
                 }
+                if (this.elements.riskFactorsBtn) {
+                    this.elements.riskFactorsBtn.disabled = false;
+                }
             } else {
                 this.updateStatus('页面仍未就绪，请手动刷新页面', 'error');
             }
@@ -251,11 +341,17 @@ class PopupController {
             }
 
             // 本地数据准备好，才允许调用AI
-            this.updateStatus('🐳DeepSeek-V3 提取中，预计花费 30s', 'success');
+            this.updateStatus('🐳AI提取中，请稍候', 'success');
             this.startProgressBar(30);
             
             // 第二步：真正调用AI接口
-            const response = await this.sendMessageToContent('extractInfo');
+            const response = await this.sendMessageToContent('extractInfo', {
+                options: {
+                    partyDetails: !!(this.elements.partyDetails && this.elements.partyDetails.checked),
+                    // 勾选时参与方逐类调用，与合并提取对比耗时和 token 用量；未勾选时按 config.js 的 extraction.partyBatch
+                    ...(this.elements.partyPerRole && this.elements.partyPerRole.checked ? { partyBatch: false } : {})
+                }
+            });
             if (response && response.success) {
                 this.extractedData = response.data;
                 // 新增：保存到本地缓存
@@ -265,9 +361,15 @@ class PopupController {
                 if (this.elements.copyBtn) {
                     this.elements.copyBtn.disabled = false;
                 }
+                if (this.elements.exportJsonBtn) {
+                    this.elements.exportJsonBtn.disabled = false;
+                }
                 if (this.elements.viewChineseBtn) {
                     this.elements.viewChineseBtn.disabled = false;
                 }
+                if (this.elements.bilingualBtn) {
+                    this.elements.bilingualBtn.disabled = false;
+                }
             } else {
                 throw new Error(response?.error || '信息提取失败');
             }
@@ -283,7 +385,7 @@ class PopupController {
         }
     }
 
-    // 展示所有提取到的字段，包括公司信息、专业服务机构、所有法律顾问等
+    // 展示所有提取到的字段，包括公司信息、参与各方（含所有法律顾问）等
     // 若有字段缺失，友好提示
     // 注：如需新增字段，需同步parser和extractor
     displayResults() {
@@ -302,6 +404,10 @@ class PopupController {
         }
 
         const { company, professionals, metadata } = this.extractedData;
+        // 时间表有日期时才能导出日历
+        if (this.elements.exportIcsBtn) {
+            this.elements.exportIcsBtn.disabled = !(window.HKEXOffering && window.HKEXOffering.toICS(this.extractedData.offering));
+        }
         let html = '<div class="results-container">';
 
         // 公司基本信息
@@ -310,12 +416,12 @@ class PopupController {
         // 中文名称
         html += '<div class="subsection">';
         html += '<h3>公司中文名称</h3>';
-        html += `<div class="company-item">${company?.companyChineseName || '未提取'}</div>`;
+        html += `<div class="company-item">${this.escapeHtml(this.displayChineseName(company?.companyChineseName) || '未提取')}${this.renderVerification(company?.verification?.companyChineseName)}</div>`;
         html += '</div>';
         // 英文名称
         html += '<div class="subsection">';
         html += '<h3>公司英文名称</h3>';
-        html += `<div class="company-item">${company?.companyName || '未提取'}</div>`;
+        html += `<div class="company-item">${company?.companyName || '未提取'}${this.renderVerification(company?.verification?.companyName)}</div>`;
         html += '</div>';
         // 公司类型
         html += '<div class="subsection">';
@@ -329,86 +435,417 @@ class PopupController {
         html += '</div>';
         html += '</div>';
 
-        // 专业服务机构
+        // 参与各方
         html += '<div class="section">';
-        html += '<h3>专业服务机构</h3>';
-        // 保荐人
-        html += '<div class="subsection">';
-        html += '<h3>保荐人</h3>';
-        if (professionals?.sponsors?.length > 0) {
-            professionals.sponsors.forEach(sponsor => {
-                html += `<div class="company-item">${sponsor.name || '未提取'}</div>`;
-                if (sponsor.address) {
-                    html += `<div class="company-address">${sponsor.address}</div>`;
+        html += '<h3>参与各方</h3>';
+        // 各类参与方，类型和标题来自提取配置
+        this.getRoles(metadata).forEach(role => {
+            html += '<div class="subsection">';
+            html += `<h3>${role.label}</h3>`;
+            const list = professionals?.[role.key];
+            const failure = this.getAIFailure(`professionals.${role.key}`);
+            if (failure && (!Array.isArray(list) || list.length === 0)) {
+                html += this.renderAIFailure(failure);
+            } else {
+                html += Array.isArray(list) && list.some(item => Array.isArray(item.jurisdictions))
+                    ? this.renderPartyListByLaw(list)
+                    : this.renderPartyList(list, role.label);
+            }
+            html += '</div>';
+        });
+        html += '</div>';
+
+        // 承销团
+        html += this.renderSyndicate(this.extractedData.syndicate, metadata);
+
+        // 发售条款
+        html += this.renderOffering(this.extractedData.offering);
+
+        // 风险因素
+        html += this.renderRiskFactors(this.extractedData.riskFactors);
+
+        // 所得款项用途
+        html += this.renderUseOfProceeds(this.extractedData.useOfProceeds);
+
+        // 财务概要
+        html += this.renderFinancials(this.extractedData.financials);
+
+        // 董事及监事
+        html += this.renderManagement(this.extractedData.management);
+
+        // 股权结构
+        html += this.renderShareholders(this.extractedData.shareholders);
+
+        // 自定义字段
+        html += this.renderCustomFields(this.extractedData.customFields);
+
+        // 中英文版本核对
+        html += this.renderBilingual(this.extractedData.bilingual);
+
+        // 元数据
+        if (metadata) {
+            html += '<div class="section metadata">';
+            html += '<h3>提取信息</h3>';
+            html += `<div class="info-item"><label>文档语言:</label><span>${metadata.languageLabel || metadata.language || '未检测'}</span></div>`;
+            html += `<div class="info-item"><label>文档类型:</label><span>${metadata.documentTypeLabel || metadata.documentType || '未检测'}</span></div>`;
+            if (metadata.profile) {
+                html += `<div class="info-item"><label>提取配置:</label><span>${metadata.profile.name}${metadata.profile.custom ? '（自定义）' : ''}</span></div>`;
+            }
+            html += `<div class="info-item"><label>提取时间:</label><span>${metadata.extractTime ? new Date(metadata.extractTime).toLocaleString() : '无'}</span></div>`;
+            const charOrPage = metadata.englishCharCount != null
+                ? metadata.englishCharCount
+                : (metadata.totalPages != null ? `约${metadata.totalPages}页` : '无');
+            html += `<div class="info-item"><label>当前招股书（英文版）字数:</label><span>${charOrPage}</span></div>`;
+            if (metadata.aiStats && window.HKEXPartyBatch) {
+                const batcher = window.HKEXPartyBatch;
+                html += `<div class="info-item"><label>参与方AI调用:</label><span>${batcher.describeStats(metadata.aiStats)}</span></div>`;
+                if (metadata.aiStats.previous) {
+                    html += `<div class="info-item"><label>对比（本页上次${metadata.aiStats.previous.mode === 'batch' ? '合并' : '逐类'}提取）:</label><span>${batcher.describeStats(metadata.aiStats.previous)}</span></div>`;
                 }
-            });
-        } else {
-            html += '<div class="no-data">未提取到保荐人信息</div>';
+                if (metadata.aiStats.extraction) {
+                    html += `<div class="info-item"><label>本次提取AI调用合计:</label><span>${metadata.aiStats.extraction.calls}次，${batcher.describeUsage(metadata.aiStats.extraction)}</span></div>`;
+                }
+            }
+            html += '</div>';
         }
+
         html += '</div>';
-        // 审计师/报告会计师
-        html += '<div class="subsection">';
-        html += '<h3>审计师/报告会计师</h3>';
-        if (professionals?.auditors?.length > 0) {
-            professionals.auditors.forEach(auditor => {
-                html += `<div class="company-item">${auditor.name || '未提取'}</div>`;
-                if (auditor.address) {
-                    html += `<div class="company-address">${auditor.address}</div>`;
-                }
+        this.elements.results.innerHTML = html;
+    }
+
+    // 渲染中英文版本核对结果：各方中英文名称配对，两版不一致的字段标红
+    renderBilingual(bilingual) {
+        if (!bilingual) return '';
+        let html = '<div class="section">';
+        html += '<h3>中英文版本核对</h3>';
+        if (bilingual.status === 'unavailable') {
+            html += '<div class="no-data">未找到可用的中文版招股书</div></div>';
+            return html;
+        }
+        if (bilingual.status === 'notApplicable') {
+            html += '<div class="no-data">当前文档已是中文版，请在英文版页面核对</div></div>';
+            return html;
+        }
+        const roleLabels = Object.fromEntries(this.getRoles(this.extractedData.metadata).map(role => [role.key, role.label]));
+        (bilingual.company || []).forEach(item => {
+            const cls = item.status === 'mismatch' ? 'company-item bilingual-mismatch' : 'company-item';
+            html += `<div class="${cls}">${item.label}: ${item.english || '无'} / ${item.chinese || '无'}</div>`;
+        });
+        Object.entries(bilingual.professionals || {}).forEach(([role, pairs]) => {
+            if (!pairs || pairs.length === 0) return;
+            html += '<div class="subsection">';
+            html += `<h3>${roleLabels[role] || role}</h3>`;
+            pairs.forEach(pair => {
+                const cls = pair.status === 'missing' ? 'company-item bilingual-mismatch' : 'company-item';
+                const guessed = pair.status === 'order'
+                    ? ' <span class="verify-badge verify-fuzzy" title="未能按英文名确认，按名单顺序推测配对，中文名称需人工核对">按顺序配对，待确认</span>'
+                    : '';
+                html += `<div class="${cls}">${pair.name || '（英文版无）'} / ${pair.chineseName || '（中文版无）'}${guessed}</div>`;
             });
+            html += '</div>';
+        });
+        if (bilingual.mismatches && bilingual.mismatches.length > 0) {
+            html += `<div class="company-item bilingual-mismatch">⚠️ ${bilingual.mismatches.length} 项两版不一致：${bilingual.mismatches.map(m => m.label).join('、')}</div>`;
         } else {
-            html += '<div class="no-data">未提取到审计师信息</div>';
+            html += '<div class="company-item">✅ 两版提取结果一致</div>';
+        }
+        const chineseFailures = Object.values(bilingual.aiFailures || {});
+        if (chineseFailures.length > 0) {
+            html += this.renderAIFailure({ error: chineseFailures.map(f => `${f.label}: ${f.error}`).join('；') },
+                `⚠️中文版提取失败：${chineseFailures.map(f => f.label).join('、')}`);
         }
         html += '</div>';
-        // 行业顾问
-        html += '<div class="subsection">';
-        html += '<h3>行业顾问</h3>';
-        if (professionals?.industryConsultants?.length > 0) {
-            professionals.industryConsultants.forEach(consultant => {
-                html += `<div class="company-item">${consultant.name || '未提取'}</div>`;
-                if (consultant.address) {
-                    html += `<div class="company-address">${consultant.address}</div>`;
-                }
+        return html;
+    }
+
+    // 按适用法律分组渲染法律顾问：境内（中国内地）在前，其余按法域顺序，未注明的在最后；负责多个法域的律所在各组均列出
+    renderPartyListByLaw(list) {
+        const detector = window.HKEXJurisdictions;
+        const order = detector ? Object.keys(detector.LAW_JURISDICTIONS) : [];
+        const groups = new Map();
+        list.forEach(item => {
+            const keys = item.jurisdictions && item.jurisdictions.length > 0 ? item.jurisdictions : ['unknown'];
+            keys.forEach(key => {
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(item);
             });
-        } else {
-            html += '<div class="no-data">未提取到相关行业顾问信息</div>';
+        });
+        const rank = key => (order.includes(key) ? order.indexOf(key) : order.length + (key === 'unknown' ? 1 : 0));
+        let html = '';
+        Array.from(groups.keys()).sort((a, b) => rank(a) - rank(b)).forEach(key => {
+            html += `<h4>${detector ? detector.describeLaw(key) : key}</h4>`;
+            groups.get(key).forEach(item => {
+                html += `<div class="company-item">${this.escapeHtml(item.name || '未提取')}${this.renderVerification(item.verification)}</div>`;
+                html += this.renderPartyDetails(item);
+            });
+        });
+        return html;
+    }
+
+    // 渲染名称核实标记（见 verifier.js）：原文片段中找不到的名称标红，近似匹配的标黄，已核实的不标记
+    renderVerification(status) {
+        const text = window.HKEXVerifier ? window.HKEXVerifier.describe(status) : '';
+        if (!text) return '';
+        const tip = status === 'unverified' ? '提取所用的原文片段中找不到该名称，可能为AI臆造，请人工核对' : '原文中只找到相近的写法，请人工核对';
+        return ` <span class="verify-badge verify-${status}" title="${tip}">${status === 'unverified' ? '⚠️' : ''}${text}</span>`;
+    }
+
+    // 渲染参与方地址和牌照（勾选"同时提取各参与方地址及牌照"后才有）
+    renderPartyDetails(item) {
+        let html = '';
+        if (item.address) {
+            html += `<div class="company-address">${this.escapeHtml(item.address)}</div>`;
         }
+        if (item.licence) {
+            html += `<div class="company-licence">牌照：${this.escapeHtml(item.licence)}</div>`;
+        }
+        return html;
+    }
+
+    // 渲染承销团：每家机构一行，列出其担任的全部角色
+    renderSyndicate(syndicate, metadata) {
+        const labels = Object.fromEntries((metadata?.profile?.syndicateRoles || []).map(role => [role.key, role.label]));
+        const failed = Object.keys(labels).filter(key => this.getAIFailure(`syndicate.${key}`));
+        if ((!Array.isArray(syndicate) || syndicate.length === 0) && failed.length === 0) return '';
+        let html = '<div class="section">';
+        html += '<h3>承销团</h3>';
+        if (failed.length > 0) {
+            html += this.renderAIFailure(this.getAIFailure(`syndicate.${failed[0]}`), `⚠️${failed.map(key => labels[key]).join('、')}提取失败`);
+        }
+        (syndicate || []).forEach(firm => {
+            html += `<div class="company-item">${this.escapeHtml(firm.name)}${this.renderVerification(firm.verification)}</div>`;
+            html += `<div class="company-address">${firm.roles.map(role => labels[role] || role).join('、')}</div>`;
+            html += this.renderPartyDetails(firm);
+        });
         html += '</div>';
-        // 法律顾问（分公司和保荐人）
-        html += '<div class="subsection">';
-        html += '<h3>公司法律顾问</h3>';
-        html += this.renderLegalAdviserList(professionals?.legalAdvisersToCompany);
+        return html;
+    }
+
+    // 渲染发售条款：股份代号、发售规模、发售价区间、每手买卖单位和时间表
+    renderOffering(offering) {
+        const terms = window.HKEXOffering;
+        if (!offering || !terms) return '';
+        const shares = value => (value !== null && value !== undefined ? `${value.toLocaleString('en-US')}股` : '未提取');
+        const rows = [
+            ['股份代号', offering.stockCode || '未提取'],
+            ['发售股份数目', shares(offering.offerShares)],
+            ['香港发售股份', shares(offering.hkOfferShares)],
+            ['国际发售股份', shares(offering.internationalOfferShares)],
+            ['发售价区间', terms.formatPriceRange(offering.priceRange)],
+            ['每手买卖单位', shares(offering.boardLot)],
+            ...Object.entries(terms.TIMETABLE_EVENTS).map(([field, event]) => [event.label, terms.formatDateTime(offering[field])])
+        ];
+        let html = '<div class="section">';
+        html += '<h3>发售条款</h3>';
+        if (this.getAIFailure('offering')) {
+            html += this.renderAIFailure(this.getAIFailure('offering'), '⚠️AI补充提取失败，以下仅为规则识别结果');
+        }
+        rows.forEach(([label, value]) => {
+            html += `<div class="info-item"><label>${label}:</label><span>${value}</span></div>`;
+        });
         html += '</div>';
-        html += '<div class="subsection">';
-        html += '<h3>保荐人法律顾问</h3>';
-        html += this.renderLegalAdviserList(professionals?.legalAdvisersToSponsors);
+        return html;
+    }
+
+    // 渲染风险因素：按招股书的风险类别分组，先列AI摘要，再列风险标题及页码（标题较多，默认折叠）
+    renderRiskFactors(riskFactors) {
+        if (!riskFactors) return '';
+        let html = '<div class="section">';
+        html += `<h3>风险因素${riskFactors.pages ? `（第${riskFactors.pages}页）` : ''}</h3>`;
+        if (riskFactors.status === 'notFound') {
+            html += '<div class="no-data">未找到Risk Factors章节</div>';
+        } else if (riskFactors.categories.length === 0) {
+            html += '<div class="no-data">未识别到粗体风险标题</div>';
+        }
+        riskFactors.categories.forEach(category => {
+            html += '<div class="subsection">';
+            html += `<h3>${this.escapeHtml(category.title)}</h3>`;
+            if (category.digest) {
+                html += `<div class="company-item">${this.escapeHtml(category.digest)}</div>`;
+            } else {
+                html += category.digestError
+                    ? this.renderAIFailure({ error: category.digestError })
+                    : '<div class="no-data">未生成摘要</div>';
+            }
+            html += `<details class="risk-headings"><summary>${category.headings.length} 项风险标题</summary><ol>`;
+            category.headings.forEach(heading => {
+                html += `<li>${this.escapeHtml(heading.text)}<span class="company-address">（第${heading.page}页）</span></li>`;
+            });
+            html += '</ol></details>';
+            html += '</div>';
+        });
         html += '</div>';
+        return html;
+    }
+
+    // 渲染所得款项用途：每项用途一行，列出比例和金额；比例合计不为100%时标红提示
+    renderUseOfProceeds(proceeds) {
+        if (!proceeds || !Array.isArray(proceeds.uses) || proceeds.uses.length === 0) {
+            const failure = this.getAIFailure('useOfProceeds');
+            return failure ? `<div class="section"><h3>所得款项用途</h3>${this.renderAIFailure(failure)}</div>` : '';
+        }
+        const helper = window.HKEXProceeds;
+        let html = '<div class="section">';
+        html += '<h3>所得款项用途</h3>';
+        if (proceeds.netProceeds) {
+            html += `<div class="info-item"><label>所得款项净额:</label><span>${this.escapeHtml(proceeds.netProceeds.currency || '')} ${proceeds.netProceeds.amount.toLocaleString('en-US')}百万</span></div>`;
+        }
+        html += '<table class="management-table">';
+        html += '<thead><tr><th>用途</th><th>比例</th><th>金额</th></tr></thead><tbody>';
+        proceeds.uses.forEach(use => {
+            html += '<tr>';
+            html += `<td>${this.escapeHtml(use.purpose)}</td>`;
+            html += `<td>${use.percentage !== null ? `${use.percentage}%` : '—'}</td>`;
+            html += `<td>${helper ? helper.formatAmount(use, proceeds.netProceeds) : (use.amount ?? '—')}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        if (helper) {
+            const cls = proceeds.balanced ? 'company-address' : 'company-item proceeds-mismatch';
+            html += `<div class="${cls}">${helper.describeCheck(proceeds)}</div>`;
+        }
         html += '</div>';
+        return html;
+    }
 
-        // 元数据
-        if (metadata) {
-            html += '<div class="section metadata">';
-            html += '<h3>提取信息</h3>';
-            html += `<div class="info-item"><label>提取时间:</label><span>${metadata.extractTime ? new Date(metadata.extractTime).toLocaleString() : '无'}</span></div>`;
-            const charOrPage = metadata.englishCharCount != null
-                ? metadata.englishCharCount
-                : (metadata.totalPages != null ? `约${metadata.totalPages}页` : '无');
-            html += `<div class="info-item"><label>当前招股书（英文版）字数:</label><span>${charOrPage}</span></div>`;
-            html += '</div>';
+    // 渲染财务概要：行为收入、毛利等项目，列为往绩记录期各期间，金额统一为百万
+    renderFinancials(financials) {
+        if (!financials || !Array.isArray(financials.rows) || financials.rows.length === 0) return '';
+        const format = window.HKEXFinancials ? window.HKEXFinancials.formatAmount : value => String(value ?? '—');
+        let html = '<div class="section">';
+        html += '<h3>财务概要</h3>';
+        const unitText = window.HKEXFinancials
+            ? window.HKEXFinancials.describeUnit(financials)
+            : `${financials.currency || ''} 百万（原文 ${financials.sourceUnit || '未注明'}）`;
+        html += `<div class="company-address">单位：${this.escapeHtml(unitText)}，第${financials.pages.join('、')}页</div>`;
+        html += '<table class="management-table financial-table">';
+        html += `<thead><tr><th>项目</th>${financials.periods.map(period => `<th>${period}</th>`).join('')}</tr></thead><tbody>`;
+        financials.rows.forEach(row => {
+            const label = window.HKEXFinancials ? window.HKEXFinancials.rowLabel(row) : row.label;
+            html += `<tr><td title="${row.sourceLabel.replace(/"/g, '&quot;')}">${label}</td>`;
+            html += financials.periods.map(period => `<td>${format(row.values[period])}</td>`).join('');
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        html += '<button class="btn secondary" data-copy-financials>📋复制CSV</button>';
+        html += '</div>';
+        return html;
+    }
+
+    // 渲染董事及监事：每人一行，列出姓名、职位、年龄、委任日期和所属委员会
+    renderManagement(management) {
+        if (!Array.isArray(management) || management.length === 0) {
+            const failure = this.getAIFailure('management');
+            return failure ? `<div class="section"><h3>董事及监事</h3>${this.renderAIFailure(failure)}</div>` : '';
         }
+        const roster = window.HKEXManagement;
+        let html = '<div class="section">';
+        html += '<h3>董事及监事</h3>';
+        html += '<table class="management-table">';
+        html += '<thead><tr><th>姓名</th><th>职位</th><th>年龄</th><th>委任日期</th><th>委员会</th></tr></thead><tbody>';
+        management.forEach(person => {
+            const name = person.nameEn && person.nameZh
+                ? `${this.escapeHtml(person.nameEn)}<br>${this.escapeHtml(person.nameZh)}`
+                : this.escapeHtml(person.nameEn || person.nameZh || '未提取');
+            html += '<tr>';
+            html += `<td>${name}</td>`;
+            html += `<td>${this.escapeHtml(roster ? roster.describeRole(person.role) : person.role)}</td>`;
+            html += `<td>${this.escapeHtml(person.age || '—')}</td>`;
+            html += `<td>${this.escapeHtml(person.appointmentDate || '—')}</td>`;
+            html += `<td>${this.escapeHtml((roster ? roster.describeCommittees(person.committees) : (person.committees || []).join('、')) || '—')}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        html += '</div>';
+        return html;
+    }
 
+    // 渲染股权结构：控股股东、首次公开发售前投资者、基石投资者分组列出，名称下方为持股比例、认购金额和来源页码
+    renderShareholders(shareholders) {
+        const entries = Object.entries(shareholders || {});
+        if (entries.length === 0) return '';
+        const helper = window.HKEXShareholders;
+        const groups = helper ? helper.GROUPS : {};
+        let html = '<div class="section">';
+        html += '<h3>股权结构</h3>';
+        entries.forEach(([key, list]) => {
+            const label = groups[key] ? groups[key].label : key;
+            html += '<div class="subsection">';
+            html += `<h3>${label}</h3>`;
+            if (!Array.isArray(list) || list.length === 0) {
+                const failure = this.getAIFailure(`shareholders.${key}`);
+                html += failure ? this.renderAIFailure(failure) : `<div class="no-data">未提取到${label}信息</div>`;
+            } else {
+                list.forEach(holder => {
+                    const parts = [helper ? helper.describeHolding(holder) : '', holder.page ? `第${holder.page}页` : ''].filter(Boolean);
+                    html += `<div class="company-item">${this.escapeHtml(holder.name)}</div>`;
+                    if (parts.length > 0) html += `<div class="company-address">${this.escapeHtml(parts.join('，'))}</div>`;
+                });
+            }
+            html += '</div>';
+        });
         html += '</div>';
-        this.elements.results.innerHTML = html;
+        return html;
+    }
+
+    // 渲染自定义字段提取结果
+    renderCustomFields(customFields) {
+        if (!Array.isArray(customFields) || customFields.length === 0) return '';
+        let html = '<div class="section">';
+        html += '<h3>自定义字段</h3>';
+        customFields.forEach(item => {
+            const value = window.HKEXCustomFields ? window.HKEXCustomFields.formatValue(item) : String(item.value ?? '未提取');
+            const page = item.source && item.source.page ? `（第${item.source.page}页）` : '';
+            html += '<div class="subsection">';
+            html += `<h3>${this.escapeHtml(item.name)}</h3>`;
+            if (item.status === 'done') {
+                html += `<div class="company-item">${this.escapeHtml(value)}${page}</div>`;
+            } else {
+                html += item.status === 'failed'
+                    ? this.renderAIFailure(this.getAIFailure(`customFields.${item.id}`) || {})
+                    : `<div class="no-data">${value}</div>`;
+            }
+            html += '</div>';
+        });
+        html += '</div>';
+        return html;
     }
 
-    // 渲染法律顾问列表（支持公司/保荐人）
-    renderLegalAdviserList(list) {
+    // 经重新提问仍未得到合格返回的字段（见 TextParser.markAIFailure），旧版结果没有 aiFailures
+    getAIFailure(field) {
+        return this.extractedData?.aiFailures?.[field] || null;
+    }
+
+    // 渲染"提取失败"提示，鼠标悬停显示失败原因
+    renderAIFailure(failure, text = '⚠️提取失败') {
+        const reason = String(failure?.error || '').replace(/"/g, '&quot;');
+        return `<div class="no-data ai-failed" title="${reason}">${text}</div>`;
+    }
+
+    // 公司中文名称按原文（多为繁体）提取和核实，展示时转为简体
+    displayChineseName(name) {
+        return window.HKEXBilingual ? window.HKEXBilingual.toSimplified(name) : name;
+    }
+
+    // 转义用户输入和AI返回的文本后再写入 innerHTML
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    // 参与方类型及标题：取提取结果中记录的配置，旧版结果没有配置信息时使用内置五类
+    getRoles(metadata) {
+        return metadata?.profile?.roles || DEFAULT_ROLES;
+    }
+
+    // 渲染某类参与方名单
+    renderPartyList(list, label) {
         if (!Array.isArray(list) || list.length === 0) {
-            return '<div class="no-data">未提取到相关法律顾问信息</div>';
+            return `<div class="no-data">未提取到${label}信息</div>`;
         }
         let html = '';
         list.forEach((item) => {
-            html += `<div class="company-item">${item.name || '未提取'}</div>`;
+            html += `<div class="company-item">${this.escapeHtml(item.name || '未提取')}${this.renderVerification(item.verification)}</div>`;
+            html += this.renderPartyDetails(item);
         });
         return html;
     }
@@ -460,11 +897,83 @@ class PopupController {
         }
     }
 
+    /**
+     * 以CSV格式复制财务概要表格
+     */
+    async copyFinancialsCsv() {
+        const financials = this.extractedData && this.extractedData.financials;
+        if (!financials || !window.HKEXFinancials) {
+            this.updateStatus('没有可复制的财务数据', 'warning');
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(window.HKEXFinancials.toCSV(financials));
+            this.updateStatus('财务概要CSV已复制到剪贴板', 'success');
+        } catch (error) {
+            this.logger.error('复制财务概要失败:', error);
+            this.updateStatus('复制失败，请手动复制', 'error');
+        }
+    }
+
     /**
      * 一键下载中文招股书PDF
      * 实现逻辑：自动获取当前页面英文PDF链接，推算中文PDF链接并直接下载PDF。
      * 详细注释，便于维护和扩展。
      */
+    /**
+     * 导出完整提取结果（含地址、牌照等详情）为JSON文件
+     */
+    exportJson() {
+        if (!this.extractedData) {
+            this.updateStatus('没有可导出的内容', 'warning');
+            return;
+        }
+        try {
+            const json = JSON.stringify(this.extractedData, null, 2);
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            const name = (this.extractedData.company?.companyName || 'hkex_prospectus').replace(/[\\/:*?"<>|]/g, '_');
+            chrome.downloads.download({ url, filename: `${name}_提取结果.json`, saveAs: false }, () => {
+                URL.revokeObjectURL(url);
+                if (chrome.runtime.lastError) {
+                    this.logger.error('导出JSON失败:', chrome.runtime.lastError);
+                    this.updateStatus('导出JSON失败', 'error');
+                } else {
+                    this.updateStatus('已导出JSON', 'success');
+                }
+            });
+        } catch (error) {
+            this.logger.error('导出JSON失败:', error);
+            this.updateStatus('导出JSON失败', 'error');
+        }
+    }
+
+    // 将时间表导出为ICS日历，可直接导入Outlook
+    exportIcs() {
+        const ics = this.extractedData && window.HKEXOffering
+            ? window.HKEXOffering.toICS(this.extractedData.offering, this.extractedData.company?.companyName)
+            : null;
+        if (!ics) {
+            this.updateStatus('没有可导出的时间表日期', 'warning');
+            return;
+        }
+        try {
+            const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+            const name = (this.extractedData.company?.companyName || 'hkex_prospectus').replace(/[\\/:*?"<>|]/g, '_');
+            chrome.downloads.download({ url, filename: `${name}_时间表.ics`, saveAs: false }, () => {
+                URL.revokeObjectURL(url);
+                if (chrome.runtime.lastError) {
+                    this.logger.error('导出日历失败:', chrome.runtime.lastError);
+                    this.updateStatus('导出日历失败', 'error');
+                } else {
+                    this.updateStatus('已导出日历', 'success');
+                }
+            });
+        } catch (error) {
+            this.logger.error('导出日历失败:', error);
+            this.updateStatus('导出日历失败', 'error');
+        }
+    }
+
     async downloadChinese() {
         // 1. 通过Chrome扩展API获取当前激活tab的真实url，兼容所有PDF页面环境
         try {
@@ -514,6 +1023,179 @@ class PopupController {
         }
     }
 
+    /**
+     * 中英文版本核对：由content script后台加载中文版PDF并与英文版结果逐项核对
+     */
+    async extractBilingual() {
+        if (!this.isPageReady) {
+            this.updateStatus('页面未就绪，请稍候...', 'warning');
+            return;
+        }
+        try {
+            this.showLoading(true);
+            this.updateStatus('正在后台加载中文版并核对，预计花费 60s', 'info');
+            this.startProgressBar(60);
+            if (this.elements.bilingualBtn) this.elements.bilingualBtn.disabled = true;
+            const response = await this.sendMessageToContent('extractBilingual');
+            if (response && response.success) {
+                this.extractedData = response.data;
+                PopupController.saveExtractedData(this.extractedData);
+                this.displayResults();
+                const mismatches = this.extractedData.bilingual?.mismatches?.length || 0;
+                this.updateStatus(mismatches > 0 ? `核对完成，${mismatches} 项两版不一致` : '🎉核对完成', mismatches > 0 ? 'warning' : 'success');
+            } else {
+                throw new Error(response?.error || '中英核对失败');
+            }
+        } catch (error) {
+            this.logger.error('中英核对失败:', error);
+            this.updateStatus(`中英核对失败: ${error.message}`, 'error');
+        } finally {
+            this.finishProgressBar();
+            this.showLoading(false);
+            if (this.elements.bilingualBtn) this.elements.bilingualBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 风险因素模式：收集风险标题并由AI按类别写摘要，结果合并到当前提取结果
+     */
+    async extractRiskFactors() {
+        if (!this.isPageReady) {
+            this.updateStatus('页面未就绪，请稍候...', 'warning');
+            return;
+        }
+        try {
+            this.showLoading(true);
+            this.updateStatus('正在整理风险因素，预计花费 60s', 'info');
+            this.startProgressBar(60);
+            if (this.elements.riskFactorsBtn) this.elements.riskFactorsBtn.disabled = true;
+            const response = await this.sendMessageToContent('extractRiskFactors');
+            if (response && response.success) {
+                this.extractedData = response.data;
+                PopupController.saveExtractedData(this.extractedData);
+                this.displayResults();
+                if (this.elements.copyBtn) this.elements.copyBtn.disabled = false;
+                if (this.elements.exportJsonBtn) this.elements.exportJsonBtn.disabled = false;
+                const riskFactors = this.extractedData.riskFactors;
+                const count = riskFactors?.categories?.reduce((sum, category) => sum + category.headings.length, 0) || 0;
+                this.updateStatus(count > 0 ? `🎉已整理 ${count} 项风险标题` : '未识别到风险标题', count > 0 ? 'success' : 'warning');
+            } else {
+                throw new Error(response?.error || '风险因素提取失败');
+            }
+        } catch (error) {
+            this.logger.error('风险因素提取失败:', error);
+            this.updateStatus(`风险因素提取失败: ${error.message}`, 'error');
+        } finally {
+            this.finishProgressBar();
+            this.showLoading(false);
+            if (this.elements.riskFactorsBtn) this.elements.riskFactorsBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 导入自定义提取配置（JSON文件），校验通过后保存到chrome.storage，下次提取时生效
+     * @param {File} file - 用户选择的配置文件
+     */
+    async importProfile(file) {
+        if (!file) return;
+        try {
+            const profile = JSON.parse(await file.text());
+            await window.HKEXProfiles.saveCustom(profile);
+            this.updateStatus(`已导入提取配置「${profile.name}」，重新提取后生效`, 'success');
+        } catch (error) {
+            this.logger.error('导入提取配置失败:', error);
+            this.updateStatus(`导入提取配置失败: ${error.message}`, 'error');
+        } finally {
+            this.elements.profileFile.value = '';
+        }
+    }
+
+    /**
+     * 删除自定义提取配置，恢复内置配置
+     */
+    async resetProfile() {
+        try {
+            await window.HKEXProfiles.clearCustom();
+            this.updateStatus('已恢复内置提取配置，重新提取后生效', 'success');
+        } catch (error) {
+            this.logger.error('恢复内置提取配置失败:', error);
+            this.updateStatus('恢复内置提取配置失败', 'error');
+        }
+    }
+
+    /**
+     * 读取并渲染已定义的自定义字段
+     */
+    async loadCustomFields() {
+        if (!window.HKEXCustomFields || !this.elements.customFieldList) return;
+        this.customFields = await window.HKEXCustomFields.load();
+        this.renderCustomFieldList();
+    }
+
+    renderCustomFieldList() {
+        const fields = this.customFields || [];
+        if (fields.length === 0) {
+            this.elements.customFieldList.innerHTML = '<div class="no-data">尚未定义自定义字段</div>';
+            return;
+        }
+        const { OUTPUT_TYPES } = window.HKEXCustomFields;
+        this.elements.customFieldList.innerHTML = fields.map(field => `
+            <div class="custom-field-entry">
+                <span>${field.name}（${window.HKEXCustomFields.describeAnchor(field)}，${OUTPUT_TYPES[field.type].label}）</span>
+                <button data-remove-field="${field.id}" title="删除">✕</button>
+            </div>`).join('');
+    }
+
+    /**
+     * 新增自定义字段，下次提取时生效
+     */
+    async addCustomField() {
+        try {
+            const field = window.HKEXCustomFields.create({
+                name: this.elements.customFieldName.value,
+                anchorType: this.elements.customFieldAnchorType.value,
+                anchorValue: this.elements.customFieldAnchorValue.value,
+                instruction: this.elements.customFieldInstruction.value,
+                type: this.elements.customFieldType.value
+            });
+            this.customFields = [...(this.customFields || []), field];
+            await window.HKEXCustomFields.save(this.customFields);
+            this.renderCustomFieldList();
+            this.elements.customFieldName.value = '';
+            this.elements.customFieldAnchorValue.value = '';
+            this.elements.customFieldInstruction.value = '';
+            this.updateStatus(`已添加自定义字段「${field.name}」，重新提取后生效`, 'success');
+        } catch (error) {
+            this.logger.error('添加自定义字段失败:', error);
+            this.updateStatus(`添加自定义字段失败: ${error.message}`, 'error');
+        }
+    }
+
+    async removeCustomField(id) {
+        this.customFields = (this.customFields || []).filter(field => field.id !== id);
+        await window.HKEXCustomFields.save(this.customFields);
+        this.renderCustomFieldList();
+        this.updateStatus('已删除自定义字段', 'success');
+    }
+
+    /**
+     * 清除页面文本缓存（IndexedDB按hkexnews页面来源存储，需经content script清除）
+     */
+    async clearPageCache() {
+        try {
+            const response = await this.sendMessageToContent('clearPageCache');
+            if (response && response.success) {
+                const { entries = 0, bytes = 0 } = response.data || {};
+                this.updateStatus(`已清除 ${entries} 份招股书缓存（约 ${(bytes / 1024 / 1024).toFixed(1)} MB）`, 'success');
+            } else {
+                throw new Error(response?.error || '清除缓存失败');
+            }
+        } catch (error) {
+            this.logger.error('清除缓存失败:', error);
+            this.updateStatus('清除缓存失败，请在招股书PDF页面重试', 'error');
+        }
+    }
+
     updateStatus(message, type = 'info') {
         this.logger.info(`状态: ${message} (${type})`);
         if (this.elements.status) {
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * 港股招股书信息提取器 - 本地模拟大模型服务（无依赖，Node 16+）
+ * 同时模拟 utils/providers.js 中四种接口的请求格式，并校验各自的鉴权头，用于不联网测试每个适配器：
+ *   POST /v1/chat/completions                                   OpenAI兼容接口 / llama.cpp（Authorization 可选，有则须为 Bearer）
+ *   POST /openai/deployments/{部署名}/chat/completions?api-version=  Azure OpenAI（须带 api-key 头）
+ *   POST /v1/messages                                           Anthropic Messages（须带 x-api-key、anthropic-version 头和 max_tokens）
+ *   POST /api/chat                                              Ollama
+ *
+ * 用法：node tools/mock-llm-server.js [--port 8787] [--reply '{"sponsors": []}']
+ * 未指定 --reply 时返回 {"mock": true, "provider": "<接口>", "promptLength": <提示词长度>}；各接口均按各自格式返回估算的 token 用量
+ */
+
+'use strict';
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const PORT = Number(option('port', process.env.MOCK_LLM_PORT || 8787));
+const REPLY = option('reply', process.env.MOCK_LLM_REPLY || '');
+
+// 各接口的路由、请求校验和返回格式
+const ROUTES = [
+    {
+        provider: 'openai',
+        match: url => url.pathname === '/v1/chat/completions',
+        check: (req, body) => {
+            const auth = req.headers['authorization'];
+            if (auth !== undefined && !/^Bearer\s+\S+/.test(auth)) return 'Authorization 须为 "Bearer <apiKey>"';
+            if (!Array.isArray(body.messages)) return '缺少 messages';
+            return null;
+        },
+        respond: (content, body) => ({
+            id: 'mock-chat',
+            object: 'chat.completion',
+            model: body.model || 'mock',
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: tokensOf(promptOf(body)), completion_tokens: tokensOf(content) }
+        })
+    },
+    {
+        provider: 'azure',
+        match: url => /^\/openai\/deployments\/[^/]+\/chat\/completions$/.test(url.pathname),
+        check: (req, body, url) => {
+            if (!req.headers['api-key']) return '缺少 api-key 头';
+            if (!url.searchParams.get('api-version')) return '缺少 api-version 参数';
+            if (!Array.isArray(body.messages)) return '缺少 messages';
+            return null;
+        },
+        respond: (content, body) => ({
+            id: 'mock-azure',
+            object: 'chat.completion',
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: tokensOf(promptOf(body)), completion_tokens: tokensOf(content) }
+        })
+    },
+    {
+        provider: 'anthropic',
+        match: url => url.pathname === '/v1/messages',
+        check: (req, body) => {
+            if (!req.headers['x-api-key']) return '缺少 x-api-key 头';
+            if (!req.headers['anthropic-version']) return '缺少 anthropic-version 头';
+            if (!body.model || !body.max_tokens) return '缺少 model 或 max_tokens';
+            if (!Array.isArray(body.messages)) return '缺少 messages';
+            return null;
+        },
+        // 请求强制调用工具（结构化输出）时以 tool_use 返回，内容须为JSON
+        respond: (content, body) => ({
+            id: 'mock-message',
+            type: 'message',
+            role: 'assistant',
+            model: body.model,
+            content: body.tool_choice && body.tool_choice.type === 'tool'
+                ? [{ type: 'tool_use', id: 'mock-tool', name: body.tool_choice.name, input: parseOr(content, { mock: true }) }]
+                : [{ type: 'text', text: content }],
+            stop_reason: body.tool_choice ? 'tool_use' : 'end_turn',
+            usage: { input_tokens: tokensOf(promptOf(body)), output_tokens: tokensOf(content) }
+        })
+    },
+    {
+        provider: 'ollama',
+        match: url => url.pathname === '/api/chat',
+        check: (req, body) => {
+            if (!body.model) return '缺少 model';
+            if (!Array.isArray(body.messages)) return '缺少 messages';
+            if (body.stream !== false) return '须设置 stream: false';
+            return null;
+        },
+        respond: (content, body) => ({
+            model: body.model,
+            created_at: new Date().toISOString(),
+            message: { role: 'assistant', content },
+            done: true,
+            prompt_eval_count: tokensOf(promptOf(body)),
+            eval_count: tokensOf(content)
+        })
+    }
+];
+
+function send(res, status, payload) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(payload));
+}
+
+// 粗略估算 token 数（约每4个字符一个），只用于测试用量统计
+function tokensOf(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function parseOr(text, fallback) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function promptOf(body) {
+    return (body.messages || []).map(message => (typeof message.content === 'string' ? message.content : '')).join('\n');
+}
+
+const server = http.createServer((req, res) => {
+    // 浏览器跨域预检
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': '*'
+        });
+        res.end();
+        return;
+    }
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = ROUTES.find(item => item.match(url));
+    if (req.method !== 'POST' || !route) {
+        send(res, 404, { error: `未模拟的接口: ${req.method} ${url.pathname}` });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(raw || '{}');
+        } catch (error) {
+            send(res, 400, { error: '请求体不是JSON' });
+            return;
+        }
+        const problem = route.check(req, body, url);
+        if (problem) {
+            console.warn(`[mock-llm] ${route.provider} 请求被拒绝: ${problem}`);
+            send(res, problem.includes('头') ? 401 : 400, { error: problem });
+            return;
+        }
+        const prompt = promptOf(body);
+        const content = REPLY || JSON.stringify({ mock: true, provider: route.provider, promptLength: prompt.length });
+        console.info(`[mock-llm] ${route.provider} ${url.pathname} 提示词 ${prompt.length} 字符`);
+        send(res, 200, route.respond(content, body));
+    });
+});
+
+server.listen(PORT, () => {
+    console.info(`[mock-llm] 模拟大模型服务已启动: http://localhost:${PORT}`);
+});
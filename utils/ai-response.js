@@ -0,0 +1,353 @@
+/**
+ * 港股招股书信息提取器 - AI返回处理
+ * 各 extract*WithAI / parse* 共用：从模型输出中取出JSON（容错修复尾逗号、单引号、JSON前后的说明文字等），
+ * 按各字段的 JSON Schema 校验；校验不通过时由 TextParser.callAIJSON 带着错误原因重新提问，仍失败的字段标记为"提取失败"
+ */
+
+(function() {
+    'use strict';
+
+    // 校验失败后重新提问的次数上限（不含首次请求）
+    const MAX_REPAIR_ATTEMPTS = 2;
+    // 重新提问时附带的上次回复字符上限
+    const REPLY_PREVIEW_CHARS = 2000;
+    // 仍失败的字段在结果中的展示文本
+    const FAILED_TEXT = '提取失败';
+
+    // 参与方名单条目
+    const PARTY_ITEM = {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            address: { type: ['string', 'null'] },
+            licence: { type: ['string', 'null'] },
+            laws: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['name']
+    };
+
+    /**
+     * 各字段返回结果的 JSON Schema（支持 type、properties、required、items、enum）
+     * 名称同时用作结构化输出的 schema 名，只用字母、数字和下划线
+     */
+    const SCHEMAS = {
+        company_basic: {
+            type: 'object',
+            properties: {
+                companyName: { type: ['string', 'null'] },
+                companyChineseName: { type: ['string', 'null'] },
+                companyType: { type: ['string', 'null'] }
+            },
+            required: ['companyName', 'companyChineseName', 'companyType']
+        },
+        management: {
+            type: 'object',
+            properties: {
+                directors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            nameEn: { type: ['string', 'null'] },
+                            nameZh: { type: ['string', 'null'] },
+                            role: { type: ['string', 'null'] },
+                            age: { type: ['number', 'string', 'null'] },
+                            appointmentDate: { type: ['string', 'null'] },
+                            committees: { type: ['array', 'null'], items: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            required: ['directors']
+        },
+        shareholders: {
+            type: 'object',
+            properties: {
+                holders: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            percentage: { type: ['number', 'string', 'null'] },
+                            amount: { type: ['number', 'string', 'null'] },
+                            currency: { type: ['string', 'null'] }
+                        },
+                        required: ['name']
+                    }
+                }
+            },
+            required: ['holders']
+        },
+        // 只补齐规则未找到的字段，字段随缺失项变化，只要求返回对象
+        offering: { type: 'object' },
+        use_of_proceeds: {
+            type: 'object',
+            properties: {
+                netProceeds: {
+                    type: ['object', 'null'],
+                    properties: { amount: { type: ['number', 'string', 'null'] }, currency: { type: ['string', 'null'] } }
+                },
+                uses: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            purpose: { type: 'string' },
+                            percentage: { type: ['number', 'string', 'null'] },
+                            amount: { type: ['number', 'string', 'null'] }
+                        },
+                        required: ['purpose']
+                    }
+                }
+            },
+            required: ['uses']
+        },
+        risk_digest: {
+            type: 'object',
+            properties: { digest: { type: 'string' } },
+            required: ['digest']
+        },
+        custom_field: {
+            type: 'object',
+            properties: { value: {}, unit: { type: ['string', 'null'] } },
+            required: ['value']
+        }
+    };
+
+    class AIResponse {
+        /**
+         * 某类参与方名单的 JSON Schema
+         * @param {string} resultKey - 名单所在字段
+         * @returns {Object}
+         */
+        static partyListSchema(resultKey) {
+            return {
+                type: 'object',
+                properties: { [resultKey]: { type: 'array', items: PARTY_ITEM } },
+                required: [resultKey]
+            };
+        }
+
+        /**
+         * 从模型输出中取出JSON：依次尝试直接解析、截取JSON部分、容错修复
+         * @param {any} raw - 模型输出文本（已是对象时直接返回）
+         * @param {Object} [options]
+         * @param {string} [options.arrayKey] - 返回顶层数组时包装为 { [arrayKey]: 数组 }（提示词中"找不到请返回[]"的情况）
+         * @returns {{ok: boolean, value?: any, repaired?: boolean, error?: string}}
+         */
+        static parse(raw, options = {}) {
+            const wrap = value => (Array.isArray(value) && options.arrayKey ? { [options.arrayKey]: value } : value);
+            if (raw !== null && typeof raw === 'object') return { ok: true, value: wrap(raw), repaired: false };
+            const text = AIResponse.stripFences(String(raw ?? ''));
+            if (!text) return { ok: false, error: '模型返回为空' };
+            try {
+                return { ok: true, value: wrap(JSON.parse(text)), repaired: false };
+            } catch (e) {
+                // 继续尝试截取和修复
+            }
+            const candidate = AIResponse.extractJSON(text);
+            if (!candidate) return { ok: false, error: '回复中没有JSON' };
+            let lastError = null;
+            for (const source of [candidate, AIResponse.repair(candidate)]) {
+                try {
+                    return { ok: true, value: wrap(JSON.parse(source)), repaired: true };
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            return { ok: false, error: `JSON格式错误（${lastError.message}）` };
+        }
+
+        /**
+         * 去掉 markdown 代码块包裹
+         * @param {string} text - 模型输出
+         * @returns {string}
+         */
+        static stripFences(text) {
+            return text.trim().replace(/^```[a-zA-Z]*[ \t]*\r?\n?/, '').replace(/\r?\n?```\s*$/, '').trim();
+        }
+
+        /**
+         * 截取回复中第一个完整的JSON对象或数组（跳过前后的说明文字）
+         * @param {string} text - 模型输出
+         * @returns {string|null}
+         */
+        static extractJSON(text) {
+            const start = text.search(/[{[]/);
+            if (start < 0) return null;
+            const stack = [];
+            let quote = null;
+            for (let i = start; i < text.length; i++) {
+                const ch = text[i];
+                if (quote) {
+                    if (ch === '\\') i++;
+                    else if (ch === quote) quote = null;
+                    continue;
+                }
+                if (ch === '"' || ch === "'") quote = ch;
+                else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+                else if (ch === '}' || ch === ']') {
+                    if (stack.pop() !== ch) break;
+                    if (stack.length === 0) return text.slice(start, i + 1);
+                }
+            }
+            // 回复被截断或括号不配对时，取到最后一个闭合括号为止交给修复
+            const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+            return end > start ? text.slice(start, end + 1) : null;
+        }
+
+        /**
+         * 容错修复：中文引号、单引号字符串、尾逗号、未加引号的键、Python 的 None / True / False
+         * @param {string} text - JSON候选文本
+         * @returns {string}
+         */
+        static repair(text) {
+            const segments = AIResponse.tokenize(text.replace(/[“”]/g, '"'));
+            return segments.map(segment => {
+                if (segment.string) return segment.text;
+                return segment.text
+                    .replace(/,(\s*[}\]])/g, '$1')
+                    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)(\s*:)/g, '$1"$2"$3')
+                    .replace(/\bNone\b/g, 'null')
+                    .replace(/\bTrue\b/g, 'true')
+                    .replace(/\bFalse\b/g, 'false');
+            }).join('')
+                // 字符串之间的尾逗号（如 "a", ] ）分在不同片段，最后再处理一次
+                .replace(/,(\s*[}\]])/g, '$1');
+        }
+
+        /**
+         * 把文本切分为字符串和非字符串片段，单引号字符串转为双引号字符串
+         * @param {string} text - JSON候选文本
+         * @returns {Array<{string: boolean, text: string}>}
+         */
+        static tokenize(text) {
+            const segments = [];
+            let buffer = '';
+            let quote = null;
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+                if (!quote) {
+                    if (ch === '"' || ch === "'") {
+                        if (buffer) segments.push({ string: false, text: buffer });
+                        buffer = '"';
+                        quote = ch;
+                    } else {
+                        buffer += ch;
+                    }
+                    continue;
+                }
+                if (ch === '\\' && i + 1 < text.length) {
+                    // 单引号字符串中的 \' 在JSON中不需要转义
+                    buffer += quote === "'" && text[i + 1] === "'" ? "'" : ch + text[i + 1];
+                    i++;
+                } else if (ch === quote) {
+                    segments.push({ string: true, text: buffer + '"' });
+                    buffer = '';
+                    quote = null;
+                } else if (ch === '"') {
+                    buffer += '\\"';
+                } else if (ch === '\n') {
+                    buffer += '\\n';
+                } else {
+                    buffer += ch;
+                }
+            }
+            if (buffer) segments.push({ string: !!quote, text: buffer });
+            return segments;
+        }
+
+        /**
+         * 按 JSON Schema 校验
+         * @param {any} value - 待校验的值
+         * @param {Object} schema - JSON Schema
+         * @param {string} [path='$'] - 报错中的字段路径
+         * @returns {Array<string>} 错误列表，通过时为空
+         */
+        static validate(value, schema, path = '$') {
+            if (!schema || typeof schema !== 'object') return [];
+            const types = schema.type ? [].concat(schema.type) : null;
+            if (types && !types.some(type => AIResponse.matchesType(value, type))) {
+                return [`${path} 应为 ${types.join(' 或 ')}，实际为 ${AIResponse.typeOf(value)}`];
+            }
+            if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+                return [`${path} 应为 ${schema.enum.join(' / ')} 之一`];
+            }
+            const errors = [];
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                (schema.required || []).forEach(key => {
+                    if (!(key in value)) errors.push(`${path} 缺少字段 ${key}`);
+                });
+                Object.entries(schema.properties || {}).forEach(([key, child]) => {
+                    if (key in value) errors.push(...AIResponse.validate(value[key], child, `${path}.${key}`));
+                });
+            }
+            if (Array.isArray(value) && schema.items) {
+                value.forEach((item, index) => errors.push(...AIResponse.validate(item, schema.items, `${path}[${index}]`)));
+            }
+            return errors;
+        }
+
+        /**
+         * 值是否符合 JSON Schema 的某个 type
+         * @param {any} value - 值
+         * @param {string} type - string / number / integer / boolean / object / array / null
+         * @returns {boolean}
+         */
+        static matchesType(value, type) {
+            switch (type) {
+                case 'null': return value === null;
+                case 'array': return Array.isArray(value);
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                default: return typeof value === type;
+            }
+        }
+
+        /**
+         * 值的 JSON 类型名，用于报错
+         * @param {any} value - 值
+         * @returns {string}
+         */
+        static typeOf(value) {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            return typeof value;
+        }
+
+        /**
+         * 校验不通过时重新提问的提示词：原提示词 + 上次回复 + 错误原因
+         * @param {string} prompt - 原提示词
+         * @param {string} reply - 上次回复
+         * @param {string} error - 解析或校验错误
+         * @returns {string}
+         */
+        static buildRepairPrompt(prompt, reply, error) {
+            const preview = String(reply ?? '').slice(0, REPLY_PREVIEW_CHARS);
+            return `${prompt}\n\n---\n你上一次的回复不符合要求：${error}\n上一次的回复：\n${preview}\n\n` +
+                '请按上面要求的JSON格式重新完整返回，只输出JSON，不要附带说明文字或代码块标记。';
+        }
+
+        /**
+         * 错误列表合并为一句，过长时只保留前几条
+         * @param {Array<string>} errors - validate 的结果
+         * @returns {string}
+         */
+        static describeErrors(errors) {
+            const shown = errors.slice(0, 5).join('；');
+            return errors.length > 5 ? `${shown}；等${errors.length}处` : shown;
+        }
+    }
+
+    AIResponse.SCHEMAS = SCHEMAS;
+    AIResponse.MAX_REPAIR_ATTEMPTS = MAX_REPAIR_ATTEMPTS;
+    AIResponse.FAILED_TEXT = FAILED_TEXT;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXAIResponse = AIResponse;
+    }
+
+    console.info('[HKEX-AIResponse] AI返回处理模块加载完成');
+})();
@@ -0,0 +1,185 @@
+/**
+ * 港股招股书信息提取器 - 中英文版本核对
+ * 将英文版与中文版的提取结果逐项配对：专业机构配上中文名称，公司名称等字段两版不一致时标记
+ */
+
+(function() {
+    'use strict';
+
+    // 默认参与核对的专业机构类型及其中文说明（提取配置提供类型时以配置为准）
+    const PARTY_ROLES = {
+        sponsors: '保荐人',
+        auditors: '审计师/报告会计师',
+        industryConsultants: '行业顾问',
+        legalAdvisersToCompany: '公司法律顾问',
+        legalAdvisersToSponsors: '保荐人法律顾问'
+    };
+
+    // 参与核对的公司字段及其中文说明
+    const COMPANY_FIELDS = {
+        companyName: '公司英文名称',
+        companyChineseName: '公司中文名称',
+        companyType: '公司类别'
+    };
+
+    // 公司名称中常见的繁体字，核对前统一为简体（AI返回的中文名称可能是繁体也可能是简体）
+    const TRADITIONAL_CHARS = {
+        '國': '国', '際': '际', '團': '团', '發': '发', '業': '业', '務': '务', '與': '与', '醫': '医',
+        '藥': '药', '療': '疗', '術': '术', '電': '电', '車': '车', '銀': '银', '證': '证', '資': '资',
+        '產': '产', '開': '开', '體': '体', '網': '网', '絡': '络', '數': '数', '據': '据', '雲': '云',
+        '億': '亿', '東': '东', '華': '华', '廣': '广', '環': '环', '實': '实', '興': '兴', '達': '达',
+        '聯': '联', '會': '会', '計': '计', '師': '师', '顧': '顾', '問': '问', '諮': '咨', '詢': '询',
+        '語': '语', '學': '学', '門': '门', '們': '们', '滙': '汇', '匯': '汇', '豐': '丰', '貨': '货',
+        '運': '运', '鐵': '铁', '錢': '钱', '禮': '礼', '為': '为', '這': '这', '個': '个', '來': '来',
+        '時': '时', '經': '经', '濟': '济', '農': '农', '飲': '饮', '寶': '宝', '龍': '龙', '風': '风',
+        '氣': '气', '機': '机', '構': '构', '設': '设', '備': '备', '製': '制', '責': '责'
+    };
+
+    class BilingualReconciler {
+        /**
+         * 规范化名称：繁体转简体、统一Ltd/Co.缩写、去除空格和标点、英文小写
+         * @param {string} name - 名称
+         * @returns {string} 规范化后的名称
+         */
+        static normalizeName(name) {
+            return String(name || '')
+                .replace(/\bLtd\b\.?/gi, 'Limited')
+                .replace(/\bCo\b\.?/gi, 'Company')
+                .replace(/[一-鿿]/g, ch => TRADITIONAL_CHARS[ch] || ch)
+                .replace(/[\s.,，、&'’"“”()（）\-]/g, '')
+                .toLowerCase();
+        }
+
+        /**
+         * 把名称中的常见繁体字转为简体，只用于展示（核实和核对使用原文写法）；对照表只覆盖常见字
+         * @param {string} name - 名称
+         * @returns {string}
+         */
+        static toSimplified(name) {
+            return String(name || '').replace(/[一-鿿]/g, ch => TRADITIONAL_CHARS[ch] || ch);
+        }
+
+        /**
+         * 取名称中的英文部分（中文版各方名单常在中文名后附英文名）
+         * @param {string} name - 名称
+         * @returns {string} 规范化后的英文部分
+         */
+        static latinPart(name) {
+            return BilingualReconciler.normalizeName(String(name || '').replace(/[^A-Za-z0-9\s&.,'()\-]/g, ' '));
+        }
+
+        /**
+         * 核对公司字段
+         * @param {Object} english - 英文版公司信息
+         * @param {Object} chinese - 中文版公司信息
+         * @returns {Array<{field: string, label: string, english: string, chinese: string, status: string}>}
+         *          status: 'match' 一致 / 'mismatch' 不一致 / 'missing' 任一版本缺失
+         */
+        static reconcileCompany(english = {}, chinese = {}) {
+            return Object.entries(COMPANY_FIELDS).map(([field, label]) => {
+                const englishValue = BilingualReconciler.cleanValue(english[field]);
+                const chineseValue = BilingualReconciler.cleanValue(chinese[field]);
+                let status = 'match';
+                if (!englishValue || !chineseValue) {
+                    status = 'missing';
+                } else if (BilingualReconciler.normalizeName(englishValue) !== BilingualReconciler.normalizeName(chineseValue)) {
+                    status = 'mismatch';
+                }
+                return { field, label, english: englishValue, chinese: chineseValue, status };
+            });
+        }
+
+        /**
+         * 配对某一类专业机构：先按中文版条目中的英文名匹配，剩余的按名单顺序配对
+         * @param {Array<{name: string}>} englishList - 英文版名单
+         * @param {Array<{name: string}>} chineseList - 中文版名单
+         * @returns {Array<{name: string|null, chineseName: string|null, status: string}>}
+         *          status: 'name' 按英文名配对 / 'order' 按顺序配对（推测，未经名称确认） / 'missing' 另一版本无对应条目
+         */
+        static pairParties(englishList = [], chineseList = []) {
+            const englishNames = (Array.isArray(englishList) ? englishList : []).map(item => item && item.name).filter(Boolean);
+            const chineseNames = (Array.isArray(chineseList) ? chineseList : []).map(item => item && item.name).filter(Boolean);
+            const used = new Set();
+            const pairs = englishNames.map(name => {
+                const key = BilingualReconciler.normalizeName(name);
+                const index = chineseNames.findIndex((chineseName, i) => {
+                    if (used.has(i)) return false;
+                    const latin = BilingualReconciler.latinPart(chineseName);
+                    return latin.length >= 4 && (latin.includes(key) || key.includes(latin));
+                });
+                if (index === -1) return { name, chineseName: null, status: 'missing' };
+                used.add(index);
+                return { name, chineseName: chineseNames[index], status: 'name' };
+            });
+            const remaining = chineseNames.filter((_, i) => !used.has(i));
+            pairs.forEach(pair => {
+                if (pair.chineseName || remaining.length === 0) return;
+                pair.chineseName = remaining.shift();
+                pair.status = 'order';
+            });
+            remaining.forEach(chineseName => pairs.push({ name: null, chineseName, status: 'missing' }));
+            return pairs;
+        }
+
+        /**
+         * 核对中英文两版的提取结果
+         * @param {Object} english - 英文版 extractedInfo（含 company、professionals）
+         * @param {Object} chinese - 中文版提取结果（含 company、professionals）
+         * @param {Object} [roles] - 参与核对的专业机构类型 { key: 中文说明 }，默认为内置五类
+         * @returns {{company: Array, professionals: Object, mismatches: Array}}
+         */
+        static reconcile(english = {}, chinese = {}, roles = PARTY_ROLES) {
+            const company = BilingualReconciler.reconcileCompany(english.company, chinese.company);
+            const professionals = {};
+            const mismatches = company
+                .filter(item => item.status === 'mismatch')
+                .map(item => ({ field: item.field, label: item.label, english: item.english, chinese: item.chinese }));
+
+            Object.entries(roles).forEach(([role, label]) => {
+                const englishList = english.professionals ? english.professionals[role] : [];
+                const chineseList = chinese.professionals ? chinese.professionals[role] : [];
+                const pairs = BilingualReconciler.pairParties(englishList, chineseList);
+                professionals[role] = pairs;
+                const englishCount = pairs.filter(p => p.name).length;
+                const chineseCount = pairs.filter(p => p.chineseName).length;
+                if (englishCount !== chineseCount) {
+                    mismatches.push({
+                        field: role,
+                        label: `${label}数量`,
+                        english: String(englishCount),
+                        chinese: String(chineseCount)
+                    });
+                }
+                // 按顺序配对只是推测，中文名称可能对应的是另一家机构，列入待确认
+                const guessed = pairs.filter(p => p.status === 'order');
+                if (guessed.length > 0) {
+                    mismatches.push({
+                        field: role,
+                        label: `${label}（按顺序配对，待确认）`,
+                        english: guessed.map(p => p.name).join('、'),
+                        chinese: guessed.map(p => p.chineseName).join('、')
+                    });
+                }
+            });
+            return { company, professionals, mismatches };
+        }
+
+        /**
+         * 去掉"未识别"等占位值
+         * @param {string} value - 字段值
+         * @returns {string} 有效值或空字符串
+         */
+        static cleanValue(value) {
+            const text = String(value || '').trim();
+            return ['未识别', '未提取', '未找到', '未确定'].includes(text) ? '' : text;
+        }
+    }
+
+    BilingualReconciler.PARTY_ROLES = PARTY_ROLES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXBilingual = BilingualReconciler;
+    }
+
+    console.info('[HKEX-Bilingual] 中英文版本核对模块加载完成');
+})();
@@ -0,0 +1,199 @@
+/**
+ * 港股招股书信息提取器 - 页面文本持久缓存
+ * 使用IndexedDB按PDF指纹 + URL保存已解析的页面文本、章节地图和本地章节数据
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'hkex-extractor';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'documents';
+
+    class PageTextStore {
+        /**
+         * @param {Object} [options] - 缓存选项
+         * @param {number} [options.maxEntries=20] - 最多缓存的文档数
+         * @param {number} [options.maxBytes=209715200] - 缓存总大小上限（字节，默认200MB）
+         */
+        constructor(options = {}) {
+            this.logger = window.HKEXLogger ? new window.HKEXLogger('PageTextStore') : {
+                debug: console.debug.bind(console),
+                info: console.info.bind(console),
+                warn: console.warn.bind(console),
+                error: console.error.bind(console)
+            };
+            this.maxEntries = options.maxEntries || 20;
+            this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+            this.dbPromise = null;
+        }
+
+        /**
+         * 生成缓存键：PDF指纹 + URL（+ 文本模式，避免不同模式的文本混用）
+         * @param {Object} pdfDoc - PDF.js文档对象
+         * @param {string} url - PDF地址
+         * @param {string} [variant] - 附加区分项
+         * @returns {string} 缓存键
+         */
+        static buildKey(pdfDoc, url, variant = '') {
+            const fingerprints = Array.isArray(pdfDoc.fingerprints) ? pdfDoc.fingerprints.filter(Boolean) : [];
+            return [fingerprints.join('-') || 'unknown', url, variant].filter(Boolean).join('|');
+        }
+
+        /**
+         * 打开数据库（只打开一次）
+         * @returns {Promise<IDBDatabase>}
+         */
+        open() {
+            if (this.dbPromise) return this.dbPromise;
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('当前环境不支持IndexedDB'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                        store.createIndex('lastAccess', 'lastAccess');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+            return this.dbPromise;
+        }
+
+        /**
+         * 在object store上执行一次请求
+         * @param {string} mode - 'readonly' | 'readwrite'
+         * @param {Function} action - (store) => IDBRequest
+         * @returns {Promise<any>} 请求结果
+         */
+        async run(mode, action) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, mode);
+                const request = action(tx.objectStore(STORE_NAME));
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        /**
+         * 读取缓存并刷新最近访问时间
+         * @param {string} key - 缓存键
+         * @returns {Promise<Object|null>} 缓存记录
+         */
+        async get(key) {
+            try {
+                const record = await this.run('readonly', store => store.get(key));
+                if (!record) return null;
+                record.lastAccess = Date.now();
+                await this.run('readwrite', store => store.put(record));
+                this.logger.info('页面缓存命中', { key, pages: Object.keys(record.pages || {}).length });
+                return record;
+            } catch (error) {
+                this.logger.warn('读取页面缓存失败', error);
+                return null;
+            }
+        }
+
+        /**
+         * 写入缓存，并按LRU淘汰超限记录
+         * @param {string} key - 缓存键
+         * @param {Object} data - { url, pages, metas, chapterMap, preparedData }
+         * @returns {Promise<boolean>} 是否写入成功
+         */
+        async put(key, data) {
+            try {
+                const record = {
+                    ...data,
+                    key,
+                    createdAt: Date.now(),
+                    lastAccess: Date.now()
+                };
+                record.size = PageTextStore.estimateSize(record);
+                if (record.size > this.maxBytes) {
+                    this.logger.warn('文档过大，超过缓存上限，不写入缓存', { key, size: record.size });
+                    return false;
+                }
+                await this.run('readwrite', store => store.put(record));
+                this.logger.info('页面缓存已写入', { key, size: record.size });
+                await this.evict();
+                return true;
+            } catch (error) {
+                this.logger.warn('写入页面缓存失败', error);
+                return false;
+            }
+        }
+
+        /**
+         * 按最近访问时间淘汰，直到条数和总大小都在上限内
+         */
+        async evict() {
+            const records = await this.run('readonly', store => store.index('lastAccess').getAll());
+            let totalBytes = records.reduce((sum, r) => sum + (r.size || 0), 0);
+            let count = records.length;
+            const victims = [];
+            // getAll按lastAccess升序返回，最久未访问的在前
+            for (const record of records) {
+                if (count <= this.maxEntries && totalBytes <= this.maxBytes) break;
+                victims.push(record.key);
+                totalBytes -= record.size || 0;
+                count--;
+            }
+            if (victims.length === 0) return;
+            await this.run('readwrite', store => {
+                victims.forEach(key => store.delete(key));
+                return null;
+            });
+            this.logger.info(`页面缓存LRU淘汰 ${victims.length} 条`, victims);
+        }
+
+        /**
+         * 清空全部缓存
+         * @returns {Promise<{entries: number, bytes: number}>} 被清除的条数和大小
+         */
+        async clear() {
+            const usage = await this.getUsage();
+            await this.run('readwrite', store => store.clear());
+            this.logger.info('页面缓存已清空', usage);
+            return usage;
+        }
+
+        /**
+         * 统计缓存占用
+         * @returns {Promise<{entries: number, bytes: number}>}
+         */
+        async getUsage() {
+            const records = await this.run('readonly', store => store.getAll());
+            return {
+                entries: records.length,
+                bytes: records.reduce((sum, r) => sum + (r.size || 0), 0)
+            };
+        }
+
+        /**
+         * 估算记录大小（按UTF-16字符计）
+         * @param {Object} record - 缓存记录
+         * @returns {number} 字节数
+         */
+        static estimateSize(record) {
+            try {
+                return JSON.stringify(record).length * 2;
+            } catch (error) {
+                return 0;
+            }
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.HKEXPageCache = PageTextStore;
+    }
+
+    console.info('[HKEX-Cache] 页面文本缓存模块加载完成');
+})();
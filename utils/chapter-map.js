@@ -0,0 +1,441 @@
+/**
+ * 港股招股书信息提取器 - 章节地图
+ * 综合PDF书签（Outline）、目录页（CONTENTS）和每页页眉，构建全书章节起止页码
+ */
+
+(function() {
+    'use strict';
+
+    // 常用章节标题别名（均为规范化后的大写形式）
+    const DEFAULT_CHAPTER_TITLES = {
+        summary: ['SUMMARY', 'SUMMARY AND HIGHLIGHTS'],
+        directors: [
+            'DIRECTORS AND PARTIES INVOLVED',
+            'DIRECTORS SUPERVISORS AND PARTIES INVOLVED'
+        ],
+        corporateInformation: ['CORPORATE INFORMATION'],
+        business: ['BUSINESS'],
+        industryOverview: ['INDUSTRY OVERVIEW'],
+        riskFactors: ['RISK FACTORS'],
+        management: [
+            'DIRECTORS AND SENIOR MANAGEMENT',
+            'DIRECTORS SUPERVISORS AND SENIOR MANAGEMENT'
+        ],
+        controllingShareholders: [
+            'RELATIONSHIP WITH OUR CONTROLLING SHAREHOLDERS',
+            'RELATIONSHIP WITH CONTROLLING SHAREHOLDERS',
+            'RELATIONSHIP WITH OUR SINGLE LARGEST GROUP OF SHAREHOLDERS'
+        ],
+        history: [
+            'HISTORY REORGANIZATION AND CORPORATE STRUCTURE',
+            'HISTORY REORGANISATION AND CORPORATE STRUCTURE',
+            'HISTORY DEVELOPMENT AND CORPORATE STRUCTURE',
+            'HISTORY AND CORPORATE STRUCTURE',
+            'HISTORY AND DEVELOPMENT'
+        ],
+        cornerstoneInvestors: ['CORNERSTONE INVESTORS'],
+        expectedTimetable: ['EXPECTED TIMETABLE'],
+        structure: [
+            'STRUCTURE OF THE GLOBAL OFFERING',
+            'STRUCTURE AND CONDITIONS OF THE GLOBAL OFFERING',
+            'STRUCTURE OF THE SHARE OFFER',
+            'STRUCTURE AND CONDITIONS OF THE SHARE OFFER'
+        ],
+        futurePlans: ['FUTURE PLANS AND USE OF PROCEEDS', 'FUTURE PLANS']
+    };
+
+    // 申请版本每页顶部的草稿警示语（中英文），不属于页眉章节标题
+    const DRAFT_WARNING_PATTERN = /THIS\s+DOCUMENT\s+IS\s+IN\s+DRAFT\s+FORM[\s\S]*?COVER\s+OF\s+THIS\s+DOCUMENT\.?|本文件為草擬本[\s\S]*?「警告」一節。?/i;
+
+    // 目录页标题（规范化后）
+    const CONTENTS_TITLES = ['CONTENTS', '目錄', '目录'];
+
+    class ChapterMap {
+        /**
+         * @param {Object} pdfDoc - PDF.js文档对象
+         * @param {Object} options - 构建选项
+         * @param {Function} options.getPageText - (pageNum) => Promise<string>
+         * @param {Function} options.getPageMeta - (pageNum) => Promise<{header: string, pageLabel: string}>
+         * @param {Object} [options.logger] - 日志实例
+         */
+        constructor(pdfDoc, options = {}) {
+            this.logger = options.logger || (window.HKEXLogger ? new window.HKEXLogger('ChapterMap') : {
+                debug: console.debug.bind(console),
+                info: console.info.bind(console),
+                warn: console.warn.bind(console),
+                error: console.error.bind(console)
+            });
+            this.pdfDoc = pdfDoc;
+            this.getPageText = options.getPageText;
+            this.getPageMeta = options.getPageMeta;
+            this.chapterTitles = { ...DEFAULT_CHAPTER_TITLES, ...(options.chapterTitles || {}) };
+
+            // 构建结果：[{ title, startPage, endPage, source }]
+            this.chapters = [];
+            this.source = 'none';
+        }
+
+        /**
+         * 规范化章节标题，便于不同来源之间比较
+         * @param {string} title - 原始标题
+         * @returns {string} 大写、去除[REDACTED]及标点后的标题
+         */
+        static normalizeTitle(title) {
+            return String(title || '')
+                .replace(/\[REDACTED\]/gi, ' ')
+                .replace(/[’']/g, '')
+                .replace(/[^A-Za-z0-9一-龥]+/g, ' ')
+                .trim()
+                .toUpperCase();
+        }
+
+        /**
+         * 构建章节地图
+         * 优先使用PDF书签，其次目录页，最后使用页眉连续段落；书签和目录的起始页会按页眉校准
+         * @returns {Promise<Array>} 章节列表
+         */
+        async build() {
+            try {
+                this.logger.info('开始构建章节地图');
+                const numPages = this.pdfDoc.numPages;
+
+                const pageMetas = await this.collectPageMetas();
+                const headerChapters = this.buildFromRunningHeaders(pageMetas);
+                const outlineChapters = await this.buildFromOutline();
+                const contentsChapters = await this.buildFromContentsPage(pageMetas);
+
+                this.logger.info('章节地图候选来源', {
+                    outline: outlineChapters.length,
+                    contents: contentsChapters.length,
+                    headers: headerChapters.length
+                });
+
+                let primary = [];
+                if (outlineChapters.length >= 3) {
+                    primary = outlineChapters;
+                    this.source = 'outline';
+                } else if (contentsChapters.length >= 3) {
+                    primary = contentsChapters;
+                    this.source = 'contents';
+                } else {
+                    primary = headerChapters;
+                    this.source = 'headers';
+                }
+
+                if (this.source !== 'headers') {
+                    primary = this.alignWithHeaders(primary, headerChapters);
+                }
+
+                this.chapters = this.finalizeChapters(primary, numPages);
+                this.logger.info(`章节地图构建完成，来源: ${this.source}，共 ${this.chapters.length} 章`, this.chapters.map(c => `${c.title} (${c.startPage}-${c.endPage})`));
+                return this.chapters;
+            } catch (error) {
+                this.logger.error('构建章节地图失败', error);
+                this.chapters = [];
+                this.source = 'none';
+                return this.chapters;
+            }
+        }
+
+        /**
+         * 读取全部页面的页眉和页码标签
+         * @returns {Promise<Array<{page: number, header: string, pageLabel: string}>>}
+         */
+        async collectPageMetas() {
+            if (typeof this.getPageMeta !== 'function') return [];
+            const pageNums = Array.from({ length: this.pdfDoc.numPages }, (_, i) => i + 1);
+            // 并发请求，由页面流水线控制实际解析并发数
+            const metas = await Promise.all(pageNums.map(pageNum => this.getPageMeta(pageNum)));
+            return metas.map((meta, i) => ({
+                page: i + 1,
+                header: meta && meta.header ? meta.header.replace(DRAFT_WARNING_PATTERN, '').trim() : '',
+                pageLabel: meta && meta.pageLabel ? meta.pageLabel : ''
+            }));
+        }
+
+        /**
+         * 根据PDF书签构建章节列表
+         * @returns {Promise<Array>} 章节列表
+         */
+        async buildFromOutline() {
+            try {
+                let items = await this.pdfDoc.getOutline();
+                if (!Array.isArray(items) || items.length === 0) return [];
+                // 部分招股书只有一个顶层书签（文件名），章节在其子级
+                if (items.length === 1 && Array.isArray(items[0].items) && items[0].items.length > 0) {
+                    items = items[0].items;
+                }
+                const chapters = [];
+                for (const item of items) {
+                    const page = await this.resolveDestinationPage(item.dest);
+                    if (page && item.title) {
+                        chapters.push({ title: item.title.trim(), startPage: page, source: 'outline' });
+                    }
+                }
+                return chapters;
+            } catch (error) {
+                this.logger.warn('读取PDF书签失败', error);
+                return [];
+            }
+        }
+
+        /**
+         * 将书签目标解析为页码（从1开始）
+         * @param {string|Array} dest - 书签目标
+         * @returns {Promise<number|null>} 页码
+         */
+        async resolveDestinationPage(dest) {
+            try {
+                let explicitDest = dest;
+                if (typeof dest === 'string') {
+                    explicitDest = await this.pdfDoc.getDestination(dest);
+                }
+                if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+                const ref = explicitDest[0];
+                if (typeof ref === 'number') return ref + 1;
+                const pageIndex = await this.pdfDoc.getPageIndex(ref);
+                return pageIndex + 1;
+            } catch (error) {
+                this.logger.debug('书签目标解析失败', error);
+                return null;
+            }
+        }
+
+        /**
+         * 根据目录页构建章节列表，目录中的印刷页码按页脚页码换算为PDF页码
+         * @param {Array} pageMetas - 各页页眉和页码标签
+         * @returns {Promise<Array>} 章节列表
+         */
+        async buildFromContentsPage(pageMetas) {
+            try {
+                if (typeof this.getPageText !== 'function') return [];
+                const maxSearchPages = Math.min(20, this.pdfDoc.numPages);
+                let contentsPage = null;
+                let contentsText = '';
+                for (let pageNum = 1; pageNum <= maxSearchPages; pageNum++) {
+                    const meta = pageMetas[pageNum - 1];
+                    const pageText = await this.getPageText(pageNum);
+                    if ((meta && CONTENTS_TITLES.includes(ChapterMap.normalizeTitle(meta.header))) || /^\s*(?:CONTENTS\b|目[錄录])/.test(pageText)) {
+                        contentsPage = pageNum;
+                        contentsText = pageText;
+                        // 目录可能跨页
+                        const nextMeta = pageMetas[pageNum];
+                        if (nextMeta && CONTENTS_TITLES.includes(ChapterMap.normalizeTitle(nextMeta.header))) {
+                            contentsText += '\n' + await this.getPageText(pageNum + 1);
+                        }
+                        break;
+                    }
+                }
+                if (!contentsPage) {
+                    this.logger.debug('未找到目录页');
+                    return [];
+                }
+
+                const labelToPage = await this.buildPageLabelIndex(pageMetas);
+                // 带点状引导线的目录条目；版面文本下也可按“标题 …… 页码”逐行解析；中文版标题以汉字开头，引导线可为全角点
+                const dotLeaderPattern = /([A-Za-z一-龥][A-Za-z0-9一-龥,，、&'’()（）\[\]\-\/— ]{1,}?)\s*(?:(?:[.．·]\s*){3,}|(?:…\s*){2,})\s*([ivxlcdm]+|\d{1,4})(?=\s|$)/gi;
+                const linePattern = /^\s*([A-Za-z一-龥][^\n]{1,}?)\s+([ivxlcdm]+|\d{1,4})\s*$/gim;
+                const parseEntries = (pattern) => {
+                    const entries = [];
+                    let match;
+                    while ((match = pattern.exec(contentsText)) !== null) {
+                        const title = match[1].replace(/(?:\s*[.．…·])+\s*$/, '').replace(/\s+/g, ' ').trim();
+                        const label = match[2].toLowerCase();
+                        const page = this.resolvePageLabel(label, labelToPage);
+                        if (title && page && page > contentsPage) {
+                            entries.push({ title, startPage: page, source: 'contents' });
+                        }
+                    }
+                    return entries;
+                };
+                let chapters = parseEntries(dotLeaderPattern);
+                if (chapters.length < 3) {
+                    chapters = parseEntries(linePattern);
+                }
+                this.logger.debug(`目录页第${contentsPage}页解析出 ${chapters.length} 个章节`);
+                return chapters;
+            } catch (error) {
+                this.logger.warn('解析目录页失败', error);
+                return [];
+            }
+        }
+
+        /**
+         * 建立印刷页码到PDF页码的索引（PDF自带页码标签优先，页脚页码补充）
+         * @param {Array} pageMetas - 各页页眉和页码标签
+         * @returns {Promise<Map<string, number>>}
+         */
+        async buildPageLabelIndex(pageMetas) {
+            const index = new Map();
+            try {
+                const labels = await this.pdfDoc.getPageLabels();
+                if (Array.isArray(labels)) {
+                    labels.forEach((label, i) => {
+                        if (label && !index.has(label.toLowerCase())) index.set(label.toLowerCase(), i + 1);
+                    });
+                }
+            } catch (error) {
+                this.logger.debug('读取PDF页码标签失败', error);
+            }
+            pageMetas.forEach(meta => {
+                if (meta.pageLabel && !index.has(meta.pageLabel)) {
+                    index.set(meta.pageLabel, meta.page);
+                }
+            });
+            return index;
+        }
+
+        /**
+         * 将印刷页码换算为PDF页码，找不到时按阿拉伯数字页码的中位偏移估算
+         * @param {string} label - 印刷页码
+         * @param {Map<string, number>} labelToPage - 页码索引
+         * @returns {number|null}
+         */
+        resolvePageLabel(label, labelToPage) {
+            if (labelToPage.has(label)) return labelToPage.get(label);
+            if (!/^\d+$/.test(label)) return null;
+            const offsets = [];
+            labelToPage.forEach((page, key) => {
+                if (/^\d+$/.test(key)) offsets.push(page - parseInt(key, 10));
+            });
+            if (offsets.length === 0) return null;
+            offsets.sort((a, b) => a - b);
+            const page = parseInt(label, 10) + offsets[Math.floor(offsets.length / 2)];
+            return page >= 1 && page <= this.pdfDoc.numPages ? page : null;
+        }
+
+        /**
+         * 根据每页页眉的连续段落构建章节列表
+         * @param {Array} pageMetas - 各页页眉和页码标签
+         * @returns {Array} 章节列表
+         */
+        buildFromRunningHeaders(pageMetas) {
+            const chapters = [];
+            let current = null;
+            for (const meta of pageMetas) {
+                const normalized = ChapterMap.normalizeTitle(meta.header);
+                // 空白页、封面等无页眉的页面并入上一章节
+                if (!normalized) continue;
+                if (current && current.normalized === normalized) continue;
+                current = { title: meta.header, normalized, startPage: meta.page, source: 'headers' };
+                chapters.push(current);
+            }
+            return chapters.map(({ normalized, ...chapter }) => chapter);
+        }
+
+        /**
+         * 用页眉段落校准书签/目录得到的起始页（允许前后3页误差）
+         * @param {Array} chapters - 书签或目录章节
+         * @param {Array} headerChapters - 页眉章节
+         * @returns {Array} 校准后的章节
+         */
+        alignWithHeaders(chapters, headerChapters) {
+            if (headerChapters.length === 0) return chapters;
+            return chapters.map(chapter => {
+                const normalized = ChapterMap.normalizeTitle(chapter.title);
+                const candidate = headerChapters.find(h => {
+                    const headerTitle = ChapterMap.normalizeTitle(h.title);
+                    const sameTitle = headerTitle.startsWith(normalized) || normalized.startsWith(headerTitle);
+                    return sameTitle && Math.abs(h.startPage - chapter.startPage) <= 3;
+                });
+                if (candidate && candidate.startPage !== chapter.startPage) {
+                    this.logger.debug(`章节起始页按页眉校准: ${chapter.title} ${chapter.startPage} -> ${candidate.startPage}`);
+                    return { ...chapter, startPage: candidate.startPage };
+                }
+                return chapter;
+            });
+        }
+
+        /**
+         * 排序去重并计算每章结束页（下一章起始页前一页）
+         * @param {Array} chapters - 章节列表
+         * @param {number} numPages - 总页数
+         * @returns {Array} 完整章节列表
+         */
+        finalizeChapters(chapters, numPages) {
+            const sorted = chapters
+                .filter(c => c.startPage >= 1 && c.startPage <= numPages)
+                .sort((a, b) => a.startPage - b.startPage);
+            const unique = [];
+            sorted.forEach(chapter => {
+                const last = unique[unique.length - 1];
+                if (last && last.startPage === chapter.startPage) return;
+                unique.push({ ...chapter });
+            });
+            unique.forEach((chapter, i) => {
+                const next = unique[i + 1];
+                chapter.endPage = next ? Math.max(chapter.startPage, next.startPage - 1) : numPages;
+            });
+            return unique;
+        }
+
+        /**
+         * 按标题查找章节：精确匹配优先，其次前缀匹配，最后包含匹配
+         * @param {Array<string>} titles - 候选标题
+         * @returns {Object|null} 章节 { title, startPage, endPage, source }
+         */
+        findChapter(titles) {
+            if (!Array.isArray(titles) || this.chapters.length === 0) return null;
+            const candidates = titles.map(t => ChapterMap.normalizeTitle(t)).filter(Boolean);
+            const normalizedChapters = this.chapters.map(c => ({ chapter: c, normalized: ChapterMap.normalizeTitle(c.title) }));
+            const matchers = [
+                (title, candidate) => title === candidate,
+                (title, candidate) => title.startsWith(candidate),
+                (title, candidate) => title.includes(candidate)
+            ];
+            for (const matcher of matchers) {
+                for (const candidate of candidates) {
+                    const hit = normalizedChapters.find(c => matcher(c.normalized, candidate));
+                    if (hit) return hit.chapter;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * 按预设章节键查找章节（如 summary、directors、business）
+         * @param {string} key - 章节键
+         * @returns {Object|null} 章节
+         */
+        findChapterByKey(key) {
+            return this.findChapter(this.chapterTitles[key] || []);
+        }
+
+        /**
+         * 获取指定页所属章节
+         * @param {number} pageNum - 页码
+         * @returns {Object|null} 章节
+         */
+        getChapterForPage(pageNum) {
+            return this.chapters.find(c => pageNum >= c.startPage && pageNum <= c.endPage) || null;
+        }
+
+        /**
+         * 从序列化数据恢复章节地图（用于缓存命中时跳过构建）
+         * @param {Object} data - toJSON()的结果
+         */
+        restore(data) {
+            this.source = data && data.source ? data.source : 'none';
+            this.chapters = data && Array.isArray(data.chapters) ? data.chapters.map(c => ({ ...c })) : [];
+        }
+
+        /**
+         * 序列化章节地图
+         * @returns {Object} { source, chapters }
+         */
+        toJSON() {
+            return {
+                source: this.source,
+                chapters: this.chapters.map(c => ({ ...c }))
+            };
+        }
+    }
+
+    ChapterMap.DEFAULT_CHAPTER_TITLES = DEFAULT_CHAPTER_TITLES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXChapterMap = ChapterMap;
+    }
+
+    console.info('[HKEX-ChapterMap] 章节地图模块加载完成');
+})();
@@ -2,14 +2,29 @@
 (function() {
     'use strict';
 
+    // AI接口、模型和密钥在扩展设置页（options/options.html）中填写，不在此文件配置
     const config = {
-        // DeepSeek API 配置
-        ai: {
+        // 页面文本提取配置
+        extraction: {
+            // 'layout'：按版面重建行、段落和表格；'plain'：原始空格拼接
+            textMode: 'layout',
+            // 页面解析最大并发数
+            concurrency: 4,
+            // 是否同时提取各参与方的地址和牌照（popup中可逐次切换）
+            partyDetails: false,
+            // 各类参与方合并为一次结构化AI请求，未返回的类型再逐类补提；false 时全部逐类调用（用于对比耗时和 token 用量）
+            partyBatch: true
+        },
+
+        // IndexedDB页面缓存配置
+        cache: {
             enabled: true,
-            apiKey: '', // 
-            endpoint: 'https://api.deepseek.com/v1/chat/completions'
+            // 最多缓存的招股书份数，超出按最近访问时间淘汰
+            maxEntries: 20,
+            // 缓存总大小上限（字节）
+            maxBytes: 200 * 1024 * 1024
         },
-        
+
         // 其他配置项...
         debug: false
     };
@@ -0,0 +1,185 @@
+/**
+ * 港股招股书信息提取器 - 自定义字段
+ * 用户定义字段名称、定位锚点（章节或关键词）、提取说明和输出类型，提取时按锚点定位文本并交由AI提取
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'hkex_customFields';
+
+    // 锚点类型：chapter 按章节标题（或预设章节键，如 business）定位整章，keyword 按关键词定位所在页
+    const ANCHOR_TYPES = {
+        chapter: '章节',
+        keyword: '关键词'
+    };
+
+    /**
+     * 输出类型
+     * - instruction: 写入提示词的返回格式要求
+     * - normalize: 将AI返回的 value 规范为该类型，无法规范时返回 null
+     */
+    const OUTPUT_TYPES = {
+        text: {
+            label: '文本',
+            instruction: '"value" 为一段简洁的文本（不超过200字）',
+            normalize: (value) => {
+                const text = Array.isArray(value) ? value.join('；') : String(value).trim();
+                return text || null;
+            }
+        },
+        list: {
+            label: '列表',
+            instruction: '"value" 为字符串数组，每项一个条目',
+            normalize: (value) => {
+                const list = Array.isArray(value) ? value : String(value).split(/[;；\n]/);
+                const items = list.map(item => String(item).trim()).filter(Boolean);
+                return items.length > 0 ? items : null;
+            }
+        },
+        number: {
+            label: '数字',
+            instruction: '"value" 为阿拉伯数字，不带千分位、单位和货币符号；如原文有单位，单位写入 "unit"',
+            normalize: (value) => {
+                if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+                const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+                return match ? Number(match[0]) : null;
+            }
+        },
+        date: {
+            label: '日期',
+            instruction: '"value" 为 YYYY-MM-DD 格式的日期',
+            normalize: (value) => {
+                const text = String(value).trim();
+                const match = text.match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/);
+                if (match) {
+                    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+                }
+                // 按UTC解析，避免本地时区（如香港UTC+8）转换后提前一天
+                const parsed = new Date(`${text.replace(/,/g, '')} UTC`);
+                return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+            }
+        }
+    };
+
+    class CustomFields {
+        /**
+         * 读取用户定义的自定义字段
+         * @returns {Promise<Array<Object>>} 字段定义列表
+         */
+        static async load() {
+            const fields = window.HKEXProfiles ? await window.HKEXProfiles.readSetting(STORAGE_KEY) : null;
+            return Array.isArray(fields) ? fields : [];
+        }
+
+        /**
+         * 校验并保存自定义字段
+         * @param {Array<Object>} fields - 字段定义列表
+         * @returns {Promise<void>}
+         */
+        static save(fields) {
+            fields.forEach(field => CustomFields.validate(field));
+            return new Promise(resolve => {
+                chrome.storage.local.set({ [STORAGE_KEY]: fields }, resolve);
+            });
+        }
+
+        /**
+         * 校验字段定义，不合法时抛出带具体原因的错误
+         * @param {Object} field - { id, name, anchor: { type, value }, instruction, type }
+         */
+        static validate(field) {
+            if (!field || !String(field.name || '').trim()) {
+                throw new Error('字段名称不能为空');
+            }
+            if (!field.anchor || !ANCHOR_TYPES[field.anchor.type]) {
+                throw new Error(`「${field.name}」的锚点类型必须是 ${Object.keys(ANCHOR_TYPES).join(' / ')}`);
+            }
+            if (!String(field.anchor.value || '').trim()) {
+                throw new Error(`「${field.name}」缺少锚点章节或关键词`);
+            }
+            if (!OUTPUT_TYPES[field.type]) {
+                throw new Error(`「${field.name}」的输出类型必须是 ${Object.keys(OUTPUT_TYPES).join(' / ')}`);
+            }
+        }
+
+        /**
+         * 新建字段定义
+         * @param {Object} input - { name, anchorType, anchorValue, instruction, type }
+         * @returns {Object} 字段定义
+         */
+        static create(input) {
+            const field = {
+                id: `field_${Date.now().toString(36)}`,
+                name: String(input.name || '').trim(),
+                anchor: { type: input.anchorType, value: String(input.anchorValue || '').trim() },
+                instruction: String(input.instruction || '').trim(),
+                type: input.type
+            };
+            CustomFields.validate(field);
+            return field;
+        }
+
+        /**
+         * 生成字段的AI提示词
+         * @param {Object} field - 字段定义
+         * @param {string} text - 锚点定位到的文本
+         * @returns {string} 提示词
+         */
+        static buildPrompt(field, text) {
+            const outputType = OUTPUT_TYPES[field.type] || OUTPUT_TYPES.text;
+            return `你是港股招股书信息提取专家。请从以下文本中提取「${field.name}」。\n` +
+                (field.instruction ? `提取说明：${field.instruction}\n` : '') +
+                `严格返回如下JSON：{"value": ..., "unit": ""}，其中${outputType.instruction}。找不到请返回 {"value": null}。\n\n` +
+                `文本：\n${text}`;
+        }
+
+        /**
+         * 将AI返回的 value 按输出类型规范
+         * @param {Object} field - 字段定义
+         * @param {Object} result - 经 callAIJSON 解析和校验的返回
+         * @returns {{value: any, unit: string}} value 为 null 表示未提取到
+         */
+        static parseValue(field, result) {
+            const value = result && typeof result === 'object' && !Array.isArray(result) ? result.value : result;
+            const unit = result && typeof result === 'object' && result.unit ? String(result.unit) : '';
+            if (value === null || value === undefined || value === '') {
+                return { value: null, unit };
+            }
+            const outputType = OUTPUT_TYPES[field.type] || OUTPUT_TYPES.text;
+            return { value: outputType.normalize(value), unit };
+        }
+
+        /**
+         * 将提取结果格式化为展示文本
+         * @param {Object} result - extractedInfo.customFields 中的一项
+         * @returns {string} 展示文本
+         */
+        static formatValue(result) {
+            if (!result || result.status === 'notFound') return '未定位到锚点';
+            if (result.status === 'failed') return '提取失败';
+            if (result.value === null || result.value === undefined) return '未提取';
+            if (Array.isArray(result.value)) return result.value.join('；');
+            return result.unit ? `${result.value} ${result.unit}` : String(result.value);
+        }
+
+        /**
+         * 锚点的展示文本，如"章节：Business"
+         * @param {Object} field - 字段定义
+         * @returns {string}
+         */
+        static describeAnchor(field) {
+            return `${ANCHOR_TYPES[field.anchor.type] || field.anchor.type}：${field.anchor.value}`;
+        }
+    }
+
+    CustomFields.STORAGE_KEY = STORAGE_KEY;
+    CustomFields.ANCHOR_TYPES = ANCHOR_TYPES;
+    CustomFields.OUTPUT_TYPES = OUTPUT_TYPES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXCustomFields = CustomFields;
+    }
+
+    console.info('[HKEX-CustomFields] 自定义字段模块加载完成');
+})();
@@ -0,0 +1,127 @@
+/**
+ * 港股招股书信息提取器 - 文档类型识别
+ * 区分申请版本、聆讯后资料集、正式招股章程、配发结果公告等，并提供各类型的封面锚点和章节配置
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * 各文档类型定义
+     * - detect: 封面文本识别规则（按 DETECTION_ORDER 顺序判断）
+     * - anchors: 封面中公司名称区域的起止锚点（英文、中文版各一组，依次尝试），start 为 null 表示从首页开头截取
+     * - sections: 该类型需要定位的章节（cornerstone 为基石投资者章节，申请版本和PHIP中尚未载明）
+     */
+    const DOCUMENT_TYPES = {
+        applicationProof: {
+            label: '申请版本 (Application Proof)',
+            detect: [/Application\s+Proof\s+of/i, /publication\s+of\s+this\s+Application\s+Proof/i, /申請版本/],
+            anchors: [
+                {
+                    start: /Application\s+Proof\s+of/i,
+                    end: /The\s+publication\s+of\s+this\s+Application\s+Proof\s+is\s+required\s+by\s+The/i
+                },
+                { start: /承擔任何責任[。.]?/, end: /的申請版本|本申請版本乃根據/ }
+            ],
+            sections: { weAre: true, summary: true, directors: true, management: true, shareholders: true, cornerstone: false, offering: true, proceeds: true }
+        },
+        phip: {
+            label: '聆讯后资料集 (PHIP)',
+            detect: [/Post[\s-]+Hearing\s+Information\s+Pack/i, /聆訊後資料集/],
+            anchors: [
+                {
+                    start: /Post[\s-]+Hearing\s+Information\s+Pack\s+of/i,
+                    end: /The\s+publication\s+of\s+this\s+Post[\s-]+Hearing\s+Information\s+Pack\s+is\s+required\s+by\s+The/i
+                },
+                { start: /承擔任何責任[。.]?/, end: /的聆訊後資料集|本聆訊後資料集乃根據/ }
+            ],
+            sections: { weAre: true, summary: true, directors: true, management: true, shareholders: true, cornerstone: false, offering: true, proceeds: true }
+        },
+        prospectus: {
+            label: '正式招股章程 (Prospectus)',
+            detect: [/contents\s+of\s+this\s+prospectus/i, /\bthis\s+prospectus\b[\s\S]*?(?:GLOBAL\s+OFFERING|SHARE\s+OFFER|INTRODUCTION)/i, /本招股章程/],
+            anchors: [
+                {
+                    start: /obtain\s+independent\s+professional\s+advice\.?/i,
+                    end: /GLOBAL\s+OFFERING|SHARE\s+OFFER|LISTING\s+BY\s+WAY\s+OF\s+INTRODUCTION|Number\s+of\s+Offer\s+Shares/i
+                },
+                { start: /應徵詢獨立專業意見[。.]?/, end: /全球發售|股份發售|以介紹方式上市|發售股份數目/ }
+            ],
+            sections: { weAre: true, summary: true, directors: true, management: true, shareholders: true, cornerstone: true, offering: true, proceeds: true }
+        },
+        allotmentResults: {
+            label: '配发结果公告 (Allotment Results)',
+            detect: [/ALLOTMENT\s+RESULTS/i, /ANNOUNCEMENT\s+OF\s+(?:FINAL\s+)?OFFER\s+PRICE/i, /配發結果公告/],
+            anchors: [
+                {
+                    start: null,
+                    end: /(?:ANNOUNCEMENT\s+OF|FINAL\s+OFFER\s+PRICE\s+AND)\s+[\s\S]*?ALLOTMENT\s+RESULTS/i
+                },
+                { start: null, end: /(?:最終發售價及)?配發結果公告/ }
+            ],
+            sections: { weAre: false, summary: false, directors: false, management: false, shareholders: false, cornerstone: false, offering: false, proceeds: false }
+        },
+        other: {
+            label: '其他文件',
+            detect: [],
+            anchors: [],
+            sections: { weAre: true, summary: true, directors: true, management: true, shareholders: true, cornerstone: true, offering: true, proceeds: true }
+        }
+    };
+
+    // 识别顺序：配发结果和PHIP的封面可能引用招股章程，需先于正式招股章程判断
+    const DETECTION_ORDER = ['allotmentResults', 'phip', 'applicationProof', 'prospectus'];
+
+    class DocumentClassifier {
+        /**
+         * 根据首页文本识别文档类型
+         * @param {string} firstPageText - 首页文本
+         * @returns {string} 文档类型键（applicationProof / phip / prospectus / allotmentResults / other）
+         */
+        static classify(firstPageText) {
+            const text = firstPageText || '';
+            const type = DETECTION_ORDER.find(key => DOCUMENT_TYPES[key].detect.some(pattern => pattern.test(text)));
+            return type || 'other';
+        }
+
+        /**
+         * 获取文档类型定义，未知类型返回 other
+         * @param {string} type - 文档类型键
+         * @returns {Object} 类型定义
+         */
+        static getType(type) {
+            return DOCUMENT_TYPES[type] || DOCUMENT_TYPES.other;
+        }
+
+        /**
+         * 按文档类型的封面锚点截取公司名称区域，依次尝试各组锚点
+         * @param {string} firstPageText - 首页文本
+         * @param {string} type - 文档类型键
+         * @returns {string|null} 锚点之间的文本，全部锚点未命中时返回null
+         */
+        static extractCoverRegion(firstPageText, type) {
+            const text = firstPageText || '';
+            for (const { start, end } of DocumentClassifier.getType(type).anchors) {
+                let from = 0;
+                if (start) {
+                    const startMatch = start.exec(text);
+                    if (!startMatch) continue;
+                    from = startMatch.index + startMatch[0].length;
+                }
+                const endMatch = end.exec(text.slice(from));
+                if (!endMatch) continue;
+                const region = text.slice(from, from + endMatch.index).trim();
+                if (region) return region;
+            }
+            return null;
+        }
+    }
+
+    DocumentClassifier.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXDocumentTypes = DocumentClassifier;
+    }
+
+    console.info('[HKEX-DocTypes] 文档类型识别模块加载完成');
+})();
@@ -6,8 +6,25 @@
 (function() {
     'use strict';
 
+    // 本地章节数据结构版本，结构变化时递增以使旧缓存失效
+    const CACHE_VERSION = 10;
+    // "董事及高级管理层"章节最多读取的页数（董事、监事简历在前，其后为高级管理层）
+    const MANAGEMENT_MAX_PAGES = 25;
+    // 自定义字段定位窗口：章节锚点最多读取的页数和字符数，关键词锚点在匹配位置前后截取的字符数
+    const CUSTOM_FIELD_CHAPTER_PAGES = 8;
+    const CUSTOM_FIELD_MAX_CHARS = 12000;
+    const CUSTOM_FIELD_WINDOW = { before: 300, after: 3000 };
+
     class ProspectusExtractor {
-        constructor() {
+        /**
+         * @param {Object} [options] - 提取选项
+         * @param {string} [options.textMode='layout'] - 页面文本模式：'layout' 按版面重建行段落，'plain' 原始空格拼接
+         * @param {number} [options.concurrency=4] - 页面解析最大并发数
+         * @param {Object} [options.cache] - IndexedDB页面缓存选项 { enabled, maxEntries, maxBytes }
+         * @param {boolean} [options.partyDetails=false] - 是否同时提取各参与方的地址和牌照
+         * @param {boolean} [options.partyBatch=true] - 各类参与方是否合并为一次AI请求
+         */
+        constructor(options = {}) {
             // 获取logger实例
             this.logger = window.HKEXLogger ? new window.HKEXLogger('ProspectusExtractor') : {
                 debug: console.debug.bind(console),
@@ -31,8 +48,44 @@
                 professionals: {}
             };
             
+            this.options = {
+                textMode: 'layout',
+                concurrency: 4,
+                ...options
+            };
+            this.options.cache = { enabled: true, ...(options.cache || {}) };
+            if (this.parser.configure) {
+                this.parser.configure({ partyDetails: !!this.options.partyDetails, partyBatch: this.options.partyBatch !== false });
+            }
+            // 本页面两种参与方提取方式最近一次的AI调用统计，见 recordAIStats
+            this.aiStatsHistory = {};
+            // 版面文本重建器，同时负责识别页眉页脚
+            this.layoutBuilder = window.HKEXPageLayout ? new window.HKEXPageLayout() : null;
+
             // 缓存已提取的页面文本
             this.pageTextCache = new Map();
+            // 缓存页眉和页码标签，供章节地图使用
+            this.pageMetaCache = new Map();
+            // 已加载的PDF地址
+            this.pdfUrl = null;
+            // 提取配置（profiles/*.json 或用户导入的自定义配置）
+            this.profile = null;
+            // 章节地图（书签 + 目录页 + 页眉）
+            this.chapterMap = null;
+            // 文档语言（'en' / 'zh'），读取首页后确定
+            this.language = null;
+            // 页面文本流水线（有限并发预取）
+            this.pipeline = null;
+            // 各步骤耗时（毫秒）
+            this.timings = {};
+
+            // IndexedDB持久缓存：按PDF指纹 + URL保存页面文本、章节地图和本地章节数据
+            this.pageStore = window.HKEXPageCache && this.options.cache.enabled
+                ? new window.HKEXPageCache(this.options.cache)
+                : null;
+            this.cacheKey = null;
+            // 缓存命中时恢复的本地章节数据
+            this.cachedSections = null;
         }
     
         /**
@@ -54,7 +107,23 @@
                     legalAdvisersToCompany: [],
                     legalAdvisersToSponsors: []
                 }),
-                configureAI: (config) => {
+                parseSyndicate: (chunks) => [],
+                parseParties: (professionalChunks, syndicateChunks, profile) => ({ professionals: {}, syndicate: [], aiStats: null }),
+                parseManagement: (text) => [],
+                parseShareholders: (sources) => ({}),
+                parseOffering: (texts) => null,
+                parseUseOfProceeds: (text) => null,
+                digestRiskFactors: (categories) => categories.map(category => ({ ...category, digest: null })),
+                extractCustomFieldWithAI: (field, text) => ({ value: null, unit: '' }),
+                aiFailures: {},
+                resetAIFailures: () => {},
+                markAIFailure: (field, label, error) => {},
+                measureAI: async (fn) => ({
+                    value: await fn(),
+                    stats: { elapsedMs: 0, calls: 0, promptTokens: 0, completionTokens: 0 }
+                }),
+                configure: (options) => {},
+                configureProfileAI: (ai) => {
                     this.logger.info('备用解析器：AI配置已忽略');
                 }
             };
@@ -135,6 +204,7 @@
 
                 // 提取各个章节的文本
                 const sections = await this.extractAllRequiredSections();
+                this.parser.resetAIFailures();
                 
                 // 日志：各章节文本长度和前500字符
                 this.logger.info('[调试] 传递给parser的sections内容', {
@@ -148,17 +218,54 @@
                 
                 this.logger.info('调用parseCompanyInfo前的sections', JSON.stringify(sections));
                 
-                // 使用parser分析提取的文本
-                this.extractedInfo.company = await this.parser.parseCompanyInfo(sections);
-                this.logger.info('[调试] 传递给parseServiceProviders的professionalChunks', sections.professionalChunks);
-                this.extractedInfo.professionals = await this.parser.parseServiceProviders(sections.professionalChunks);
+                // 使用parser分析提取的文本；全部AI调用（公司信息、参与方、董事、股东、发售、所得款项、自定义字段）合计耗时和用量
+                let parties = null;
+                const extractionUsage = await this.parser.measureAI(async () => {
+                    this.extractedInfo.company = await this.parser.parseCompanyInfo(sections);
+                    this.logger.info('[调试] 传递给parseParties的professionalChunks', sections.professionalChunks);
+                    parties = await this.parser.parseParties(sections.professionalChunks, sections.syndicateChunks || {}, this.profile);
+                    this.extractedInfo.professionals = parties.professionals;
+                    this.extractedInfo.syndicate = parties.syndicate;
+                    this.extractedInfo.management = await this.parser.parseManagement(sections.managementText || '');
+                    this.extractedInfo.shareholders = await this.parser.parseShareholders(sections.shareholdingSources || {});
+                    this.extractedInfo.offering = await this.parser.parseOffering({
+                        cover: sections.firstPageText,
+                        timetable: sections.timetableText || '',
+                        structure: sections.structureText || ''
+                    });
+                    this.extractedInfo.useOfProceeds = await this.parser.parseUseOfProceeds(sections.proceedsText || '');
+                    this.extractedInfo.financials = sections.financials || null;
+                    this.extractedInfo.customFields = await this.extractCustomFields();
+                });
+                const aiStats = this.recordAIStats(parties.aiStats, extractionUsage.stats);
+                // 经重新提问仍未得到合格JSON的字段，键为字段路径（见 TextParser.markAIFailure）
+                this.extractedInfo.aiFailures = { ...this.parser.aiFailures };
                 
                 this.extractedInfo.metadata = {
                     extractTime: new Date().toISOString(),
                     pdfUrl: window.location.href,
                     directorPages: sections.metadata.directorPages,
+                    corporateInformationPages: sections.metadata.corporateInformationPages,
+                    managementPages: sections.metadata.managementPages,
+                    shareholdingPages: sections.metadata.shareholdingPages,
+                    timetablePages: sections.metadata.timetablePages,
+                    structurePages: sections.metadata.structurePages,
+                    proceedsPages: sections.metadata.proceedsPages,
+                    chapterSource: sections.metadata.chapterSource,
+                    companyTypeLabel: window.HKEXJurisdictions
+                        ? window.HKEXJurisdictions.getProfile(sections.companyType).label
+                        : sections.companyType,
+                    language: sections.language || 'en',
+                    languageLabel: this.getLanguageProfile().label,
+                    documentType: sections.documentType,
+                    documentTypeLabel: window.HKEXDocumentTypes
+                        ? window.HKEXDocumentTypes.getType(sections.documentType).label
+                        : sections.documentType,
                     weAreLocation: sections.metadata.weAreLocation,
                     companyType: sections.companyType,
+                    profile: this.profile && window.HKEXProfiles ? window.HKEXProfiles.summarize(this.profile) : null,
+                    partyDetails: !!(this.parser.options && this.parser.options.partyDetails),
+                    aiStats,
                     totalPages: this.pdfDoc.numPages
                 };
                 
@@ -182,16 +289,21 @@
     
         /**
          * 初始化PDF文档
+         * @param {string} [pdfUrl] - PDF地址，默认为当前页面（双语模式下用于后台加载中文版）
+         * @returns {Promise<boolean>} 是否初始化成功
          */
-        async initializePDF() {
+        async initializePDF(pdfUrl = window.location.href) {
             try {
-                this.logger.info('开始初始化PDF文档');
+                if (this.pdfDoc) {
+                    this.logger.debug('PDF文档已加载，复用现有实例');
+                    return true;
+                }
+                this.logger.info('开始初始化PDF文档', { pdfUrl });
                 if (typeof pdfjsLib === 'undefined') {
                     this.logger.error('PDF.js库未加载');
                     return false;
                 }
                 
-                const pdfUrl = window.location.href;
                 if (!pdfUrl.includes('.pdf')) {
                     throw new Error('当前页面不是PDF文档');
                 }
@@ -203,7 +315,9 @@
                 });
                 
                 this.pdfDoc = await loadingTask.promise;
+                this.pdfUrl = pdfUrl;
                 this.logger.info(`PDF文档加载成功，共 ${this.pdfDoc.numPages} 页`);
+                await this.restoreFromCache(pdfUrl);
                 return true;
             } catch (error) {
                 this.logger.error('PDF文档初始化失败', error);
@@ -211,6 +325,64 @@
             }
         }
 
+        /**
+         * 从IndexedDB恢复页面文本、章节地图和本地章节数据
+         * @param {string} pdfUrl - PDF地址
+         * @returns {Promise<boolean>} 是否命中缓存
+         */
+        async restoreFromCache(pdfUrl) {
+            if (!this.pageStore || !this.pdfDoc) return false;
+            try {
+                this.cacheKey = window.HKEXPageCache.buildKey(this.pdfDoc, pdfUrl, `${this.options.textMode}|v${CACHE_VERSION}`);
+                const record = await this.pageStore.get(this.cacheKey);
+                if (!record) {
+                    this.logger.info('页面缓存未命中', { key: this.cacheKey });
+                    return false;
+                }
+                Object.entries(record.pages || {}).forEach(([pageNum, text]) => {
+                    this.pageTextCache.set(parseInt(pageNum, 10), text);
+                });
+                Object.entries(record.metas || {}).forEach(([pageNum, meta]) => {
+                    this.pageMetaCache.set(parseInt(pageNum, 10), meta);
+                });
+                this.cachedSections = record.preparedData || null;
+                this.language = this.cachedSections ? this.cachedSections.language || null : null;
+                if (record.chapterMap && window.HKEXChapterMap) {
+                    this.chapterMap = new window.HKEXChapterMap(this.pdfDoc, {
+                        getPageText: (pageNum) => this.extractPageText(pageNum),
+                        getPageMeta: (pageNum) => this.extractPageMeta(pageNum),
+                        chapterTitles: this.getLanguageProfile().chapterTitles
+                    });
+                    this.chapterMap.restore(record.chapterMap);
+                }
+                this.logger.info('已从缓存恢复页面文本', {
+                    pages: this.pageTextCache.size,
+                    chapters: this.chapterMap ? this.chapterMap.chapters.length : 0,
+                    hasSections: !!this.cachedSections
+                });
+                return true;
+            } catch (error) {
+                this.logger.warn('恢复页面缓存失败', error);
+                return false;
+            }
+        }
+
+        /**
+         * 将已解析的页面文本、章节地图和本地章节数据写入IndexedDB
+         * @param {Object} sections - extractAllRequiredSections的结果
+         * @returns {Promise<boolean>} 是否写入成功
+         */
+        async saveToCache(sections) {
+            if (!this.pageStore || !this.cacheKey) return false;
+            return this.pageStore.put(this.cacheKey, {
+                url: this.pdfUrl || window.location.href,
+                pages: Object.fromEntries(this.pageTextCache),
+                metas: Object.fromEntries(this.pageMetaCache),
+                chapterMap: this.chapterMap ? this.chapterMap.toJSON() : null,
+                preparedData: sections
+            });
+        }
+
         /**
          * 提取所有必需的章节文本，调用前确保PDF已初始化
          * @returns {Promise<Object>} 包含各章节文本的对象
@@ -226,68 +398,191 @@
                         throw new Error('PDF文档未初始化，无法提取章节');
                     }
                 }
+                const profile = await this.loadProfile();
+                // 缓存命中时直接返回，跳过全部页面解析；关键词片段按当前提取配置重新截取（配置可能已更换）
+                if (this.cachedSections) {
+                    this.logger.info('命中IndexedDB缓存，跳过PDF页面解析');
+                    this.cachedSections.professionalChunks = this.extractProfessionalChunks(
+                        this.getChunkSources(this.cachedSections),
+                        this.cachedSections.companyType,
+                        profile
+                    );
+                    this.cachedSections.syndicateChunks = this.extractSyndicateChunks(this.cachedSections.directorsText || '', profile);
+                    return this.cachedSections;
+                }
+
+                const totalStart = performance.now();
+                this.timings = {};
+                // 启动页面流水线，后台按页序并发预取全部页面
+                const pipeline = this.getPagePipeline();
+                if (pipeline) pipeline.start();
+
                 // 1. 提取首页文本
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 步骤1: 提取首页文本`);
-                const firstPageText = await this.extractPageText(1);
+                const firstPageText = await this.timed('firstPage', () => this.extractPageText(1));
+
+                // 1.1 判断文档语言，中文版使用中文章节标题和专业机构标题
+                const language = this.detectLanguage(firstPageText);
+
+                // 1.2 识别文档类型，决定封面锚点和需要定位的章节
+                const documentType = this.classifyDocument(firstPageText);
+                const sectionProfile = window.HKEXDocumentTypes
+                    ? window.HKEXDocumentTypes.getType(documentType).sections
+                    : { weAre: true, summary: true, directors: true, management: true, shareholders: true, cornerstone: true, offering: true, proceeds: true };
+
+                // 1.5 构建章节地图（后续所有章节定位均基于此），同时搜索"We are"语句
+                const [chapterMap, weAreResult] = await Promise.all([
+                    this.timed('chapterMap', () => this.buildChapterMap()),
+                    sectionProfile.weAre
+                        ? this.timed('weAre', () => this.extractWeAreStatement())
+                        : { text: '', location: null }
+                ]);
 
                 // 2. 检测公司类型
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 步骤2: 检测公司类型`);
                 const companyType = this.detectCompanyType(firstPageText);
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 检测到公司类型: ${companyType}`);
 
-                // 3. 搜索并提取"We are"语句
-                const weAreResult = await this.extractWeAreStatement();
+                // 3. "We are"语句已在步骤1.5中并行提取
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] We are句子位置: ${JSON.stringify(weAreResult.location)}, 文本长度: ${weAreResult.text.length}`);
                 
                 // 4. 查找Summary章节
-                const summarySection = await this.findSummarySection();
+                const summarySection = sectionProfile.summary
+                    ? await this.timed('summary', () => this.findSummarySection())
+                    : null;
                 let summaryText = '';
-                if (summarySection) {
+                if (!sectionProfile.summary) {
+                    this.logger.info(`文档类型 ${documentType} 无Summary章节，跳过`);
+                } else if (summarySection) {
                     this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] Summary章节找到: 第${summarySection.startPage}页至${summarySection.endPage}页`);
-                    summaryText = await this.extractChapterText(summarySection.startPage, summarySection.endPage);
+                    summaryText = await this.timed('summaryText', () => this.extractChapterText(summarySection.startPage, summarySection.endPage));
                 } else {
                     this.logger.warn(`[ProspectusExtractor][WARN][${new Date().toISOString()}] 未找到Summary章节，尝试使用We are语句替代`);
                     summaryText = weAreResult.text;
                 }
 
+                // 4.5 按文本坐标重建Summary章节中的历史财务资料表格
+                const financials = summarySection
+                    ? await this.timed('financials', () => this.extractFinancialSummary(summarySection))
+                    : null;
+
                 // 5. 查找Directors章节
-                const directorsSection = await this.findDirectorsSection(companyType);
+                const directorsSection = sectionProfile.directors
+                    ? await this.timed('directors', () => this.findDirectorsSection(companyType))
+                    : null;
                 let directorsText = '';
                 let directorPages = '';
-                if (directorsSection) {
+                if (!sectionProfile.directors) {
+                    this.logger.info(`文档类型 ${documentType} 无Directors章节，跳过专业机构提取`);
+                } else if (directorsSection) {
                     directorPages = `${directorsSection.startPage}-${directorsSection.endPage}`;
                     this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] Directors章节找到: 第${directorsSection.startPage}页至${directorsSection.endPage}页`);
-                    directorsText = await this.extractChapterText(directorsSection.startPage, directorsSection.endPage);
+                    directorsText = await this.timed('directorsText', () => this.extractChapterText(directorsSection.startPage, directorsSection.endPage));
                 } else {
                     this.logger.warn(`[ProspectusExtractor][WARN][${new Date().toISOString()}] 未找到Directors章节`);
                 }
 
+                // 6. 查找Corporate Information章节（公司秘书、授权代表、注册办事处等参与方多列在此章）
+                const corporateInformationSection = sectionProfile.directors
+                    ? await this.timed('corporateInformation', () => this.findSection('corporateInformation'))
+                    : null;
+                let corporateInformationText = '';
+                let corporateInformationPages = '';
+                if (corporateInformationSection) {
+                    corporateInformationPages = `${corporateInformationSection.startPage}-${corporateInformationSection.endPage}`;
+                    corporateInformationText = await this.timed('corporateInformationText', () => this.extractChapterText(corporateInformationSection.startPage, corporateInformationSection.endPage));
+                } else if (sectionProfile.directors) {
+                    this.logger.warn('未找到Corporate Information章节，相关参与方在Directors章节中查找');
+                }
+
+                // 7. 查找Directors and Senior Management章节（董事、监事名单及简历）
+                const managementSection = sectionProfile.management
+                    ? await this.timed('management', () => this.findManagementSection(companyType))
+                    : null;
+                let managementText = '';
+                let managementPages = '';
+                if (managementSection) {
+                    const managementEndPage = Math.min(managementSection.endPage, managementSection.startPage + MANAGEMENT_MAX_PAGES - 1);
+                    managementPages = `${managementSection.startPage}-${managementEndPage}`;
+                    managementText = await this.timed('managementText', () => this.extractChapterText(managementSection.startPage, managementEndPage));
+                } else if (sectionProfile.management) {
+                    this.logger.warn('未找到Directors and Senior Management章节，跳过董事及监事提取');
+                }
+
+                // 8. 查找控股股东、首次公开发售前投资、基石投资者所在章节
+                const shareholdingSources = sectionProfile.shareholders
+                    ? await this.timed('shareholders', () => this.extractShareholdingSources(sectionProfile))
+                    : {};
+                const shareholdingPages = Object.fromEntries(
+                    Object.entries(shareholdingSources).map(([key, source]) => [key, `${source.startPage}-${source.endPage}`])
+                );
+
+                // 9. 查找Expected Timetable和Structure of the Global Offering章节（发售条款）
+                const timetable = sectionProfile.offering
+                    ? await this.timed('timetable', () => this.extractOfferingChapter('expectedTimetable'))
+                    : { text: '', pages: '' };
+                const structure = sectionProfile.offering
+                    ? await this.timed('structure', () => this.extractOfferingChapter('structure'))
+                    : { text: '', pages: '' };
+
+                // 10. 查找Future Plans and Use of Proceeds章节中的所得款项用途
+                const proceeds = sectionProfile.proceeds
+                    ? await this.timed('proceeds', () => this.extractProceedsSection())
+                    : { text: '', pages: '' };
+
                 // 创建返回对象
                 const sections = {
                     firstPageText,
+                    language,
+                    documentType,
                     companyType,
                     weAreText: weAreResult.text,
                     summaryText,
                     directorsText,
+                    corporateInformationText,
+                    managementText,
+                    shareholdingSources,
+                    timetableText: timetable.text,
+                    structureText: structure.text,
+                    proceedsText: proceeds.text,
+                    financials,
                     metadata: {
                         directorPages,
-                        weAreLocation: weAreResult.location
+                        corporateInformationPages,
+                        managementPages,
+                        shareholdingPages,
+                        timetablePages: timetable.pages,
+                        structurePages: structure.pages,
+                        proceedsPages: proceeds.pages,
+                        weAreLocation: weAreResult.location,
+                        chapterSource: chapterMap ? chapterMap.source : 'none',
+                        chapters: chapterMap ? chapterMap.chapters : [],
+                        timings: this.timings
                     }
                 };
                 
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] [章节内容预览][Summary] 长度: ${summaryText.length}, 前500字符: ${summaryText.slice(0, 500)}`);
                 
                 // ========== 新增：提取专业机构关键词片段 ==========
-                sections.professionalChunks = this.extractProfessionalChunks(directorsText);
+                sections.professionalChunks = this.extractProfessionalChunks(this.getChunkSources(sections), companyType, profile);
+                sections.syndicateChunks = this.extractSyndicateChunks(directorsText, profile);
+                this.timings.total = Math.round(performance.now() - totalStart);
+                this.logger.info('章节提取耗时统计（毫秒）', {
+                    ...this.timings,
+                    pipeline: pipeline ? pipeline.getStats() : null
+                });
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] [专业机构关键词片段] 提取完成: ${JSON.stringify(sections.professionalChunks)}`);
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 所有章节提取完成: ` + JSON.stringify({
                     firstPageLength: firstPageText.length,
                     weAreLength: weAreResult.text.length,
                     directorsLength: directorsText.length,
+                    language,
+                    documentType,
                     companyType,
                     directorPages: directorPages
                 }));
                 
+                await this.saveToCache(sections);
                 return sections;
             } catch (error) {
                 this.logger.error(`[ProspectusExtractor][ERROR][${new Date().toISOString()}] 提取章节文本失败`, error);
@@ -296,33 +591,116 @@
         }
 
         /**
-         * 检测公司类型
+         * 记录本次提取的AI调用统计，并附上本页面另一种参与方提取方式（合并 / 逐类）最近一次的统计，便于对比耗时和 token 用量
+         * @param {Object|null} partyStats - TextParser.parseParties 返回的 aiStats
+         * @param {Object} extractionStats - 本次提取全部AI调用的合计（measureAI 的 stats）
+         * @returns {Object|null} metadata.aiStats：参与方统计加 extraction（全部调用合计）和 previous（另一种方式最近一次的统计）
+         */
+        recordAIStats(partyStats, extractionStats) {
+            if (!partyStats) return null;
+            const stats = { ...partyStats, extraction: extractionStats };
+            const otherMode = stats.mode === 'batch' ? 'perRole' : 'batch';
+            const previous = this.aiStatsHistory[otherMode];
+            this.aiStatsHistory[stats.mode] = stats;
+            return { ...stats, previous: previous ? { ...previous, previous: undefined } : null };
+        }
+
+        /**
+         * 只读取参与各方相关的章节（中英核对的中文版使用）：首页、Directors章节和Corporate Information章节，
+         * 不提取财务、股权、发售等章节，也不写入页面缓存；章节定位沿用章节地图，构建时仍会解析全书各页的页眉和页码
+         * @returns {Promise<Object>} 与 extractAllRequiredSections 结果同名的字段子集，含 professionalChunks 和 syndicateChunks
+         */
+        async extractPartySections() {
+            const profile = await this.loadProfile();
+            const firstPageText = await this.extractPageText(1);
+            const language = this.detectLanguage(firstPageText);
+            const documentType = this.classifyDocument(firstPageText);
+            const companyType = this.detectCompanyType(firstPageText);
+            const hasParties = window.HKEXDocumentTypes ? window.HKEXDocumentTypes.getType(documentType).sections.directors : true;
+            const readChapter = async (section) => (section ? this.extractChapterText(section.startPage, section.endPage) : '');
+            const sections = {
+                firstPageText,
+                language,
+                documentType,
+                companyType,
+                weAreText: '',
+                directorsText: hasParties ? await readChapter(await this.findDirectorsSection(companyType)) : '',
+                corporateInformationText: hasParties ? await readChapter(await this.findSection('corporateInformation')) : ''
+            };
+            sections.professionalChunks = this.extractProfessionalChunks(this.getChunkSources(sections), companyType, profile);
+            sections.syndicateChunks = this.extractSyndicateChunks(sections.directorsText, profile);
+            this.logger.info('参与各方章节提取完成', {
+                language,
+                documentType,
+                directorsLength: sections.directorsText.length,
+                corporateInformationLength: sections.corporateInformationText.length
+            });
+            return sections;
+        }
+
+        /**
+         * 按首页中日韩文字占比判断文档语言，并记录在实例上供后续章节定位使用
+         * @param {string} firstPageText - 首页文本
+         * @returns {string} 'zh' 或 'en'
+         */
+        detectLanguage(firstPageText) {
+            this.language = window.HKEXLanguageProfiles
+                ? window.HKEXLanguageProfiles.detect(firstPageText)
+                : 'en';
+            this.logger.info(`检测到文档语言: ${this.language}`);
+            return this.language;
+        }
+
+        /**
+         * 获取当前文档语言的提取配置
+         * @returns {Object} 语言配置（模块未加载时返回仅含英文默认值的配置）
+         */
+        getLanguageProfile() {
+            if (window.HKEXLanguageProfiles) {
+                return window.HKEXLanguageProfiles.getProfile(this.language);
+            }
+            return {
+                label: '英文',
+                chapterTitles: null,
+                directorsTitles: null,
+                summaryKeywords: ['SUMMARY', 'Summary'],
+                weArePattern: /We\s+are\s+[^.!?]+[.!?]/i
+            };
+        }
+
+        /**
+         * 识别文档类型（申请版本、聆讯后资料集、正式招股章程、配发结果公告或其他）
+         * @param {string} firstPageText - 首页文本
+         * @returns {string} 文档类型键
+         */
+        classifyDocument(firstPageText) {
+            if (!window.HKEXDocumentTypes) {
+                this.logger.warn('文档类型识别模块未加载，按申请版本处理');
+                return 'applicationProof';
+            }
+            const documentType = window.HKEXDocumentTypes.classify(firstPageText);
+            this.logger.info(`检测到文档类型: ${documentType}`);
+            return documentType;
+        }
+
+        /**
+         * 检测公司注册地
          * @param {string} firstPageText - 首页文本
-         * @returns {string} 公司类型
+         * @returns {string} 注册地键（prc / cayman / bermuda / bvi / hongKong / singapore / other）
          */
         detectCompanyType(firstPageText) {
             try {
-                this.logger.debug("开始检测公司类型");
-                
-                // 检测开曼公司的关键词
-                const caymanPatterns = [
-                    /cayman\s+islands?/i,
-                    /开曼群岛/i,
-                    /incorporated\s+in\s+the\s+cayman\s+islands?/i
-                ];
-                
-                for (const pattern of caymanPatterns) {
-                    if (pattern.test(firstPageText)) {
-                        this.logger.info("检测到开曼公司");
-                        return 'cayman';
-                    }
+                this.logger.debug("开始检测公司注册地");
+                if (!window.HKEXJurisdictions) {
+                    this.logger.warn('注册地识别模块未加载，无法检测注册地');
+                    return 'other';
                 }
-                
-                this.logger.info("检测到非开曼公司");
-                return 'non-cayman';
+                const companyType = window.HKEXJurisdictions.detect(firstPageText);
+                this.logger.info(`检测到公司注册地: ${window.HKEXJurisdictions.getProfile(companyType).label}`, { companyType });
+                return companyType;
             } catch (error) {
                 this.logger.error("检测公司类型失败", error);
-                return 'unknown';
+                return 'other';
             }
         }
     
@@ -334,26 +712,25 @@
             try {
                 this.logger.info("开始搜索'We are'语句");
                 
-                // 搜索整本招股书
-                for (let pageNum = 1; pageNum <= this.pdfDoc.numPages; pageNum++) {
-                    const pageText = await this.extractPageText(pageNum);
-                    
-                    // 检查是否包含"We are"语句
-                    const weAreMatch = pageText.match(/We\s+are\s+[^.!?]+[.!?]/i);
-                    if (weAreMatch) {
-                        this.logger.info(`在第${pageNum}页找到"We are"语句: ${weAreMatch[0].substring(0, 100)}...`);
-                        
-                        // 提取包含该语句的段落（扩展上下文）
-                        const paragraph = this.extractParagraphContaining(pageText, weAreMatch[0]);
-                        
-                        return {
-                            text: paragraph,
-                            location: {
-                                page: pageNum,
-                                sentence: weAreMatch[0]
-                            }
-                        };
-                    }
+                const weArePattern = this.getLanguageProfile().weArePattern;
+                // 搜索整本招股书，按页序返回第一个命中页
+                const hit = await this.findFirstPage(pageText => weArePattern.test(pageText));
+                if (hit) {
+                    const pageNum = hit.page;
+                    const pageText = hit.text;
+                    const weAreMatch = pageText.match(weArePattern);
+                    this.logger.info(`在第${pageNum}页找到"We are"语句: ${weAreMatch[0].substring(0, 100)}...`);
+
+                    // 提取包含该语句的段落（扩展上下文）
+                    const paragraph = this.extractParagraphContaining(pageText, weAreMatch[0]);
+
+                    return {
+                        text: paragraph,
+                        location: {
+                            page: pageNum,
+                            sentence: weAreMatch[0]
+                        }
+                    };
                 }
                 
                 this.logger.warn("未找到'We are'语句");
@@ -417,18 +794,113 @@
         }
     
         /**
-         * 根据公司类型查找Directors章节
-         * 非cayman公司若查不到，自动切换为开曼公司关键词查找
-         * @param {string} companyType - 公司类型
+         * 构建章节地图（只构建一次）
+         * @returns {Promise<Object|null>} ChapterMap实例
+         */
+        async buildChapterMap() {
+            if (this.chapterMap) return this.chapterMap;
+            const ChapterMapClass = window.HKEXChapterMap;
+            if (!ChapterMapClass) {
+                this.logger.warn('ChapterMap未加载，章节定位将使用关键词扫描');
+                return null;
+            }
+            const chapterMap = new ChapterMapClass(this.pdfDoc, {
+                getPageText: (pageNum) => this.extractPageText(pageNum),
+                getPageMeta: (pageNum) => this.extractPageMeta(pageNum),
+                chapterTitles: this.getLanguageProfile().chapterTitles
+            });
+            await chapterMap.build();
+            this.chapterMap = chapterMap;
+            return chapterMap;
+        }
+
+        /**
+         * 通过章节地图查找章节
+         * @param {string} key - 预设章节键（如 summary、directors、business）
+         * @param {Array<string>} [titles] - 额外候选标题，优先于预设别名
+         * @returns {Promise<Object|null>} { startPage, endPage, title, source }
+         */
+        async findSection(key, titles = []) {
+            try {
+                const chapterMap = await this.buildChapterMap();
+                if (!chapterMap) return null;
+                const chapter = (titles.length > 0 && chapterMap.findChapter(titles)) || chapterMap.findChapterByKey(key);
+                if (!chapter) {
+                    this.logger.warn(`章节地图中未找到章节: ${key}`);
+                    return null;
+                }
+                this.logger.info(`章节地图命中 ${key}: ${chapter.title} 第${chapter.startPage}页至${chapter.endPage}页（来源: ${chapter.source}）`);
+                return {
+                    startPage: chapter.startPage,
+                    endPage: chapter.endPage,
+                    title: chapter.title,
+                    source: chapter.source
+                };
+            } catch (error) {
+                this.logger.error(`查找章节失败: ${key}`, error);
+                return null;
+            }
+        }
+
+        /**
+         * 根据公司注册地查找Directors章节
+         * 优先使用章节地图，地图中没有时退回关键词扫描
+         * @param {string} companyType - 注册地键
          * @returns {Promise<Object|null>} 章节位置信息
          */
         async findDirectorsSection(companyType) {
+            const titles = this.getDirectorsTitles(companyType);
+            const section = await this.findSection('directors', titles);
+            if (section) return section;
+            this.logger.warn('章节地图未定位到Directors章节，退回关键词扫描');
+            return this.findDirectorsSectionByKeywords(companyType);
+        }
+
+        /**
+         * 查找Directors and Senior Management章节：英文版优先使用注册地的章节标题写法，中文版使用语言配置中的标题
+         * @param {string} companyType - 注册地键
+         * @returns {Promise<Object|null>} 章节位置信息
+         */
+        async findManagementSection(companyType) {
+            const titles = this.language !== 'zh' && window.HKEXJurisdictions
+                ? window.HKEXJurisdictions.getProfile(companyType).managementTitles
+                : [];
+            return this.findSection('management', titles);
+        }
+
+        /**
+         * 获取注册地对应的Directors章节标题（本注册地写法在前，其余写法在后）
+         * @param {string} companyType - 注册地键
+         * @returns {Array<string>} 章节标题列表
+         */
+        getDirectorsTitles(companyType) {
+            const languageTitles = this.getLanguageProfile().directorsTitles;
+            if (languageTitles) {
+                const hasSupervisors = window.HKEXJurisdictions && window.HKEXJurisdictions.getProfile(companyType).hasSupervisors;
+                return hasSupervisors
+                    ? [...languageTitles.supervisors, ...languageTitles.default]
+                    : [...languageTitles.default, ...languageTitles.supervisors];
+            }
+            if (window.HKEXJurisdictions) {
+                return window.HKEXJurisdictions.getDirectorsTitles(companyType);
+            }
+            return ['Directors and Parties Involved', 'Directors, Supervisors and Parties Involved'];
+        }
+
+        /**
+         * 根据公司注册地用关键词扫描查找Directors章节（章节地图不可用时的兜底）
+         * 本注册地标题查不到时，自动切换为其他注册地的标题兼容查找
+         * @param {string} companyType - 注册地键
+         * @returns {Promise<Object|null>} 章节位置信息
+         */
+        async findDirectorsSectionByKeywords(companyType) {
             try {
-                this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 开始查找Directors章节，公司类型: ${companyType}`);
-                // 优先选择当前公司类型的关键词
-                let searchKeywords = companyType === 'cayman'
-                    ? ['Directors and Parties Involved', 'DIRECTORS AND PARTIES INVOLVED']
-                    : ['Directors, Supervisors and Parties Involved', 'DIRECTORS, SUPERVISORS AND PARTIES INVOLVED'];
+                this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 开始查找Directors章节，公司注册地: ${companyType}`);
+                // 逐页 includes 匹配，只用不含"in the Global Offering"的短标题；本注册地写法在前
+                const [ownTitle, ...fallbackTitles] = this.getDirectorsTitles(companyType)
+                    .filter(title => !/in the Global Offering$/i.test(title));
+                // 中文标题没有大小写之分，去重避免同一页被重复计数
+                let searchKeywords = [...new Set([ownTitle, ownTitle.toUpperCase()])];
                 this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 搜索关键词: ${searchKeywords.join(', ')}`);
                 let foundOccurrences = [];
 
@@ -446,10 +918,10 @@
                     }
                 }
 
-                // 如果非cayman公司未找到Directors章节，尝试使用开曼公司关键词
-                if (companyType !== 'cayman' && foundOccurrences.length === 0) {
-                    this.logger.warn(`[ProspectusExtractor][WARN][${new Date().toISOString()}] 非cayman公司未找到Directors章节，自动切换为开曼公司关键词兼容查找`);
-                    searchKeywords = ['Directors and Parties Involved', 'DIRECTORS AND PARTIES INVOLVED'];
+                // 如果本注册地标题未找到Directors章节，尝试使用其他注册地的标题
+                if (fallbackTitles.length > 0 && foundOccurrences.length === 0) {
+                    this.logger.warn(`[ProspectusExtractor][WARN][${new Date().toISOString()}] 按本注册地标题未找到Directors章节，自动切换为其他标题兼容查找`);
+                    searchKeywords = [...new Set(fallbackTitles.flatMap(title => [title, title.toUpperCase()]))];
                     this.logger.info(`[ProspectusExtractor][INFO][${new Date().toISOString()}] 兼容搜索关键词: ${searchKeywords.join(', ')}`);
                     // 重新查找
                     for (let pageNum = 1; pageNum <= this.pdfDoc.numPages; pageNum++) {
@@ -540,7 +1012,59 @@
             }
         }
     
-               /**
+        /**
+         * 获取页面文本流水线（PDF加载后创建一次）
+         * @returns {Object|null} PageTextPipeline实例
+         */
+        getPagePipeline() {
+            if (this.pipeline) return this.pipeline;
+            if (!window.HKEXPagePipeline || !this.pdfDoc) return null;
+            this.pipeline = new window.HKEXPagePipeline(
+                this.pdfDoc.numPages,
+                (pageNum) => this.pageTextCache.has(pageNum)
+                    ? this.pageTextCache.get(pageNum)
+                    : this.loadPageContent(pageNum),
+                { concurrency: this.options.concurrency }
+            );
+            return this.pipeline;
+        }
+
+        /**
+         * 按页序查找第一个满足条件的页面（有流水线时不重复解析）
+         * @param {Function} predicate - (text, pageNum) => boolean
+         * @param {Object} [range] - { from, to }
+         * @returns {Promise<{page: number, text: string}|null>}
+         */
+        async findFirstPage(predicate, range = {}) {
+            const pipeline = this.getPagePipeline();
+            if (pipeline) {
+                return pipeline.findFirstPage(predicate, range);
+            }
+            const from = range.from || 1;
+            const to = Math.min(range.to || this.pdfDoc.numPages, this.pdfDoc.numPages);
+            for (let pageNum = from; pageNum <= to; pageNum++) {
+                const text = await this.extractPageText(pageNum);
+                if (predicate(text, pageNum)) return { page: pageNum, text };
+            }
+            return null;
+        }
+
+        /**
+         * 执行步骤并记录耗时到 this.timings
+         * @param {string} label - 步骤名
+         * @param {Function} fn - 异步步骤
+         * @returns {Promise<any>} 步骤结果
+         */
+        async timed(label, fn) {
+            const start = performance.now();
+            try {
+                return await fn();
+            } finally {
+                this.timings[label] = Math.round(performance.now() - start);
+            }
+        }
+
+        /**
          * 提取单页文本（带缓存）
          * @param {number} pageNum - 页码
          * @returns {Promise<string>} 页面文本
@@ -551,20 +1075,63 @@
                 if (this.pageTextCache.has(pageNum)) {
                     return this.pageTextCache.get(pageNum);
                 }
-                
-                const page = await this.pdfDoc.getPage(pageNum);
-                const content = await page.getTextContent();
-                const pageText = content.items.map(item => item.str).join(' ');
-                
-                // 缓存结果
-                this.pageTextCache.set(pageNum, pageText);
-                
-                return pageText;
+
+                // 经流水线解析，避免同一页被并发重复解析
+                const pipeline = this.getPagePipeline();
+                if (pipeline) {
+                    return await pipeline.getPage(pageNum);
+                }
+                return await this.loadPageContent(pageNum);
             } catch (error) {
                 this.logger.error(`提取第${pageNum}页文本失败`, error);
                 return '';
             }
         }
+
+        /**
+         * 提取单页页眉和页脚页码（带缓存）
+         * @param {number} pageNum - 页码
+         * @returns {Promise<{header: string, pageLabel: string}>} 页面元信息
+         */
+        async extractPageMeta(pageNum) {
+            try {
+                if (!this.pageMetaCache.has(pageNum)) {
+                    await this.extractPageText(pageNum);
+                }
+                return this.pageMetaCache.get(pageNum) || { header: '', pageLabel: '' };
+            } catch (error) {
+                this.logger.error(`提取第${pageNum}页页眉失败`, error);
+                return { header: '', pageLabel: '' };
+            }
+        }
+
+        /**
+         * 读取页面文本内容，同时缓存正文文本和页眉页码
+         * textMode为'plain'时正文保持原始空格拼接，页眉页码仍按版面识别
+         * @param {number} pageNum - 页码
+         * @returns {Promise<string>} 页面文本
+         */
+        async loadPageContent(pageNum) {
+            const page = await this.pdfDoc.getPage(pageNum);
+            const content = await page.getTextContent();
+            const plainText = content.items.map(item => item.str).join(' ');
+
+            let pageText = plainText;
+            let meta = { header: '', pageLabel: '' };
+            if (this.layoutBuilder) {
+                const layout = this.layoutBuilder.build(content.items, page.view);
+                meta = { header: layout.header, pageLabel: layout.pageLabel };
+                if (this.options.textMode !== 'plain') {
+                    pageText = layout.text;
+                }
+            }
+
+            // 缓存结果
+            this.pageTextCache.set(pageNum, pageText);
+            this.pageMetaCache.set(pageNum, meta);
+
+            return pageText;
+        }
     
         /**
          * 提取章节文本
@@ -575,12 +1142,12 @@
         async extractChapterText(startPage, endPage) {
             try {
                 this.logger.info(`提取章节文本，页码范围: ${startPage}-${endPage}`);
-                let text = "";
-                
+                const pageNums = [];
                 for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
-                    const pageText = await this.extractPageText(pageNum);
-                    text += pageText + "\n";
+                    pageNums.push(pageNum);
                 }
+                const pageTexts = await Promise.all(pageNums.map(pageNum => this.extractPageText(pageNum)));
+                const text = pageTexts.map(pageText => pageText + "\n").join('');
                 
                 this.logger.info(`章节文本提取完成，总长度: ${text.length}`);
                 return text;
@@ -606,60 +1173,195 @@
             
             // 公司信息
             output += '【公司基本信息】\n';
-            output += `公司英文名称: ${info.company?.companyName || '未找到'}\n`;
-            output += `公司中文名称: ${info.company?.companyChineseName || '未找到'}\n`;
+            output += `公司英文名称: ${info.company?.companyName || '未找到'}${this.formatVerification(info.company?.verification?.companyName)}\n`;
+            output += `公司中文名称: ${(window.HKEXBilingual ? window.HKEXBilingual.toSimplified(info.company?.companyChineseName) : info.company?.companyChineseName) || '未找到'}${this.formatVerification(info.company?.verification?.companyChineseName)}\n`;
             output += `公司类别: ${info.company?.companyType || '未确定'}\n`;
             output += `行业信息: ${info.company?.industry || '未找到'}\n\n`;
             
             output += '【参与各方信息】\n';
     
-            // 保荐人
-            if (info.professionals?.sponsors?.length > 0) {
-                output += '\n保荐人 (Sponsors):\n';
-                info.professionals.sponsors.forEach((sponsor, index) => {
-                    output += `  ${index + 1}. ${sponsor.name}\n`;
+            // 各类专业机构，顺序和标题来自提取配置
+            const roles = info.metadata?.profile?.roles
+                || Object.keys(info.professionals || {}).map(key => ({ key, label: key, labelEn: '' }));
+            const failures = info.aiFailures || {};
+            roles.forEach(role => {
+                const list = info.professionals?.[role.key];
+                if (failures[`professionals.${role.key}`] && (!Array.isArray(list) || list.length === 0)) {
+                    output += `\n${role.label}${role.labelEn ? ` (${role.labelEn})` : ''}: 提取失败\n`;
+                    return;
+                }
+                if (!Array.isArray(list) || list.length === 0) return;
+                output += `\n${role.label}${role.labelEn ? ` (${role.labelEn})` : ''}:\n`;
+                list.forEach((item, index) => {
+                    output += `  ${index + 1}. ${item.name}${this.formatVerification(item.verification)}\n`;
+                    output += this.formatPartyDetails(item);
                 });
-            }
+            });
             
-            // 审计师与报告会计师
-            if (info.professionals?.auditors?.length > 0) {
-                output += '\n审计师与报告会计师 (Auditor and Reporting Accountants):\n';
-                info.professionals.auditors.forEach((auditor, index) => {
-                    output += `  ${index + 1}. ${auditor.name}\n`;
+            // 承销团
+            if (Array.isArray(info.syndicate) && info.syndicate.length > 0) {
+                const syndicateLabels = Object.fromEntries((info.metadata?.profile?.syndicateRoles || []).map(role => [role.key, role.label]));
+                output += '\n\n【承销团】\n';
+                info.syndicate.forEach((firm, index) => {
+                    output += `  ${index + 1}. ${firm.name}${this.formatVerification(firm.verification)} — ${firm.roles.map(role => syndicateLabels[role] || role).join('、')}\n`;
+                    output += this.formatPartyDetails(firm);
                 });
             }
-            
-            // 行业顾问
-            if (info.professionals?.industryConsultants?.length > 0) {
-                output += '\n行业顾问 (Industry Consultant):\n';
-                info.professionals.industryConsultants.forEach((consultant, index) => {
-                    output += `  ${index + 1}. ${consultant.name}\n`;
+
+            // 发售条款
+            if (info.offering && window.HKEXOffering) {
+                const terms = info.offering;
+                const formatShares = value => (value !== null && value !== undefined ? `${value.toLocaleString('en-US')}股` : '未提取');
+                output += '\n\n【发售条款】\n';
+                output += `股份代号: ${terms.stockCode || '未提取'}\n`;
+                output += `发售股份数目: ${formatShares(terms.offerShares)}\n`;
+                output += `香港发售股份: ${formatShares(terms.hkOfferShares)}\n`;
+                output += `国际发售股份: ${formatShares(terms.internationalOfferShares)}\n`;
+                output += `发售价区间: ${window.HKEXOffering.formatPriceRange(terms.priceRange)}\n`;
+                output += `每手买卖单位: ${formatShares(terms.boardLot)}\n`;
+                Object.entries(window.HKEXOffering.TIMETABLE_EVENTS).forEach(([field, event]) => {
+                    output += `${event.label}: ${window.HKEXOffering.formatDateTime(terms[field])}\n`;
                 });
             }
-            
-            // 公司法律顾问
-            if (info.professionals?.legalAdvisersToCompany?.length > 0) {
-                output += '\n公司法律顾问 (Legal Advisers to the Company):\n';
-                info.professionals.legalAdvisersToCompany.forEach((adviser, index) => {
-                    output += `  ${index + 1}. ${adviser.name}\n`;
+
+            // 董事及监事
+            if (Array.isArray(info.management) && info.management.length > 0) {
+                const roster = window.HKEXManagement;
+                output += '\n\n【董事及监事】\n';
+                info.management.forEach((person, index) => {
+                    const name = roster ? roster.describeName(person) : (person.nameEn || person.nameZh);
+                    const parts = [roster ? roster.describeRole(person.role) : person.role];
+                    if (person.age) parts.push(`${person.age}岁`);
+                    if (person.appointmentDate) parts.push(`委任日期 ${person.appointmentDate}`);
+                    if (person.committees.length > 0) {
+                        parts.push(roster ? roster.describeCommittees(person.committees) : person.committees.join('、'));
+                    }
+                    output += `  ${index + 1}. ${name} — ${parts.join('，')}\n`;
                 });
             }
-    
-            // 保荐人法律顾问
-            if (info.professionals?.legalAdvisersToSponsors?.length > 0) {
-                output += '\n保荐人法律顾问 (Legal Advisers to the Sponsors):\n';
-                info.professionals.legalAdvisersToSponsors.forEach((adviser, index) => {
-                    output += `  ${index + 1}. ${adviser.name}\n`;
+
+            // 股权结构
+            const shareholderGroups = window.HKEXShareholders ? window.HKEXShareholders.GROUPS : {};
+            const shareholderEntries = Object.entries(info.shareholders || {}).filter(([, list]) => Array.isArray(list) && list.length > 0);
+            if (shareholderEntries.length > 0) {
+                output += '\n\n【股权结构】\n';
+                shareholderEntries.forEach(([key, list]) => {
+                    output += `\n${shareholderGroups[key] ? shareholderGroups[key].label : key}:\n`;
+                    list.forEach((holder, index) => {
+                        const text = window.HKEXShareholders ? window.HKEXShareholders.formatHolder(holder) : holder.name;
+                        output += `  ${index + 1}. ${text}${holder.page ? `（第${holder.page}页）` : ''}\n`;
+                    });
+                });
+            }
+
+            // 风险因素
+            if (info.riskFactors && info.riskFactors.categories.length > 0) {
+                output += `\n\n【风险因素】（第${info.riskFactors.pages}页）\n`;
+                info.riskFactors.categories.forEach(category => {
+                    output += `\n${category.title}（${category.headings.length}项）:\n`;
+                    if (category.digest) output += `摘要: ${category.digest}\n`;
+                    else if (category.digestError) output += '摘要: 提取失败\n';
+                    category.headings.forEach((heading, index) => {
+                        output += `  ${index + 1}. ${heading.text}（第${heading.page}页）\n`;
+                    });
+                });
+            }
+
+            // 所得款项用途
+            if (info.useOfProceeds && info.useOfProceeds.uses.length > 0) {
+                const proceeds = info.useOfProceeds;
+                output += '\n\n【所得款项用途】\n';
+                if (proceeds.netProceeds) {
+                    output += `所得款项净额: ${proceeds.netProceeds.currency || ''} ${proceeds.netProceeds.amount.toLocaleString('en-US')}百万\n`;
+                }
+                proceeds.uses.forEach((use, index) => {
+                    const amount = window.HKEXProceeds ? window.HKEXProceeds.formatAmount(use, proceeds.netProceeds) : String(use.amount ?? '—');
+                    output += `  ${index + 1}. ${use.purpose} — ${use.percentage !== null ? `${use.percentage}%` : '比例未载明'}，${amount}\n`;
+                });
+                if (window.HKEXProceeds) output += `${window.HKEXProceeds.describeCheck(proceeds)}\n`;
+            }
+
+            // 财务概要
+            if (info.financials && info.financials.rows.length > 0) {
+                const financials = info.financials;
+                const format = window.HKEXFinancials ? window.HKEXFinancials.formatAmount : value => String(value ?? '—');
+                const helper = window.HKEXFinancials;
+                output += `\n\n【财务概要】（${helper ? helper.describeUnit(financials) : `${financials.currency || ''} 百万，原单位 ${financials.sourceUnit || '未注明'}`}）\n`;
+                output += `项目: ${financials.periods.join(' | ')}\n`;
+                financials.rows.forEach(row => {
+                    output += `${helper ? helper.rowLabel(row) : row.label}: ${financials.periods.map(period => format(row.values[period])).join(' | ')}\n`;
+                });
+            }
+
+            // 自定义字段
+            if (Array.isArray(info.customFields) && info.customFields.length > 0) {
+                output += '\n\n【自定义字段】\n';
+                info.customFields.forEach(item => {
+                    const value = window.HKEXCustomFields ? window.HKEXCustomFields.formatValue(item) : String(item.value ?? '未提取');
+                    const page = item.source && item.source.page ? `（第${item.source.page}页）` : '';
+                    output += `${item.name}: ${value}${page}\n`;
                 });
             }
             
+            // 双语核对
+            if (info.bilingual && info.bilingual.status === 'done') {
+                output += '\n\n【中英文版本核对】\n';
+                output += `中文版链接: ${info.bilingual.chineseUrl}\n`;
+                const roleLabels = Object.fromEntries(roles.map(role => [role.key, role.label]));
+                Object.entries(info.bilingual.professionals || {}).forEach(([role, pairs]) => {
+                    if (!pairs || pairs.length === 0) return;
+                    output += `\n${roleLabels[role] || role}:\n`;
+                    pairs.forEach((pair, index) => {
+                        const flag = pair.status === 'missing' ? ' [两版不一致]' : (pair.status === 'order' ? ' [按顺序配对，待确认]' : '');
+                        output += `  ${index + 1}. ${pair.name || '（英文版无）'} / ${pair.chineseName || '（中文版无）'}${flag}\n`;
+                    });
+                });
+                if (info.bilingual.mismatches.length > 0) {
+                    output += '\n两版不一致的字段:\n';
+                    info.bilingual.mismatches.forEach(item => {
+                        output += `  - ${item.label}: 英文版 ${item.english || '无'} / 中文版 ${item.chinese || '无'}\n`;
+                    });
+                } else {
+                    output += '\n两版提取结果一致\n';
+                }
+                Object.values(info.bilingual.aiFailures || {}).forEach(failure => {
+                    output += `  - 中文版${failure.label}提取失败: ${failure.error}\n`;
+                });
+            }
+
+            // AI提取失败的字段
+            const failureEntries = Object.values(failures);
+            if (failureEntries.length > 0) {
+                output += '\n\n【AI提取失败】\n';
+                failureEntries.forEach((failure, index) => {
+                    output += `  ${index + 1}. ${failure.label}: ${failure.error}\n`;
+                });
+            }
+
             // 元数据
             output += '\n\n【提取元数据】\n';
             if (info.metadata) {
                 output += `提取时间: ${info.metadata.extractTime || 'N/A'}\n`;
                 output += `PDF链接: ${info.metadata.pdfUrl || 'N/A'}\n`;
-                output += `公司类型: ${info.metadata.companyType || '未检测'}\n`;
+                output += `文档语言: ${info.metadata.languageLabel || info.metadata.language || '未检测'}\n`;
+                output += `文档类型: ${info.metadata.documentTypeLabel || info.metadata.documentType || '未检测'}\n`;
+                output += `公司注册地: ${info.metadata.companyTypeLabel || info.metadata.companyType || '未检测'}\n`;
                 output += `Directors章节页码: ${info.metadata.directorPages || '未找到'}\n`;
+                output += `Corporate Information章节页码: ${info.metadata.corporateInformationPages || '未找到'}\n`;
+                output += `Directors and Senior Management章节页码: ${info.metadata.managementPages || '未找到'}\n`;
+                output += `Use of Proceeds页码: ${info.metadata.proceedsPages || '未找到'}\n`;
+                output += `章节定位来源: ${info.metadata.chapterSource || '未知'}\n`;
+                if (info.metadata.aiStats && window.HKEXPartyBatch) {
+                    const batcher = window.HKEXPartyBatch;
+                    const stats = info.metadata.aiStats;
+                    output += `参与方AI调用: ${batcher.describeStats(stats)}\n`;
+                    if (stats.previous) {
+                        output += `对比（本页上次${stats.previous.mode === 'batch' ? '合并' : '逐类'}提取）: ${batcher.describeStats(stats.previous)}\n`;
+                    }
+                    if (stats.extraction) {
+                        output += `本次提取AI调用合计: ${stats.extraction.calls}次，${batcher.describeUsage(stats.extraction)}\n`;
+                    }
+                }
                 if (info.metadata.weAreLocation) {
                     output += `"We are"语句位置: 第${info.metadata.weAreLocation.page}页\n`;
                 }
@@ -672,6 +1374,32 @@
             return output;
         }
 
+        /**
+         * 名称核实标记：原文片段中找不到或只近似匹配时在名称后注明，如" [未核实]"
+         * @param {string} status - 见 HKEXVerifier.STATUSES
+         * @returns {string}
+         */
+        formatVerification(status) {
+            const text = window.HKEXVerifier ? window.HKEXVerifier.describe(status) : '';
+            return text ? ` [${text}]` : '';
+        }
+
+        /**
+         * 参与方适用法律、地址和牌照的输出行（均无时为空）
+         * @param {Object} item - 名单条目 { name, jurisdictions, address, licence }
+         * @returns {string} 输出文本
+         */
+        formatPartyDetails(item) {
+            let output = '';
+            if (Array.isArray(item.jurisdictions) && item.jurisdictions.length > 0) {
+                const laws = item.jurisdictions.map(key => window.HKEXJurisdictions ? window.HKEXJurisdictions.describeLaw(key) : key);
+                output += `     适用法律: ${laws.join('、')}\n`;
+            }
+            if (item.address) output += `     地址: ${item.address}\n`;
+            if (item.licence) output += `     牌照: ${item.licence}\n`;
+            return output;
+        }
+
         /**
          * 生成中文版链接
          * @param {string} englishUrl - 英文版招股书URL
@@ -727,14 +1455,225 @@
             }
         }
 
+        /**
+         * 按文件编号推算中文版链接：hkexnews上中文版编号通常为英文版编号减1并加"_c"后缀
+         * @param {string} englishUrl - 英文版招股书URL
+         * @returns {string|null} 中文版招股书URL
+         */
+        generateChineseVersionByFileNumber(englishUrl) {
+            const match = englishUrl.match(/(\d+)(\.pdf)$/i);
+            if (!match) return null;
+            const num = parseInt(match[1], 10);
+            if (isNaN(num) || num < 1) return null;
+            const newNumStr = String(num - 1).padStart(match[1].length, '0');
+            return englishUrl.replace(/(\d+)(\.pdf)$/i, `${newNumStr}_c.pdf`);
+        }
+
+        /**
+         * 依次验证候选链接，返回第一个可用的中文版链接
+         * 候选顺序：文件编号规则（与popup"下载繁中版"一致）、generateChineseVersion的命名规则
+         * @param {string} englishUrl - 英文版招股书URL
+         * @returns {Promise<string|null>} 可用的中文版链接
+         */
+        async findChineseVersion(englishUrl) {
+            const candidates = [
+                this.generateChineseVersionByFileNumber(englishUrl),
+                this.generateChineseVersion(englishUrl)
+            ].filter((url, i, list) => url && url !== englishUrl && list.indexOf(url) === i);
+            for (const url of candidates) {
+                if (await this.validateChineseVersion(url)) {
+                    return url;
+                }
+            }
+            this.logger.warn('未找到可用的中文版招股书', { englishUrl, candidates });
+            return null;
+        }
+
+        /**
+         * 双语提取：后台加载中文版PDF，提取其参与各方章节，与英文版结果逐项核对
+         * 结果写入 extractedInfo.bilingual：{ status, chineseUrl, company, professionals, mismatches }
+         * @returns {Promise<Object>} 含双语核对结果的提取信息
+         */
+        async extractBilingualInfo() {
+            try {
+                if (!this.extractedInfo.metadata) {
+                    await this.extractProspectusInfo();
+                }
+                if (this.language === 'zh') {
+                    this.logger.warn('当前文档已是中文版，双语核对只支持从英文版发起');
+                    this.extractedInfo.bilingual = { status: 'notApplicable', chineseUrl: null, company: [], professionals: {}, mismatches: [] };
+                    return this.extractedInfo;
+                }
+                const englishUrl = this.pdfUrl || window.location.href;
+                const chineseUrl = await this.findChineseVersion(englishUrl);
+                if (!chineseUrl) {
+                    this.extractedInfo.bilingual = { status: 'unavailable', chineseUrl: null, company: [], professionals: {}, mismatches: [] };
+                    return this.extractedInfo;
+                }
+
+                this.logger.info('开始后台提取中文版', { chineseUrl });
+                // 中文版使用自己的解析器，失败记录不混入英文版的 aiFailures
+                const chineseExtractor = new ProspectusExtractor(this.options);
+                let sections;
+                let chinese;
+                let chineseFailures;
+                try {
+                    const initialized = await chineseExtractor.initializePDF(chineseUrl);
+                    if (!initialized) {
+                        throw new Error('中文版PDF加载失败');
+                    }
+                    sections = await chineseExtractor.extractPartySections();
+                    const chineseParser = chineseExtractor.parser;
+                    chineseParser.resetAIFailures();
+                    const parties = await chineseParser.parseParties(sections.professionalChunks, sections.syndicateChunks, chineseExtractor.profile);
+                    chinese = {
+                        company: await chineseParser.parseCompanyInfo(sections),
+                        professionals: parties.professionals
+                    };
+                    chineseFailures = { ...chineseParser.aiFailures };
+                } finally {
+                    // 释放中文版PDF，避免每次核对都在页面中多留一份解析后的招股书
+                    if (chineseExtractor.pdfDoc) {
+                        await chineseExtractor.pdfDoc.destroy();
+                    }
+                }
+
+                const roles = this.profile
+                    ? Object.fromEntries(this.profile.roles.map(role => [role.key, role.label || role.key]))
+                    : undefined;
+                const reconciled = window.HKEXBilingual
+                    ? window.HKEXBilingual.reconcile(this.extractedInfo, chinese, roles)
+                    : { company: [], professionals: {}, mismatches: [] };
+                this.extractedInfo.bilingual = {
+                    status: 'done',
+                    chineseUrl,
+                    chineseLanguage: sections.language,
+                    ...reconciled,
+                    aiFailures: chineseFailures
+                };
+                this.logger.info('双语核对完成', {
+                    chineseUrl,
+                    mismatches: reconciled.mismatches.length
+                });
+                return this.extractedInfo;
+            } catch (error) {
+                this.logger.error('双语提取失败', error);
+                throw error;
+            }
+        }
+
+        /**
+         * 风险因素模式：按粗体收集"Risk Factors"章节的风险标题并按类别分组，再由AI为每个类别写摘要
+         * 不依赖完整提取，结果合并到 extractedInfo.riskFactors；标题收集不调用AI，AI未启用或失败时摘要为 null
+         * @returns {Promise<Object>} 提取结果
+         */
+        async extractRiskFactors() {
+            try {
+                const initialized = await this.initializePDF(this.pdfUrl || window.location.href);
+                if (!initialized) {
+                    throw new Error('PDF初始化失败');
+                }
+                if (!window.HKEXRiskFactors) {
+                    throw new Error('风险因素模块未加载');
+                }
+                // 摘要使用提取配置选择的AI接口
+                await this.loadProfile();
+                const section = await this.findSection('riskFactors');
+                if (!section) {
+                    this.logger.warn('未找到Risk Factors章节');
+                    this.extractedInfo.riskFactors = { status: 'notFound', pages: '', categories: [] };
+                    return this.extractedInfo;
+                }
+                const endPage = Math.min(section.endPage, section.startPage + window.HKEXRiskFactors.MAX_PAGES - 1);
+                const pages = (await this.extractStyledPages(section.startPage, endPage))
+                    .map((lines, index) => ({ page: section.startPage + index, lines }));
+                const categories = window.HKEXRiskFactors.parse(pages);
+                this.logger.info(`风险标题收集完成：${categories.length} 个类别，${categories.reduce((sum, c) => sum + c.headings.length, 0)} 条标题`);
+                this.extractedInfo.riskFactors = {
+                    status: 'done',
+                    pages: `${section.startPage}-${endPage}`,
+                    categories: await this.parser.digestRiskFactors(categories)
+                };
+                return this.extractedInfo;
+            } catch (error) {
+                this.logger.error('风险因素提取失败', error);
+                throw error;
+            }
+        }
+
+        /**
+         * 按页面流水线的并发上限读取页码范围内各页的版面行（getOperatorList 较慢，逐页串行时风险因素章节要等数十秒）
+         * @param {number} from - 起始页
+         * @param {number} to - 结束页
+         * @returns {Promise<Array<Array<{text: string, bold: boolean}>>>} 按页序排列
+         */
+        async extractStyledPages(from, to) {
+            if (!window.HKEXPagePipeline) {
+                const pages = [];
+                for (let pageNum = from; pageNum <= to; pageNum++) {
+                    pages.push(await this.extractStyledLines(pageNum));
+                }
+                return pages;
+            }
+            const pipeline = new window.HKEXPagePipeline(this.pdfDoc.numPages, pageNum => this.extractStyledLines(pageNum), {
+                concurrency: this.options.concurrency
+            });
+            const pages = await pipeline.getPages(from, to);
+            return pages.map(lines => (Array.isArray(lines) ? lines : []));
+        }
+
+        /**
+         * 读取单页正文的版面行并标记是否为粗体
+         * getTextContent 只给出字体的内部名称，需先 getOperatorList 让字体加载到 page.commonObjs，才能读到字体实际名称
+         * @param {number} pageNum - 页码
+         * @returns {Promise<Array<{text: string, bold: boolean}>>} 行内全部单元格为粗体时 bold 为 true
+         */
+        async extractStyledLines(pageNum) {
+            if (!this.layoutBuilder) return [];
+            try {
+                const page = await this.pdfDoc.getPage(pageNum);
+                const content = await page.getTextContent();
+                await page.getOperatorList();
+                const boldFonts = new Set();
+                new Set(content.items.map(item => item.fontName)).forEach(fontName => {
+                    try {
+                        if (fontName && page.commonObjs.has(fontName) && window.HKEXRiskFactors.isBoldFont(page.commonObjs.get(fontName))) {
+                            boldFonts.add(fontName);
+                        }
+                    } catch (e) {
+                        // 字体未加载时视为非粗体
+                    }
+                });
+                return this.layoutBuilder.build(content.items, page.view).lines.map(line => ({
+                    text: line.text,
+                    bold: line.segments.length > 0 && line.segments.every(segment => boldFonts.has(segment.fontName))
+                }));
+            } catch (error) {
+                this.logger.error(`读取第${pageNum}页字体样式失败`, error);
+                return [];
+            }
+        }
+
         /**
          * 查找Summary章节
+         * 优先使用章节地图，地图中没有时退回关键词扫描
          * @returns {Promise<Object|null>} Summary章节的位置信息
          */
         async findSummarySection() {
+            const section = await this.findSection('summary');
+            if (section) return section;
+            this.logger.warn('章节地图未定位到Summary章节，退回关键词扫描');
+            return this.findSummarySectionByKeywords();
+        }
+
+        /**
+         * 用关键词扫描前30页查找Summary章节（章节地图不可用时的兜底）
+         * @returns {Promise<Object|null>} Summary章节的位置信息
+         */
+        async findSummarySectionByKeywords() {
             try {
                 this.logger.info('开始查找Summary章节');
-                const searchKeywords = ['SUMMARY', 'Summary'];
+                const searchKeywords = this.getLanguageProfile().summaryKeywords;
                 
                 // 搜索前30页
                 const maxSearchPages = Math.min(30, this.pdfDoc.numPages);
@@ -767,159 +1706,64 @@
         }
 
         /**
-         * 从董事章节中提取专业机构关键词片段
-         * @param {string} directorsText - 董事章节文本
-         * @returns {Object} 提取的关键词片段
+         * 各类参与方关键词片段的来源章节文本
+         * @param {Object} sections - extractAllRequiredSections的结果
+         * @returns {{directors: string, corporateInformation: string}}
+         */
+        getChunkSources(sections) {
+            return {
+                directors: sections.directorsText || '',
+                corporateInformation: sections.corporateInformationText || ''
+            };
+        }
+
+        /**
+         * 从参与各方所在章节中提取关键词片段
+         * 参与方类型、来源章节、标题匹配规则和截取窗口均来自提取配置（profiles/*.json）
+         * @param {Object} sources - 来源章节文本 { directors, corporateInformation }
+         * @param {string} [companyType] - 注册地键，用于合并该注册地特有的专业机构标题
+         * @param {Object} [profile] - 提取配置，默认使用已加载的配置
+         * @returns {Object} 提取的关键词片段，键为 `${role.key}Chunk`
          */
-        extractProfessionalChunks(directorsText) {
+        extractProfessionalChunks(sources, companyType, profile = this.profile) {
             try {
                 this.logger.info('开始提取专业机构关键词片段');
                 const chunks = {};
-                
-                // 定义需要提取的专业机构类型及其关键词
-                const professionalTypes = [
-                    {
-                        key: 'sponsors',
-                        keywords: ['Sponsors', 'Sponsor', 'Joint Sponsors', 'Joint Sponsor', 'Sole Sponsor']
-                    },
-                    {
-                        key: 'auditors',
-                        keywords: ['Auditors', 'Auditor', 'Reporting Accountants', 'Reporting Accountant']
-                    },
-                    {
-                        key: 'industryConsultants',
-                        keywords: ['Industry Consultant', 'Industry Consultants']
-                    },
-                    {
-                        key: 'legalAdvisersToCompany',
-                        keywords: [
-                            'Legal Advisers to the Company',
-                            'Legal Adviser to the Company',
-                            'Legal Advisors to the Company',
-                            'Legal Advisor to the Company',
-                            'Legal Advisers to our Company',
-                            'Legal Adviser to our Company',
-                            'Legal Advisors to our Company',
-                            'Legal Advisor to our Company',
-                            'Legal Advisers to Company',
-                            'Legal Adviser to Company',
-                            'Legal Advisors to Company',
-                            'Legal Advisor to Company'
-                        ]
-                    },
-                    {
-                        key: 'legalAdvisersToSponsors',
-                        keywords: [
-                            // 通用
-                            'Legal Advisers to the Sponsors',
-                            'Legal Adviser to the Sponsors',
-                            'Legal Advisors to the Sponsors',
-                            'Legal Advisor to the Sponsors',
-                            'Legal Advisers to Sponsors',
-                            'Legal Adviser to Sponsors',
-                            'Legal Advisors to Sponsors',
-                            'Legal Advisor to Sponsors',
-                            'Legal Advisors to the Sponsor',
-                            // Sole Sponsor
-                            'Legal Advisers to the Sole Sponsor',
-                            'Legal Adviser to the Sole Sponsor',
-                            'Legal Advisors to the Sole Sponsor',
-                            'Legal Advisor to the Sole Sponsor',
-                            'Legal Advisers to Sole Sponsor',
-                            'Legal Adviser to Sole Sponsor',
-                            'Legal Advisors to Sole Sponsor',
-                            'Legal Advisor to Sole Sponsor',
-                            'Legal Advisers to our Sole Sponsor',
-                            'Legal Adviser to our Sole Sponsor',
-                            'Legal Advisors to our Sole Sponsor',
-                            'Legal Advisor to our Sole Sponsor',
-                            // Joint Sponsor
-                            'Legal Advisers to the Joint Sponsors',
-                            'Legal Adviser to the Joint Sponsors',
-                            'Legal Advisors to the Joint Sponsors',
-                            'Legal Advisor to the Joint Sponsors',
-                            'Legal Advisers to Joint Sponsors',
-                            'Legal Adviser to Joint Sponsors',
-                            'Legal Advisors to Joint Sponsors',
-                            'Legal Advisor to Joint Sponsors',
-                            'Legal Advisers to our Joint Sponsors',
-                            'Legal Adviser to our Joint Sponsors',
-                            'Legal Advisors to our Joint Sponsors',
-                            'Legal Advisor to our Joint Sponsors',
-                            // to joint/sole（无 sponsor）
-                            'Legal Advisers to the Joint',
-                            'Legal Adviser to the Joint',
-                            'Legal Advisors to the Joint',
-                            'Legal Advisor to the Joint',
-                            'Legal Advisers to Joint',
-                            'Legal Adviser to Joint',
-                            'Legal Advisors to Joint',
-                            'Legal Advisor to Joint',
-                            'Legal Advisers to our Joint',
-                            'Legal Adviser to our Joint',
-                            'Legal Advisors to our Joint',
-                            'Legal Advisor to our Joint',
-                            'Legal Advisers to the Sole',
-                            'Legal Adviser to the Sole',
-                            'Legal Advisors to the Sole',
-                            'Legal Advisor to the Sole',
-                            'Legal Advisers to Sole',
-                            'Legal Adviser to Sole',
-                            'Legal Advisors to Sole',
-                            'Legal Advisor to Sole',
-                            'Legal Advisers to our Sole',
-                            'Legal Adviser to our Sole',
-                            'Legal Advisors to our Sole',
-                            'Legal Advisor to our Sole',
-                            'Legal advisor to the [REDACTED]',
-                            'Legal advisors to the [REDACTED]',
-                            'Legal advisor to our [REDACTED]',
-                            'Legal advisors to our [REDACTED]',
-                        ]
-                    }
-                ];
-                
-                // 为每种专业机构类型提取文本片段
-                professionalTypes.forEach(type => {
+                if (!profile || !window.HKEXProfiles) {
+                    this.logger.warn('提取配置未加载，无法提取专业机构关键词片段');
+                    return chunks;
+                }
+                const language = this.language || 'en';
+
+                profile.roles.forEach(role => {
+                    // 来源章节未找到时退回Directors章节（部分招股书将公司资料并入该章）
+                    const sourceText = sources[role.source || 'directors'] || sources.directors || '';
+                    // 合并注册地特有的专业机构标题（如百慕大公司的"Bermuda legal adviser"）
+                    const extraHeadings = companyType && window.HKEXJurisdictions
+                        ? window.HKEXJurisdictions.getRoleKeywords(companyType, role.key)
+                        : [];
+                    const windowRule = window.HKEXProfiles.getWindow(profile, role);
+                    const matchers = window.HKEXProfiles.buildMatchers(role, language, extraHeadings, windowRule);
                     const extractedChunks = [];
-                    
-                    type.keywords.forEach(keyword => {
-    let found = false;
-    let matchIndex = -1;
-    let matchLength = 0;
-    if (keyword.includes(' ')) {
-        // 短语关键词，允许跨行、大小写不敏感
-        const pattern = keyword.replace(/\s+/g, '\\s+');
-        // 加上 's' 修饰符，保证正则既支持大小写不敏感，也支持跨行提取
-        const regex = new RegExp(pattern, 'is');
-        const match = regex.exec(directorsText);
-        if (match) {
-            found = true;
-            matchIndex = match.index;
-            matchLength = match[0].length;
-        }
-    } else {
-        // 单词关键词，仍用indexOf
-        matchIndex = directorsText.toLowerCase().indexOf(keyword.toLowerCase());
-        if (matchIndex !== -1) {
-            found = true;
-            matchLength = keyword.length;
-        }
-    }
-    if (found) {
-        // 提取包含关键词的段落
-        const startIndex = Math.max(0, matchIndex - 50);
-        const endIndex = Math.min(directorsText.length, matchIndex + matchLength + 500);
-        const chunk = directorsText.substring(startIndex, endIndex).trim();
-        extractedChunks.push({
-            keyword,
-            chunk
-        });
-    }
-});
-                    
-                    chunks[type.key + 'Chunk'] = extractedChunks;
-                    this.logger.info(`[调试] ${type.key}Chunk内容预览`, extractedChunks && extractedChunks.length > 0 ? extractedChunks.map(c => ({keyword: c.keyword, preview: c.chunk.slice(0, 100)})) : '无内容');
+
+                    matchers.forEach(({ keyword, regex, maxMatches }) => {
+                        let match;
+                        let count = 0;
+                        while (count < maxMatches && (match = regex.exec(sourceText)) !== null) {
+                            // 提取包含关键词的段落
+                            const startIndex = Math.max(0, match.index - windowRule.before);
+                            const endIndex = Math.min(sourceText.length, match.index + match[0].length + windowRule.after);
+                            extractedChunks.push({
+                                keyword,
+                                chunk: sourceText.substring(startIndex, endIndex).trim()
+                            });
+                            count++;
+                            if (match[0].length === 0) regex.lastIndex++;
+                        }
+                    });
+
+                    chunks[role.key + 'Chunk'] = extractedChunks;
+                    this.logger.info(`[调试] ${role.key}Chunk内容预览`, extractedChunks.length > 0 ? extractedChunks.map(c => ({keyword: c.keyword, preview: c.chunk.slice(0, 100)})) : '无内容');
                 });
                 
                 this.logger.info('专业机构关键词片段提取完成');
@@ -929,6 +1773,282 @@
                 return {};
             }
         }
+
+        /**
+         * 从董事章节中截取承销团各角色的名单片段
+         * 名单从角色标题所在行之后开始，到下一个角色或参与方标题为止（不超过截取窗口），
+         * 因此"Joint Bookrunners and Joint Lead Managers"这类合并标题下的名单会同时归入两个角色
+         * @param {string} directorsText - 董事章节文本
+         * @param {Object} [profile] - 提取配置，默认使用已加载的配置
+         * @returns {Object} 名单片段，键为 `${role.key}Chunk`
+         */
+        extractSyndicateChunks(directorsText, profile = this.profile) {
+            try {
+                const chunks = {};
+                if (!profile || !profile.syndicate || !window.HKEXProfiles || !directorsText) return chunks;
+                const language = this.language || 'en';
+                const { syndicate } = profile;
+
+                // 所有承销团角色和参与方标题的位置，作为名单的结束边界
+                const boundaries = [];
+                [...syndicate.roles, ...profile.roles].forEach(role => {
+                    window.HKEXProfiles.buildMatchers(role, language).forEach(({ regex }) => {
+                        let match;
+                        while ((match = regex.exec(directorsText)) !== null) {
+                            boundaries.push(match.index);
+                            if (match[0].length === 0) regex.lastIndex++;
+                        }
+                    });
+                });
+                boundaries.sort((a, b) => a - b);
+
+                syndicate.roles.forEach(role => {
+                    const windowRule = window.HKEXProfiles.getWindow(syndicate, role);
+                    const extractedChunks = [];
+                    window.HKEXProfiles.buildMatchers(role, language, [], windowRule).forEach(({ keyword, regex, maxMatches }) => {
+                        let match;
+                        let count = 0;
+                        while (count < maxMatches && (match = regex.exec(directorsText)) !== null) {
+                            const lineEnd = directorsText.indexOf('\n', match.index + match[0].length);
+                            const listStart = lineEnd === -1 ? directorsText.length : lineEnd;
+                            const nextHeading = boundaries.find(index => index > listStart);
+                            const endIndex = Math.min(
+                                nextHeading === undefined ? directorsText.length : nextHeading,
+                                match.index + match[0].length + windowRule.after
+                            );
+                            const startIndex = Math.max(0, match.index - windowRule.before);
+                            extractedChunks.push({ keyword, chunk: directorsText.substring(startIndex, endIndex).trim() });
+                            count++;
+                            if (match[0].length === 0) regex.lastIndex++;
+                        }
+                    });
+                    chunks[role.key + 'Chunk'] = extractedChunks;
+                });
+                this.logger.info('承销团名单片段提取完成', Object.fromEntries(Object.entries(chunks).map(([k, v]) => [k, v.length])));
+                return chunks;
+            } catch (error) {
+                this.logger.error('提取承销团名单片段失败', error);
+                return {};
+            }
+        }
+
+        /**
+         * 读取发售条款所在章节的前几页（页数见 HKEXOffering.CHAPTER_PAGES）
+         * @param {string} key - 章节键（expectedTimetable / structure）
+         * @returns {Promise<{text: string, pages: string}>} 未找到章节时均为空字符串
+         */
+        async extractOfferingChapter(key) {
+            const section = await this.findSection(key);
+            if (!section) return { text: '', pages: '' };
+            const maxPages = window.HKEXOffering ? window.HKEXOffering.CHAPTER_PAGES[key] : 4;
+            const endPage = Math.min(section.endPage, section.startPage + maxPages - 1);
+            const text = await this.extractChapterText(section.startPage, endPage);
+            return { text, pages: `${section.startPage}-${endPage}` };
+        }
+
+        /**
+         * 读取所得款项用途小节：在Future Plans and Use of Proceeds章节内找小节标题所在页；
+         * 章节地图未命中时在全书查找同时含标题、所得款项净额和百分比的页面
+         * @returns {Promise<{text: string, pages: string}>} 未找到时均为空字符串
+         */
+        async extractProceedsSection() {
+            if (!window.HKEXProceeds) return { text: '', pages: '' };
+            try {
+                const section = await this.findSection('futurePlans');
+                const hit = section
+                    ? await this.findFirstPage(text => window.HKEXProceeds.matchPage(text, false), { from: section.startPage, to: section.endPage })
+                    : await this.findFirstPage(text => window.HKEXProceeds.matchPage(text));
+                if (!hit) {
+                    this.logger.warn('未找到所得款项用途小节，跳过所得款项用途提取');
+                    return { text: '', pages: '' };
+                }
+                const lastPage = section ? section.endPage : this.pdfDoc.numPages;
+                const endPage = Math.min(lastPage, hit.page + window.HKEXProceeds.MAX_PAGES - 1);
+                const text = await this.extractChapterText(hit.page, endPage);
+                return { text, pages: `${hit.page}-${endPage}` };
+            } catch (error) {
+                this.logger.error('读取所得款项用途小节失败', error);
+                return { text: '', pages: '' };
+            }
+        }
+
+        /**
+         * 读取单页正文的版面行（含单元格坐标），供表格识别使用；不缓存，仅对少数页调用
+         * @param {number} pageNum - 页码
+         * @returns {Promise<Array<{y: number, text: string, segments: Array}>>} 无版面识别模块时为空数组
+         */
+        async extractPageLines(pageNum) {
+            if (!this.layoutBuilder) return [];
+            try {
+                const page = await this.pdfDoc.getPage(pageNum);
+                const content = await page.getTextContent();
+                return this.layoutBuilder.build(content.items, page.view).lines;
+            } catch (error) {
+                this.logger.error(`读取第${pageNum}页版面行失败`, error);
+                return [];
+            }
+        }
+
+        /**
+         * 在Summary章节中定位"Summary of Historical Financial Information"，从标题页起按坐标重建财务表格
+         * @param {{startPage: number, endPage: number}} summarySection - Summary章节范围
+         * @returns {Promise<Object|null>} HKEXFinancials.extract 的结果，未找到表格时返回 null
+         */
+        async extractFinancialSummary(summarySection) {
+            if (!window.HKEXFinancials) return null;
+            try {
+                const hit = await this.findFirstPage(
+                    text => window.HKEXFinancials.hasTitle(text),
+                    { from: summarySection.startPage, to: summarySection.endPage }
+                );
+                if (!hit) {
+                    this.logger.info('Summary章节内未找到历史财务资料标题，跳过财务表格识别');
+                    return null;
+                }
+                const endPage = Math.min(summarySection.endPage, hit.page + window.HKEXFinancials.MAX_TABLE_PAGES - 1);
+                const lines = [];
+                for (let pageNum = hit.page; pageNum <= endPage; pageNum++) {
+                    const pageLines = await this.extractPageLines(pageNum);
+                    pageLines.forEach(line => lines.push({ page: pageNum, text: line.text, segments: line.segments }));
+                }
+                const financials = window.HKEXFinancials.extract(lines);
+                this.logger.info(`财务表格识别完成（第${hit.page}-${endPage}页）`, financials);
+                return financials;
+            } catch (error) {
+                this.logger.error('财务表格识别失败', error);
+                return null;
+            }
+        }
+
+        /**
+         * 读取各组股东所在的页面：按章节地图定位章节，配置了起始标题的组别（首次公开发售前投资）从该标题所在页开始
+         * @param {Object} sectionProfile - 文档类型的章节配置，sections.cornerstone 为 false 时跳过基石投资者
+         * @returns {Promise<Object>} 键为组别键，值为 { startPage, endPage, pages: [{page, text}] }；未找到的组别不出现
+         */
+        async extractShareholdingSources(sectionProfile) {
+            const sources = {};
+            if (!window.HKEXShareholders) return sources;
+            for (const [key, group] of Object.entries(window.HKEXShareholders.GROUPS)) {
+                if (group.finalOnly && !sectionProfile.cornerstone) continue;
+                try {
+                    const section = await this.findSection(group.chapterKey);
+                    if (!section) continue;
+                    let startPage = section.startPage;
+                    if (group.anchors.length > 0) {
+                        const hit = await this.findFirstPage(
+                            text => group.anchors.some(anchor => anchor.test(text)),
+                            { from: section.startPage, to: section.endPage }
+                        );
+                        if (!hit) {
+                            this.logger.info(`${group.label}：章节内未找到起始标题，视为无此组别`);
+                            continue;
+                        }
+                        startPage = hit.page;
+                    }
+                    const endPage = Math.min(section.endPage, startPage + group.maxPages - 1);
+                    const pages = [];
+                    for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+                        pages.push({ page: pageNum, text: await this.extractPageText(pageNum) });
+                    }
+                    sources[key] = { startPage, endPage, pages };
+                } catch (error) {
+                    this.logger.error(`读取${group.label}所在页面失败`, error);
+                }
+            }
+            return sources;
+        }
+
+        /**
+         * 提取用户定义的自定义字段：按锚点定位文本后逐个交由AI提取
+         * @returns {Promise<Array<{id: string, name: string, type: string, value: any, unit: string, status: string, source: Object|null}>>}
+         *          status: 'done' 已提取 / 'empty' AI未找到 / 'failed' AI返回经重新提问仍不合格 / 'notFound' 未定位到锚点
+         */
+        async extractCustomFields() {
+            if (!window.HKEXCustomFields) return [];
+            const fields = await window.HKEXCustomFields.load();
+            if (fields.length === 0) return [];
+            this.logger.info(`开始提取 ${fields.length} 个自定义字段`);
+
+            const results = [];
+            for (const field of fields) {
+                const base = { id: field.id, name: field.name, type: field.type, value: null, unit: '', source: null };
+                try {
+                    const located = await this.locateCustomField(field);
+                    if (!located) {
+                        this.logger.warn(`自定义字段「${field.name}」未定位到锚点`, field.anchor);
+                        results.push({ ...base, status: 'notFound' });
+                        continue;
+                    }
+                    const { value, unit, error } = await this.parser.extractCustomFieldWithAI(field, located.text);
+                    results.push({
+                        ...base,
+                        value,
+                        unit,
+                        status: error ? 'failed' : (value === null ? 'empty' : 'done'),
+                        source: { page: located.page, title: located.title || null }
+                    });
+                } catch (error) {
+                    this.logger.error(`提取自定义字段「${field.name}」失败`, error);
+                    this.parser.markAIFailure(`customFields.${field.id}`, field.name, error.message);
+                    results.push({ ...base, status: 'failed' });
+                }
+            }
+            this.logger.info('自定义字段提取完成', results);
+            return results;
+        }
+
+        /**
+         * 按锚点定位自定义字段所在文本
+         * 章节锚点读取该章节前若干页；关键词锚点取第一次出现的页面（连同下一页）并截取匹配位置前后的文本
+         * @param {Object} field - 字段定义
+         * @returns {Promise<{text: string, page: number, title?: string}|null>}
+         */
+        async locateCustomField(field) {
+            const anchorValue = field.anchor.value;
+            if (field.anchor.type === 'chapter') {
+                const section = await this.findSection(anchorValue, [anchorValue]);
+                if (!section) return null;
+                const endPage = Math.min(section.endPage, section.startPage + CUSTOM_FIELD_CHAPTER_PAGES - 1);
+                const text = await this.extractChapterText(section.startPage, endPage);
+                return { text: text.slice(0, CUSTOM_FIELD_MAX_CHARS), page: section.startPage, title: section.title };
+            }
+
+            const pattern = new RegExp(anchorValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'), 'i');
+            const hit = await this.findFirstPage(text => pattern.test(text));
+            if (!hit) return null;
+            const nextText = hit.page < this.pdfDoc.numPages ? await this.extractPageText(hit.page + 1) : '';
+            const text = `${hit.text}\n${nextText}`;
+            const match = pattern.exec(text);
+            const start = Math.max(0, match.index - CUSTOM_FIELD_WINDOW.before);
+            const end = Math.min(text.length, match.index + match[0].length + CUSTOM_FIELD_WINDOW.after);
+            return { text: text.slice(start, end), page: hit.page };
+        }
+
+        /**
+         * 加载提取配置（只加载一次；导入自定义配置后由content script清空以重新加载）
+         * @returns {Promise<Object|null>} 提取配置
+         */
+        async loadProfile() {
+            if (this.profile) return this.profile;
+            if (!window.HKEXProfiles) {
+                this.logger.warn('提取配置模块未加载');
+                return null;
+            }
+            try {
+                this.profile = await window.HKEXProfiles.load();
+                this.logger.info(`提取配置已加载: ${this.profile.name}`, { custom: this.profile.custom, roles: this.profile.roles.map(r => r.key), ai: this.profile.ai || null });
+                if (this.parser.configureProfileAI) {
+                    this.parser.configureProfileAI(this.profile.ai);
+                }
+            } catch (error) {
+                this.logger.error('加载提取配置失败', error);
+                this.profile = null;
+                if (this.parser.configureProfileAI) {
+                    this.parser.configureProfileAI(null);
+                }
+            }
+            return this.profile;
+        }
     }
 
     // 将提取器注册到全局对象
@@ -0,0 +1,308 @@
+/**
+ * 港股招股书信息提取器 - 财务摘要表格
+ * 按PDF.js文本坐标重建"Summary of Historical Financial Information"表格的行列，
+ * 提取往绩记录期的收入、毛利、净利润及主要资产负债表项目，币种和单位统一为百万
+ */
+
+(function() {
+    'use strict';
+
+    // 财务摘要表格标题，命中页及其后若干页参与解析
+    const TITLE_PATTERNS = [
+        /SUMMARY\s+(?:OF\s+)?(?:HISTORICAL\s+|KEY\s+|CONSOLIDATED\s+)?FINANCIAL\s+(?:INFORMATION|DATA)/i,
+        /KEY\s+FINANCIAL\s+INFORMATION/i,
+        /歷史財務資料概要|主要財務資料|財務資料概要|历史财务资料概要|主要财务资料/
+    ];
+    // 自标题页起最多解析的页数
+    const MAX_TABLE_PAGES = 3;
+    // 多行标签最多合并的行数（标签行没有数值时暂存，与下一行合并）
+    const MAX_LABEL_LINES = 2;
+
+    /**
+     * 提取的项目，每项取第一个匹配的行
+     * - patterns: 行标签规则（英文、中文）
+     */
+    const ITEMS = {
+        revenue: { label: '收入', patterns: [/^(?:Total\s+)?Revenues?\b/i, /^(?:總)?收[入益]/] },
+        grossProfit: { label: '毛利', patterns: [/^Gross\s+(?:profit|loss)/i, /^毛[利損]/] },
+        netProfit: {
+            label: '净利润',
+            patterns: [
+                /^(?:Net\s+)?(?:profit|loss|\(loss\)|profit\s*\/\s*\(loss\))(?:\s+and\s+total\s+comprehensive\s+(?:income|loss))?\s+for\s+the\s+(?:year|period)/i,
+                /^Net\s+(?:profit|income|loss)\b/i,
+                /^(?:年|期)內(?:利潤|溢利|虧損|淨利潤)|^淨利潤|^净利润|^(?:年|期)内(?:利润|溢利|亏损)/
+            ]
+        },
+        totalAssets: { label: '资产总值', patterns: [/^Total\s+assets\b/i, /^資產總(?:值|額)|^總資產|^资产总(?:值|额)|^总资产/] },
+        totalLiabilities: { label: '负债总额', patterns: [/^Total\s+liabilities\b/i, /^負債總(?:額|值)|^總負債|^负债总(?:额|值)|^总负债/] },
+        netCurrentAssets: { label: '流动资产净值', patterns: [/^Net\s+current\s+(?:assets|liabilities)/i, /^流動(?:資產|負債)淨(?:值|額)|^流动(?:资产|负债)净(?:值|额)/] },
+        netAssets: { label: '资产净值 / 权益总额', patterns: [/^(?:Net\s+assets|Total\s+equity)\b/i, /^(?:資產淨值|權益總額|资产净值|权益总额)/] },
+        cash: { label: '现金及现金等价物', patterns: [/^Cash\s+and\s+cash\s+equivalents/i, /^現金及現金等價物|^现金及现金等价物/] }
+    };
+
+    // 金额单位表述：currency 为币种写法，multiplier 为每单位金额
+    const UNIT_PATTERNS = [
+        { regex: /(RMB|HK\$|US\$|USD|HKD|S\$)\s*['’‘`]\s*000/i, multiplier: 1e3 },
+        { regex: /(RMB|HK\$|US\$|USD|HKD)\s*(?:in\s+)?millions?\b/i, multiplier: 1e6 },
+        { regex: /(RMB|HK\$|US\$|USD|HKD)\s*billions?\b/i, multiplier: 1e9 },
+        { regex: /thousands?\s+of\s+(RMB|Renminbi|HK\$|Hong\s+Kong\s+dollars|US\$|US\s+dollars)/i, multiplier: 1e3 },
+        { regex: /millions?\s+of\s+(RMB|Renminbi|HK\$|Hong\s+Kong\s+dollars|US\$|US\s+dollars)/i, multiplier: 1e6 },
+        { regex: /(人民幣|人民币|港元|美元)?千(人民幣|人民币|港元|美元)?元?/, multiplier: 1e3, chinese: true },
+        { regex: /(人民幣|人民币|港元|美元)?百萬(人民幣|人民币|港元|美元)?元?/, multiplier: 1e6, chinese: true }
+    ];
+
+    // 期间表头中的英文数字
+    const NUMBER_WORDS = { three: 3, six: 6, nine: 9, twelve: 12, 三: 3, 六: 6, 九: 9, 十二: 12 };
+
+    class FinancialTableExtractor {
+        /**
+         * 判断页面是否含财务摘要表格标题
+         * @param {string} text - 页面文本
+         * @returns {boolean}
+         */
+        static hasTitle(text) {
+            return TITLE_PATTERNS.some(pattern => pattern.test(String(text || '')));
+        }
+
+        /**
+         * 从带坐标的行重建财务摘要表格
+         * 年份表头行确定列位置，其后的行按单元格横坐标对齐到最近的列；新的表头行出现时切换到新表格（如资产负债表）
+         * @param {Array<{page: number, text: string, segments: Array<{x: number, xEnd: number, text: string}>}>} lines - 按页序排列的正文行
+         * @returns {{currency: string, unit: string|null, sourceUnit: string, periods: Array<string>, rows: Array, pages: Array<number>}|null}
+         */
+        static extract(lines) {
+            if (!Array.isArray(lines) || lines.length === 0) return null;
+            const rows = {};
+            const periods = [];
+            const pages = new Set();
+            let columns = null;
+            let unit = null;
+            let lastUnit = null;
+            let pendingLabel = [];
+
+            lines.forEach((line, index) => {
+                const lineUnit = FinancialTableExtractor.detectUnit(line.text);
+                if (lineUnit) {
+                    // 单位既可能在表头上方，也常以"RMB'000"行紧随年份表头
+                    lastUnit = lineUnit;
+                    if (columns) unit = lineUnit;
+                }
+                const header = FinancialTableExtractor.parseHeader(line, lines[index - 1]);
+                if (header) {
+                    columns = header;
+                    unit = lastUnit;
+                    pendingLabel = [];
+                    return;
+                }
+                if (!columns) return;
+
+                const firstColumnX = columns[0].x - columns[0].halfWidth;
+                const labelText = line.segments.filter(s => s.xEnd <= firstColumnX).map(s => s.text).join(' ').trim();
+                const values = FinancialTableExtractor.alignValues(line.segments.filter(s => s.xEnd > firstColumnX), columns);
+                if (values.size === 0) {
+                    pendingLabel = labelText ? [...pendingLabel, labelText].slice(-MAX_LABEL_LINES) : pendingLabel;
+                    return;
+                }
+                const label = [...pendingLabel, labelText].filter(Boolean).join(' ');
+                pendingLabel = [];
+                const key = FinancialTableExtractor.matchItem(label);
+                if (!key || rows[key]) return;
+
+                // 未识别到单位时无从换算，保留原文数值，不冒充百万
+                const row = { key, label: ITEMS[key].label, sourceLabel: label, unit: unit ? 'million' : null, values: {} };
+                values.forEach((value, period) => {
+                    row.values[period] = value === null || !unit ? value : Math.round(value * unit.multiplier / 1e6 * 1000) / 1000;
+                    if (!periods.includes(period)) periods.push(period);
+                });
+                rows[key] = row;
+                if (line.page) pages.add(line.page);
+                row.currency = unit ? unit.currency : null;
+                row.sourceUnit = unit ? unit.text : null;
+            });
+
+            const ordered = Object.keys(ITEMS).filter(key => rows[key]).map(key => rows[key]);
+            if (ordered.length === 0) return null;
+            const firstUnit = ordered.find(row => row.currency);
+            return {
+                currency: firstUnit ? firstUnit.currency : null,
+                // 全部项目都识别到单位时为 million，否则为 null（未识别到单位的项目为原文数值）
+                unit: ordered.every(row => row.unit) ? 'million' : null,
+                sourceUnit: firstUnit ? firstUnit.sourceUnit : null,
+                periods,
+                rows: ordered,
+                pages: Array.from(pages)
+            };
+        }
+
+        /**
+         * 识别年份表头行：至少两个单元格为年份
+         * 上一行为"Year ended December 31,"、"Six months ended June 30,"等分组标题时，按分组为年份加期间前缀（FY / 6M）
+         * @param {Object} line - 行
+         * @param {Object} [previous] - 上一行
+         * @returns {Array<{x: number, halfWidth: number, period: string}>|null} 列定义，按横坐标排序
+         */
+        static parseHeader(line, previous) {
+            const years = line.segments.filter(s => /^(?:FY\s*)?(?:19|20)\d{2}(?:\s*[年A-Z]*)?$/.test(s.text.replace(/[()]/g, '').trim()));
+            if (years.length < 2 || years.length < line.segments.length - 1) return null;
+            const centers = years.map(s => (s.x + s.xEnd) / 2);
+            const spacing = Math.min(...centers.slice(1).map((c, i) => c - centers[i]));
+            const groups = previous ? previous.segments : [];
+            return years.map((segment, i) => {
+                const year = segment.text.match(/(?:19|20)\d{2}/)[0];
+                const group = groups.filter(g => g.x <= centers[i] + 2).pop();
+                const months = group ? FinancialTableExtractor.parseMonths(group.text) : null;
+                return {
+                    x: centers[i],
+                    halfWidth: Math.max(spacing / 2, 20),
+                    period: months ? `${months}M${year}` : `FY${year}`
+                };
+            });
+        }
+
+        /**
+         * 从分组标题中读取月数，如"Six months ended June 30"、"截至6月30日止六個月"
+         * @param {string} text - 分组标题
+         * @returns {number|null} 月数，全年分组返回 null
+         */
+        static parseMonths(text) {
+            const match = String(text).match(/(\d{1,2}|three|six|nine|twelve)\s+months/i) || String(text).match(/(\d{1,2}|三|六|九|十二)個?个?月/);
+            if (!match) return null;
+            const months = NUMBER_WORDS[match[1].toLowerCase()] || Number(match[1]);
+            return months && months !== 12 ? months : null;
+        }
+
+        /**
+         * 把数值单元格对齐到最近的列
+         * @param {Array} segments - 标签列右侧的单元格
+         * @param {Array} columns - 列定义
+         * @returns {Map<string, number|null>} 期间 → 数值（"—"为0，无法解析的单元格忽略）
+         */
+        static alignValues(segments, columns) {
+            const values = new Map();
+            segments.forEach(segment => {
+                const value = FinancialTableExtractor.parseNumber(segment.text);
+                if (value === undefined) return;
+                const center = (segment.x + segment.xEnd) / 2;
+                const column = columns
+                    .map(c => ({ c, distance: Math.abs(c.x - center) }))
+                    .sort((a, b) => a.distance - b.distance)[0];
+                if (column.distance <= column.c.halfWidth && !values.has(column.c.period)) {
+                    values.set(column.c.period, value);
+                }
+            });
+            return values;
+        }
+
+        /**
+         * 解析财务数字："1,234.5" → 1234.5，"(123)" → -123，"—" → 0，百分比和其他文本返回 undefined
+         * @param {string} text - 单元格文本
+         * @returns {number|undefined}
+         */
+        static parseNumber(text) {
+            const source = String(text || '').replace(/\s+/g, '');
+            if (/^[—–\-]+$/.test(source) || /^nil$/i.test(source)) return 0;
+            const match = source.match(/^(\()?(-)?([\d,]+(?:\.\d+)?)(\))?$/);
+            if (!match || !/\d/.test(match[3])) return undefined;
+            const value = Number(match[3].replace(/,/g, ''));
+            return (match[1] && match[4]) || match[2] ? -value : value;
+        }
+
+        /**
+         * 识别金额单位
+         * @param {string} text - 行文本
+         * @returns {{currency: string, multiplier: number, text: string}|null}
+         */
+        static detectUnit(text) {
+            const source = String(text || '');
+            for (const rule of UNIT_PATTERNS) {
+                const match = source.match(rule.regex);
+                if (!match) continue;
+                const currencyText = rule.chinese ? (match[1] || match[2]) : match[1];
+                if (rule.chinese && !currencyText) continue;
+                return { currency: FinancialTableExtractor.normalizeCurrency(currencyText), multiplier: rule.multiplier, text: match[0].trim() };
+            }
+            return null;
+        }
+
+        /**
+         * 统一币种写法
+         * @param {string} currency - 如"HK$"、"Renminbi"、"港元"
+         * @returns {string} RMB / HKD / USD / SGD
+         */
+        static normalizeCurrency(currency) {
+            const text = String(currency || '').toUpperCase();
+            if (/^(RMB|RENMINBI)|人民[幣币]/.test(text)) return 'RMB';
+            if (/^(US|U\.S\.)|美元/.test(text)) return 'USD';
+            if (/^S\$/.test(text)) return 'SGD';
+            return 'HKD';
+        }
+
+        /**
+         * 按行标签识别项目
+         * @param {string} label - 行标签
+         * @returns {string|null} 项目键
+         */
+        static matchItem(label) {
+            const text = String(label || '').trim();
+            if (!text) return null;
+            return Object.keys(ITEMS).find(key => ITEMS[key].patterns.some(pattern => pattern.test(text))) || null;
+        }
+
+        /**
+         * 单位说明文本，如"RMB 百万（原文 RMB'000）"；有项目未识别到单位时说明按原文数值列出
+         * @param {Object} financials - extract 的结果
+         * @returns {string}
+         */
+        static describeUnit(financials) {
+            const converted = `${financials.currency || ''} 百万（原文 ${financials.sourceUnit || '未注明'}）`;
+            if (financials.unit === 'million') return converted;
+            return financials.rows.some(row => row.unit !== null)
+                ? `${converted}；标注"原文数值"的项目未识别到单位，未换算`
+                : '原文未注明单位，按原文数值列出，未换算';
+        }
+
+        /**
+         * 项目名称，未识别到单位的项目注明"原文数值"
+         * @param {Object} row - extract 结果中的一行
+         * @returns {string}
+         */
+        static rowLabel(row) {
+            return row.unit === null ? `${row.label}（原文数值）` : row.label;
+        }
+
+        /**
+         * 转为CSV（首行为期间，金额单位见 describeUnit）
+         * @param {Object} financials - extract 的结果
+         * @returns {string}
+         */
+        static toCSV(financials) {
+            if (!financials || !Array.isArray(financials.rows)) return '';
+            const escape = value => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const header = [`项目（${FinancialTableExtractor.describeUnit(financials)}）`, ...financials.periods];
+            const rows = financials.rows.map(row => [FinancialTableExtractor.rowLabel(row), ...financials.periods.map(period => row.values[period])]);
+            return [header, ...rows].map(cells => cells.map(escape).join(',')).join('\n');
+        }
+
+        /**
+         * 金额展示文本（保留一位小数）
+         * @param {number|null} value - 金额
+         * @returns {string}
+         */
+        static formatAmount(value) {
+            if (value === null || value === undefined) return '—';
+            return value.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        }
+    }
+
+    FinancialTableExtractor.ITEMS = ITEMS;
+    FinancialTableExtractor.MAX_TABLE_PAGES = MAX_TABLE_PAGES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXFinancials = FinancialTableExtractor;
+    }
+
+    console.info('[HKEX-Financials] 财务摘要表格模块加载完成');
+})();
@@ -0,0 +1,261 @@
+/**
+ * 港股招股书信息提取器 - 注册地识别
+ * 按封面"incorporated in ..."等表述识别发行人注册地，并提供各注册地的章节标题和专业机构用语
+ * 同时识别法律顾问名单中"As to Hong Kong law"等表述对应的适用法律
+ */
+
+(function() {
+    'use strict';
+
+    // 非中国发行人的Directors章节标题
+    const DIRECTORS_TITLES = [
+        'Directors and Parties Involved in the Global Offering',
+        'Directors and Parties Involved'
+    ];
+
+    // 中国H股发行人设监事会，章节标题含Supervisors
+    const SUPERVISORS_TITLES = [
+        'Directors, Supervisors and Parties Involved in the Global Offering',
+        'Directors, Supervisors and Parties Involved'
+    ];
+
+    /**
+     * 各注册地定义
+     * - incorporation: 封面注册地表述（中英文）
+     * - mentions: 宽松匹配，仅在找不到注册地表述时使用；香港、中国等在招股书中随处可见，不做宽松匹配
+     * - directorsTitles / managementTitles: 该注册地的章节标题写法
+     * - roleKeywords: 该注册地特有的专业机构标题（含中文版写法），合并进 extractProfessionalChunks 的关键词
+     */
+    const JURISDICTIONS = {
+        prc: {
+            label: '中国公司（H股）',
+            incorporation: [
+                /joint\s+stock\s+company\s+incorporated\s+in\s+the\s+People['’]s\s+Republic\s+of\s+China/i,
+                /incorporated\s+in\s+the\s+(?:PRC|People['’]s\s+Republic\s+of\s+China)\s+with\s+limited\s+liability/i,
+                /[於于]中[華华]人民共和[國国][註注][冊册]成立/
+            ],
+            mentions: [],
+            hasSupervisors: true,
+            directorsTitles: SUPERVISORS_TITLES,
+            managementTitles: ['Directors, Supervisors and Senior Management'],
+            roleKeywords: {
+                legalAdvisersToCompany: ['PRC Legal Adviser to the Company', 'PRC Legal Advisers to our Company']
+            }
+        },
+        cayman: {
+            label: '开曼公司',
+            incorporation: [
+                /incorporated\s+in\s+the\s+Cayman\s+Islands/i,
+                /[於于][開开]曼群[島岛][註注][冊册]成立/
+            ],
+            mentions: [/cayman\s+islands?/i, /[開开]曼群[島岛]/],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {
+                legalAdvisersToCompany: ['As to Cayman Islands law', 'Cayman Islands Legal Adviser to the Company', '有關開曼群島法律']
+            }
+        },
+        bermuda: {
+            label: '百慕大公司',
+            incorporation: [
+                /incorporated\s+in\s+Bermuda/i,
+                /[於于]百慕[大達达][註注][冊册]成立/
+            ],
+            mentions: [/\bBermuda\b/i, /百慕[大達达]/],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {
+                legalAdvisersToCompany: ['As to Bermuda law', 'Bermuda Legal Adviser to the Company', 'Bermuda Legal Advisers to our Company', '有關百慕達法律']
+            }
+        },
+        bvi: {
+            label: '英属维尔京群岛公司',
+            incorporation: [
+                /incorporated\s+in\s+the\s+British\s+Virgin\s+Islands/i,
+                /[於于]英[屬属](?:維爾京|维尔京|處女|处女)群[島岛][註注][冊册]成立/
+            ],
+            mentions: [/British\s+Virgin\s+Islands/i],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {
+                legalAdvisersToCompany: ['As to British Virgin Islands law', 'BVI Legal Adviser to the Company', '有關英屬維爾京群島法律']
+            }
+        },
+        hongKong: {
+            label: '香港公司',
+            incorporation: [
+                /incorporated\s+in\s+Hong\s+Kong\s+with\s+limited\s+liability/i,
+                /[於于]香港[註注][冊册]成立/
+            ],
+            mentions: [],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {}
+        },
+        singapore: {
+            label: '新加坡公司',
+            incorporation: [
+                /incorporated\s+in\s+(?:the\s+Republic\s+of\s+)?Singapore/i,
+                /[於于]新加坡[註注][冊册]成立/
+            ],
+            mentions: [],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {
+                legalAdvisersToCompany: ['As to Singapore law', 'Singapore Legal Adviser to the Company', '有關新加坡法律']
+            }
+        },
+        other: {
+            label: '其他',
+            incorporation: [],
+            mentions: [],
+            hasSupervisors: false,
+            directorsTitles: DIRECTORS_TITLES,
+            managementTitles: ['Directors and Senior Management'],
+            roleKeywords: {}
+        }
+    };
+
+    /**
+     * 法律顾问适用法律（"As to ... law" / "有關……法律"）
+     * - domestic: 是否为境内（中国内地）法律
+     * - patterns: 在限定语中识别该法域的规则
+     */
+    const LAW_JURISDICTIONS = {
+        prc: { label: '中国内地', domestic: true, patterns: [/\bPRC\b|People['’]s\s+Republic\s+of\s+China|Mainland\s+China|\bChinese\b/i, /中[國国]|中[華华]人民共和[國国]/] },
+        hongKong: { label: '香港', domestic: false, patterns: [/Hong\s+Kong/i, /香港/] },
+        cayman: { label: '开曼群岛', domestic: false, patterns: [/Cayman/i, /[開开]曼/] },
+        bvi: { label: '英属维尔京群岛', domestic: false, patterns: [/British\s+Virgin\s+Islands|\bBVI\b/i, /英[屬属](?:維爾京|维尔京|處女|处女)/] },
+        bermuda: { label: '百慕大', domestic: false, patterns: [/Bermuda/i, /百慕[大達达]/] },
+        singapore: { label: '新加坡', domestic: false, patterns: [/Singapore/i, /新加坡/] },
+        us: { label: '美国', domestic: false, patterns: [/\bU\.\s?S\.?(?=\s|$|,)|\bUS\b|United\s+States|New\s+York/i, /美[國国]/] },
+        uk: { label: '英国', domestic: false, patterns: [/English|England|United\s+Kingdom|\bU\.\s?K\.?(?=\s|$|,)/i, /英[國国]|英格[蘭兰]/] }
+    };
+
+    // 法律顾问名单中的适用法律限定语
+    const LAW_QUALIFIER_PATTERNS = [
+        /\b(?:as\s+to|in\s+relation\s+to|with\s+respect\s+to)\s+([^:：\n()]{2,80}?)\s+laws?\b/gi,
+        /(?:有[關关]|[關关]於|就)([^：:\n（）()]{2,30}?)法律/g
+    ];
+
+    class JurisdictionDetector {
+        /**
+         * 根据首页文本识别注册地
+         * 取位置最靠前的注册地表述（封面上发行人自身的表述总在前面），找不到时再做宽松匹配
+         * @param {string} firstPageText - 首页文本
+         * @returns {string} 注册地键（prc / cayman / bermuda / bvi / hongKong / singapore / other）
+         */
+        static detect(firstPageText) {
+            const text = firstPageText || '';
+            let best = null;
+            Object.entries(JURISDICTIONS).forEach(([key, profile]) => {
+                profile.incorporation.forEach(pattern => {
+                    const match = pattern.exec(text);
+                    if (match && (!best || match.index < best.index)) {
+                        best = { key, index: match.index };
+                    }
+                });
+            });
+            if (best) return best.key;
+            const mentioned = Object.keys(JURISDICTIONS).find(key =>
+                JURISDICTIONS[key].mentions.some(pattern => pattern.test(text))
+            );
+            return mentioned || 'other';
+        }
+
+        /**
+         * 获取注册地定义，未知注册地返回 other
+         * @param {string} key - 注册地键
+         * @returns {Object} 注册地定义
+         */
+        static getProfile(key) {
+            return JURISDICTIONS[key] || JURISDICTIONS.other;
+        }
+
+        /**
+         * 获取Directors章节标题：本注册地写法在前，其余写法作为兼容在后
+         * @param {string} key - 注册地键
+         * @returns {Array<string>} 章节标题列表
+         */
+        static getDirectorsTitles(key) {
+            const own = JurisdictionDetector.getProfile(key).directorsTitles;
+            const others = own === SUPERVISORS_TITLES ? DIRECTORS_TITLES : SUPERVISORS_TITLES;
+            return [...own, ...others];
+        }
+
+        /**
+         * 获取某类专业机构在该注册地下的附加关键词
+         * @param {string} key - 注册地键
+         * @param {string} role - 专业机构类型键（如 legalAdvisersToCompany）
+         * @returns {Array<string>} 附加关键词
+         */
+        static getRoleKeywords(key, role) {
+            return JurisdictionDetector.getProfile(key).roleKeywords[role] || [];
+        }
+
+        /**
+         * 识别适用法律限定语中的法域，按出现顺序返回
+         * @param {string} text - 限定语（如"Hong Kong and U.S. laws"）
+         * @returns {Array<string>} 法域键，无法识别时返回 ['other']
+         */
+        static detectLaws(text) {
+            const source = String(text || '');
+            if (!source.trim()) return [];
+            const found = [];
+            Object.entries(LAW_JURISDICTIONS).forEach(([key, law]) => {
+                const indexes = law.patterns.map(pattern => source.search(pattern)).filter(index => index !== -1);
+                if (indexes.length > 0) found.push({ key, index: Math.min(...indexes) });
+            });
+            if (found.length === 0) return ['other'];
+            return found.sort((a, b) => a.index - b.index).map(item => item.key);
+        }
+
+        /**
+         * 查找文本中的全部适用法律限定语
+         * @param {string} text - 法律顾问名单文本
+         * @returns {Array<{index: number, end: number, laws: Array<string>}>} 按位置排序
+         */
+        static findLawQualifiers(text) {
+            const source = String(text || '');
+            const qualifiers = [];
+            LAW_QUALIFIER_PATTERNS.forEach(pattern => {
+                const regex = new RegExp(pattern.source, pattern.flags);
+                let match;
+                while ((match = regex.exec(source)) !== null) {
+                    qualifiers.push({
+                        index: match.index,
+                        end: match.index + match[0].length,
+                        laws: JurisdictionDetector.detectLaws(match[1])
+                    });
+                }
+            });
+            return qualifiers.sort((a, b) => a.index - b.index);
+        }
+
+        /**
+         * 适用法律的展示名称，如"香港法律（境外）"
+         * @param {string} key - 法域键
+         * @returns {string}
+         */
+        static describeLaw(key) {
+            if (key === 'other') return '其他法律（境外）';
+            const law = LAW_JURISDICTIONS[key];
+            if (!law) return '未注明适用法律';
+            return `${law.label}法律（${law.domestic ? '境内' : '境外'}）`;
+        }
+    }
+
+    JurisdictionDetector.JURISDICTIONS = JURISDICTIONS;
+    JurisdictionDetector.LAW_JURISDICTIONS = LAW_JURISDICTIONS;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXJurisdictions = JurisdictionDetector;
+    }
+
+    console.info('[HKEX-Jurisdictions] 注册地识别模块加载完成');
+})();
@@ -0,0 +1,90 @@
+/**
+ * 港股招股书信息提取器 - 文档语言与提取配置
+ * 按首页中日韩文字占比判断招股书语言，并提供中文版（繁体）的章节标题和"我們是"语句规则
+ * 专业机构标题见提取配置（profiles/*.json）的 headings.zh
+ */
+
+(function() {
+    'use strict';
+
+    // 中日韩统一表意文字占字母类字符的比例超过该值时视为中文版
+    const CJK_RATIO_THRESHOLD = 0.3;
+
+    /**
+     * 各语言提取配置
+     * - chapterTitles: 传给 ChapterMap 的章节标题别名，null 表示使用英文默认值
+     * - directorsTitles: Directors章节标题（default / supervisors 两种写法），null 表示按注册地取英文标题
+     * - summaryKeywords: Summary章节关键词扫描用词
+     * - weArePattern: 描述公司主营业务的首句
+     */
+    const LANGUAGE_PROFILES = {
+        en: {
+            label: '英文',
+            chapterTitles: null,
+            directorsTitles: null,
+            summaryKeywords: ['SUMMARY', 'Summary'],
+            weArePattern: /We\s+are\s+[^.!?]+[.!?]/i
+        },
+        zh: {
+            label: '中文',
+            chapterTitles: {
+                summary: ['概要'],
+                directors: [
+                    '董事及參與全球發售的各方',
+                    '董事及參與[編纂]的各方',
+                    '董事、監事及參與全球發售的各方',
+                    '董事、監事及參與[編纂]的各方'
+                ],
+                corporateInformation: ['公司資料'],
+                business: ['業務'],
+                industryOverview: ['行業概覽'],
+                riskFactors: ['風險因素'],
+                management: ['董事及高級管理層', '董事、監事及高級管理層'],
+                controllingShareholders: ['與控股股東的關係', '與單一最大股東集團的關係'],
+                history: ['歷史、重組及公司架構', '歷史、發展及公司架構', '歷史及公司架構', '歷史及發展'],
+                cornerstoneInvestors: ['基石投資者'],
+                expectedTimetable: ['預期時間表'],
+                structure: ['全球發售的架構', '全球發售的架構及條件', '股份發售的架構', '股份發售的架構及條件'],
+                futurePlans: ['未來計劃及所得款項用途', '未來計劃及[編纂]']
+            },
+            directorsTitles: {
+                default: ['董事及參與全球發售的各方', '董事及參與[編纂]的各方'],
+                supervisors: ['董事、監事及參與全球發售的各方', '董事、監事及參與[編纂]的各方']
+            },
+            summaryKeywords: ['概要'],
+            weArePattern: /我們(?:是|為)[^。！？]{4,300}[。！？]/
+        }
+    };
+
+    class LanguageProfiles {
+        /**
+         * 根据文本中中日韩文字的占比判断语言
+         * @param {string} text - 首页（或前几页）文本
+         * @returns {string} 'zh' 或 'en'
+         */
+        static detect(text) {
+            const source = text || '';
+            const cjk = (source.match(/[一-鿿]/g) || []).length;
+            const latin = (source.match(/[A-Za-z]/g) || []).length;
+            if (cjk + latin === 0) return 'en';
+            return cjk / (cjk + latin) > CJK_RATIO_THRESHOLD ? 'zh' : 'en';
+        }
+
+        /**
+         * 获取语言配置，未知语言返回英文配置
+         * @param {string} language - 语言键
+         * @returns {Object} 语言配置
+         */
+        static getProfile(language) {
+            return LANGUAGE_PROFILES[language] || LANGUAGE_PROFILES.en;
+        }
+    }
+
+    LanguageProfiles.LANGUAGE_PROFILES = LANGUAGE_PROFILES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXLanguageProfiles = LanguageProfiles;
+    }
+
+    console.info('[HKEX-Language] 文档语言配置模块加载完成');
+})();
@@ -0,0 +1,386 @@
+/**
+ * 港股招股书信息提取器 - 版面文本重建
+ * 根据PDF.js文本项的坐标（transform）重建行、段落和分栏，并剥离页眉页脚
+ */
+
+(function() {
+    'use strict';
+
+    // 申请版本每页顶部的草稿警示语
+    const DRAFT_WARNING_PATTERN = /THIS\s+DOCUMENT\s+IS\s+IN\s+DRAFT\s+FORM[\s\S]*?COVER\s+OF\s+THIS\s+DOCUMENT\.?/i;
+    // 页脚页码形如 "— 12 —"、"– iii –"、"I-5"
+    const PAGE_LABEL_PATTERN = /^[\s–—-]*([ivxlcdm]+|[A-Z]{1,4}\s*-\s*\d{1,3}|\d{1,4})[\s–—-]*$/i;
+    const CJK_PATTERN = /[㐀-鿿豈-﫿]/;
+
+    class PageLayoutBuilder {
+        /**
+         * @param {Object} options - 版面参数
+         * @param {number} [options.headerBand=0.1] - 页眉区域占页面高度比例
+         * @param {number} [options.footerBand=0.08] - 页脚区域占页面高度比例
+         */
+        constructor(options = {}) {
+            this.logger = window.HKEXLogger ? new window.HKEXLogger('PageLayout') : {
+                debug: console.debug.bind(console),
+                info: console.info.bind(console),
+                warn: console.warn.bind(console),
+                error: console.error.bind(console)
+            };
+            this.headerBand = options.headerBand ?? 0.1;
+            this.footerBand = options.footerBand ?? 0.08;
+            // 跨页统计页边文字出现次数，重复出现的视为页眉页脚
+            this.marginLineCounts = new Map();
+        }
+
+        /**
+         * 重建单页文本
+         * @param {Array} items - getTextContent返回的文本项
+         * @param {Array<number>} view - page.view [xMin, yMin, xMax, yMax]
+         * @returns {{text: string, header: string, footer: string, pageLabel: string, lines: Array}}
+         */
+        build(items, view) {
+            try {
+                const [xMin, yMin, xMax, yMax] = view;
+                const page = { xMin, yMin, width: xMax - xMin, height: yMax - yMin };
+                const lines = this.groupLines(items);
+                const { headerLines, footerLines, bodyLines } = this.splitMargins(lines, page);
+
+                const header = headerLines.map(l => l.text).join(' ').replace(DRAFT_WARNING_PATTERN, '').trim();
+                const footer = footerLines.map(l => l.text).join(' ').trim();
+                const labelLine = footerLines.map(l => l.text.trim()).find(t => PAGE_LABEL_PATTERN.test(t));
+                const labelMatch = labelLine ? labelLine.match(PAGE_LABEL_PATTERN) : null;
+
+                return {
+                    text: this.renderBody(bodyLines, page),
+                    header,
+                    footer,
+                    pageLabel: labelMatch ? labelMatch[1].replace(/\s+/g, '').toLowerCase() : '',
+                    lines: bodyLines
+                };
+            } catch (error) {
+                this.logger.error('版面文本重建失败，退回纯文本拼接', error);
+                return {
+                    text: items.map(item => item.str).join(' '),
+                    header: '',
+                    footer: '',
+                    pageLabel: '',
+                    lines: []
+                };
+            }
+        }
+
+        /**
+         * 按基线纵坐标把文本项归并为行，行内按横坐标切分为单元格（segment）
+         * @param {Array} items - 文本项
+         * @returns {Array<{y: number, fontSize: number, segments: Array, text: string}>}
+         */
+        groupLines(items) {
+            const glyphs = items
+                .filter(item => item.str && item.str.trim())
+                .map(item => {
+                    const [, , c, d, x, y] = item.transform;
+                    const fontSize = Math.hypot(c, d) || item.height || 10;
+                    return { str: item.str, x, y, width: item.width || 0, fontSize, fontName: item.fontName };
+                })
+                .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+            const lines = [];
+            glyphs.forEach(glyph => {
+                const line = lines.find(l => Math.abs(l.y - glyph.y) <= Math.max(l.fontSize, glyph.fontSize) * 0.45);
+                if (line) {
+                    line.glyphs.push(glyph);
+                    line.fontSize = Math.max(line.fontSize, glyph.fontSize);
+                } else {
+                    lines.push({ y: glyph.y, fontSize: glyph.fontSize, glyphs: [glyph] });
+                }
+            });
+
+            return lines
+                .sort((a, b) => b.y - a.y)
+                .map(line => {
+                    line.glyphs.sort((a, b) => a.x - b.x);
+                    line.segments = this.splitSegments(line.glyphs);
+                    line.text = line.segments.map(s => s.text).join('    ');
+                    return line;
+                });
+        }
+
+        /**
+         * 行内按较大水平间距切分单元格，并在词间补空格
+         * @param {Array} glyphs - 同一行的文本项（已按x排序）
+         * @returns {Array<{x: number, xEnd: number, text: string, fontName: string}>}
+         */
+        splitSegments(glyphs) {
+            const segments = [];
+            let current = null;
+            glyphs.forEach(glyph => {
+                if (!current) {
+                    current = { x: glyph.x, xEnd: glyph.x + glyph.width, text: glyph.str, fontName: glyph.fontName };
+                    segments.push(current);
+                    return;
+                }
+                const gap = glyph.x - current.xEnd;
+                const charWidth = glyph.width / Math.max(glyph.str.length, 1) || glyph.fontSize * 0.5;
+                if (gap > Math.max(charWidth * 3, glyph.fontSize * 1.5)) {
+                    current = { x: glyph.x, xEnd: glyph.x + glyph.width, text: glyph.str, fontName: glyph.fontName };
+                    segments.push(current);
+                    return;
+                }
+                const prevChar = current.text.slice(-1);
+                const nextChar = glyph.str.charAt(0);
+                const needsSpace = gap > charWidth * 0.2
+                    && !/\s/.test(prevChar) && !/\s/.test(nextChar)
+                    && !(CJK_PATTERN.test(prevChar) && CJK_PATTERN.test(nextChar));
+                current.text += (needsSpace ? ' ' : '') + glyph.str;
+                current.xEnd = Math.max(current.xEnd, glyph.x + glyph.width);
+            });
+            segments.forEach(s => { s.text = s.text.replace(/\s+/g, ' ').trim(); });
+            return segments.filter(s => s.text);
+        }
+
+        /**
+         * 拆分页眉、页脚和正文
+         * 页边区域内的行满足以下任一条件即视为页眉/页脚：页码格式、全大写/中文短标题、跨页重复出现
+         * @param {Array} lines - 行列表
+         * @param {Object} page - 页面尺寸
+         * @returns {{headerLines: Array, footerLines: Array, bodyLines: Array}}
+         */
+        splitMargins(lines, page) {
+            const headerLines = [];
+            const footerLines = [];
+            const bodyLines = [];
+            lines.forEach(line => {
+                const relativeY = (line.y - page.yMin) / page.height;
+                const key = this.marginKey(line.text);
+                if (relativeY >= 1 - this.headerBand) {
+                    const seen = this.countMarginLine('top:' + key);
+                    if (seen > 1 || this.looksLikeRunningHeader(line.text)) {
+                        headerLines.push(line);
+                        return;
+                    }
+                } else if (relativeY <= this.footerBand) {
+                    const seen = this.countMarginLine('bottom:' + key);
+                    if (seen > 1 || PAGE_LABEL_PATTERN.test(line.text.trim())) {
+                        footerLines.push(line);
+                        return;
+                    }
+                }
+                bodyLines.push(line);
+            });
+            return { headerLines, footerLines, bodyLines };
+        }
+
+        /**
+         * 页边文字去掉数字后作为重复统计键
+         * @param {string} text - 行文本
+         * @returns {string}
+         */
+        marginKey(text) {
+            return text.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim().toUpperCase();
+        }
+
+        /**
+         * 记录一次页边文字出现，返回累计次数
+         * @param {string} key - 统计键
+         * @returns {number}
+         */
+        countMarginLine(key) {
+            const count = (this.marginLineCounts.get(key) || 0) + 1;
+            this.marginLineCounts.set(key, count);
+            return count;
+        }
+
+        /**
+         * 判断是否像页眉：全大写英文标题或不含句读的中文短标题
+         * @param {string} text - 行文本
+         * @returns {boolean}
+         */
+        looksLikeRunningHeader(text) {
+            const trimmed = text.trim();
+            if (!trimmed) return false;
+            if (DRAFT_WARNING_PATTERN.test(trimmed) || /^THIS DOCUMENT IS IN DRAFT FORM/i.test(trimmed)) return true;
+            const letters = trimmed.replace(/[^A-Za-z]/g, '');
+            if (letters.length >= 3 && letters === letters.toUpperCase()) return true;
+            return CJK_PATTERN.test(trimmed) && trimmed.length <= 30 && !/[。，；]/.test(trimmed);
+        }
+
+        /**
+         * 渲染正文：识别分栏/标签-值表格并按段落输出
+         * @param {Array} lines - 正文行
+         * @param {Object} page - 页面尺寸
+         * @returns {string} 正文文本
+         */
+        renderBody(lines, page) {
+            if (lines.length === 0) return '';
+            const columnX = this.detectTwoColumnGutter(lines, page);
+            if (columnX !== null) {
+                return this.renderTwoColumns(lines, columnX);
+            }
+            const valueX = this.detectLabelValueColumn(lines, page);
+            if (valueX !== null) {
+                return this.renderLabelValue(lines, valueX);
+            }
+            return this.renderParagraphs(lines);
+        }
+
+        /**
+         * 按行距切分段落，段落之间空一行
+         * @param {Array} lines - 行列表
+         * @returns {string}
+         */
+        renderParagraphs(lines) {
+            const spacing = this.medianLineSpacing(lines);
+            let output = '';
+            lines.forEach((line, i) => {
+                if (i > 0) {
+                    const gap = lines[i - 1].y - line.y;
+                    output += gap > spacing * 1.4 ? '\n\n' : '\n';
+                }
+                output += line.text;
+            });
+            return output;
+        }
+
+        /**
+         * 计算相邻行的中位行距
+         * @param {Array} lines - 行列表
+         * @returns {number}
+         */
+        medianLineSpacing(lines) {
+            const gaps = [];
+            for (let i = 1; i < lines.length; i++) {
+                const gap = lines[i - 1].y - lines[i].y;
+                if (gap > 0) gaps.push(gap);
+            }
+            if (gaps.length === 0) return lines[0] ? lines[0].fontSize * 1.2 : 12;
+            gaps.sort((a, b) => a - b);
+            return gaps[Math.floor(gaps.length / 2)];
+        }
+
+        /**
+         * 检测双栏正文：多数行在页面中部附近有统一的栏间空白，且左右两栏都是排满栏宽的折行正文
+         * （"参与各方"页的标签-值表格值列也常在页宽40%-50%处，但标签很短，不满足排满栏宽的条件）
+         * @param {Array} lines - 行列表
+         * @param {Object} page - 页面尺寸
+         * @returns {number|null} 右栏起始横坐标
+         */
+        detectTwoColumnGutter(lines, page) {
+            const candidates = lines
+                .filter(l => l.segments.length === 2)
+                .filter(l => {
+                    const ratio = (l.segments[1].x - page.xMin) / page.width;
+                    return ratio > 0.4 && ratio < 0.6;
+                });
+            if (lines.length < 8 || candidates.length < lines.length * 0.4) return null;
+            const gutterX = this.dominantValue(candidates.map(l => l.segments[1].x), 6);
+            const aligned = candidates.filter(l => Math.abs(l.segments[1].x - gutterX) <= 6);
+            if (aligned.length < lines.length * 0.4) return null;
+            // 折行正文的行尾接近栏的右边界：左栏接近栏间空白，右栏接近页面右边界
+            const leftFull = page.xMin + (gutterX - page.xMin) * 0.75;
+            const rightFull = gutterX + (page.xMin + page.width - gutterX) * 0.75;
+            const prose = aligned.filter(l => l.segments[0].xEnd >= leftFull && l.segments[1].xEnd >= rightFull).length;
+            return prose >= aligned.length * 0.6 ? gutterX - 6 : null;
+        }
+
+        /**
+         * 双栏正文：先输出左栏，再输出右栏
+         * @param {Array} lines - 行列表
+         * @param {number} columnX - 右栏起始横坐标
+         * @returns {string}
+         */
+        renderTwoColumns(lines, columnX) {
+            const toColumn = (predicate) => lines
+                .map(line => {
+                    const segments = line.segments.filter(predicate);
+                    return { ...line, segments, text: segments.map(s => s.text).join(' ') };
+                })
+                .filter(line => line.text);
+            const left = toColumn(s => s.x < columnX);
+            const right = toColumn(s => s.x >= columnX);
+            return this.renderParagraphs(left) + '\n\n' + this.renderParagraphs(right);
+        }
+
+        /**
+         * 检测“参与各方”式的标签-值表格：左侧为角色标签，右侧为名称和地址
+         * 判定条件：多行的单元格从同一横坐标开始，且其中既有带左侧标签的行，也有只有值的续行
+         * @param {Array} lines - 行列表
+         * @param {Object} page - 页面尺寸
+         * @returns {number|null} 值列起始横坐标
+         */
+        detectLabelValueColumn(lines, page) {
+            const starts = [];
+            lines.forEach(line => {
+                line.segments.forEach(segment => {
+                    const ratio = (segment.x - page.xMin) / page.width;
+                    if (ratio > 0.2 && ratio < 0.55) starts.push(segment.x);
+                });
+            });
+            if (starts.length < 4) return null;
+            const valueX = this.dominantValue(starts, 4);
+            let labelledRows = 0;
+            let valueOnlyRows = 0;
+            lines.forEach(line => {
+                const valueIndex = line.segments.findIndex(s => Math.abs(s.x - valueX) <= 4);
+                if (valueIndex === 0) valueOnlyRows++;
+                if (valueIndex > 0) labelledRows++;
+            });
+            return labelledRows >= 2 && valueOnlyRows >= 2 ? valueX - 4 : null;
+        }
+
+        /**
+         * 标签-值表格：每个标签一块，标签独占一行，值逐行缩进输出
+         * @param {Array} lines - 行列表
+         * @param {number} valueX - 值列起始横坐标
+         * @returns {string}
+         */
+        renderLabelValue(lines, valueX) {
+            const spacing = this.medianLineSpacing(lines);
+            const blocks = [];
+            let block = null;
+            lines.forEach((line, i) => {
+                const label = line.segments.filter(s => s.xEnd <= valueX + 2).map(s => s.text).join(' ');
+                const value = line.segments.filter(s => s.xEnd > valueX + 2).map(s => s.text).join(' ');
+                const gap = i > 0 ? lines[i - 1].y - line.y : 0;
+                const startsNewBlock = !block || (label && ((block.values.length > 0 && !block.labelOpen) || gap > spacing * 1.4));
+                if (startsNewBlock && label) {
+                    block = { labels: [label], values: [], labelOpen: true };
+                    blocks.push(block);
+                } else if (label) {
+                    block.labels.push(label);
+                } else if (!block) {
+                    block = { labels: [], values: [], labelOpen: false };
+                    blocks.push(block);
+                }
+                if (!label) block.labelOpen = false;
+                if (value) block.values.push(value);
+            });
+            return blocks
+                .map(b => [b.labels.join(' '), ...b.values.map(v => '    ' + v)].filter(Boolean).join('\n'))
+                .join('\n\n');
+        }
+
+        /**
+         * 取出现次数最多的坐标（按容差聚类）
+         * @param {Array<number>} values - 坐标列表
+         * @param {number} tolerance - 容差
+         * @returns {number}
+         */
+        dominantValue(values, tolerance) {
+            let best = values[0];
+            let bestCount = 0;
+            values.forEach(v => {
+                const count = values.filter(o => Math.abs(o - v) <= tolerance).length;
+                if (count > bestCount) {
+                    best = v;
+                    bestCount = count;
+                }
+            });
+            return best;
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.HKEXPageLayout = PageLayoutBuilder;
+    }
+
+    console.info('[HKEX-Layout] 版面文本重建模块加载完成');
+})();
@@ -0,0 +1,244 @@
+/**
+ * 港股招股书信息提取器 - 董事及监事
+ * 从"董事及高级管理层"章节提取董事、监事名单：中英文姓名、职位类别、年龄、委任日期及所属董事委员会
+ * AI结果与简历首句（"Mr. ZHANG San (張三), aged 45, is our executive Director"）的规则解析结果合并
+ */
+
+(function() {
+    'use strict';
+
+    // 交给AI的章节文本上限（字符）；董事、监事表格和简历在章节前部，高级管理层在后
+    const AI_TEXT_LIMIT = 30000;
+    // 简历首句之后用于判断职位类别的字符数
+    const ROLE_WINDOW = 400;
+    // 单份简历最多读取的字符数（到下一份简历为止）
+    const BIOGRAPHY_MAX_CHARS = 3000;
+
+    /**
+     * 职位类别
+     * - patterns: 识别规则（英文、中文繁简）；同一文本命中多类时取位置最靠前的，
+     *   因此"independent non-executive Director"归为 ined 而不是 nonExecutive
+     */
+    const ROLE_TYPES = {
+        executive: { label: '执行董事', patterns: [/\bexecutive\s+Directors?\b/i, /執行董事|执行董事/] },
+        nonExecutive: { label: '非执行董事', patterns: [/\bnon[\s-]*executive\s+Directors?\b/i, /非執行董事|非执行董事/] },
+        ined: { label: '独立非执行董事', patterns: [/\bindependent\s+non[\s-]*executive\s+Directors?\b/i, /獨立非執行董事|独立非执行董事/] },
+        supervisor: { label: '监事', patterns: [/\bSupervisors?\b/i, /監事|监事/] }
+    };
+
+    // 董事委员会
+    const COMMITTEES = {
+        audit: { label: '审核委员会', patterns: [/\bAudit(?:\s+and\s+Risk(?:\s+Management)?)?\s+Committee\b/i, /審核委員會|审核委员会|審計委員會|审计委员会/] },
+        remuneration: { label: '薪酬委员会', patterns: [/\bRemuneration(?:\s+and\s+(?:Appraisal|Assessment))?\s+Committee\b/i, /薪酬(?:與考核)?委員會|薪酬(?:与考核)?委员会/] },
+        nomination: { label: '提名委员会', patterns: [/\bNomination\s+Committee\b/i, /提名委員會|提名委员会/] },
+        esg: { label: 'ESG委员会', patterns: [/\b(?:ESG|Environmental,?\s+Social\s+and\s+Governance|Sustainability)\s+Committee\b/i, /(?:ESG|環境、社會及管治|可持續發展)委員會|(?:ESG|环境、社会及管治|可持续发展)委员会/] },
+        strategy: { label: '战略委员会', patterns: [/\bStrateg(?:y|ic)(?:\s+Development)?\s+Committee\b/i, /戰略(?:發展)?委員會|战略(?:发展)?委员会/] }
+    };
+
+    // 简历首句：英文版"Mr. ZHANG San (張三), aged 45"，中文版"張三先生，45歲"
+    const BIOGRAPHY_PATTERNS = [
+        { language: 'en', regex: /\b(?:Mr|Ms|Mrs|Miss|Dr|Prof|Professor)\.?\s+([A-Z][A-Za-z'’\-]+(?:\s+[A-Z][A-Za-z'’\-]+){0,4})\s*(?:\(([^()\n]{1,20})\))?\s*[,，]?\s*aged\s+(\d{2})/g },
+        { language: 'zh', regex: /^\s*([一-鿿·]{2,6}?)(?:先生|女士|博士|教授)\s*[，,]\s*(\d{2})\s*[歲岁]/gm }
+    ];
+
+    // 委任日期：英文"appointed as ... Director on March 1, 2021"，中文"於2021年3月1日獲委任為"
+    const APPOINTMENT_PATTERNS = [
+        /\b(?:was\s+)?(?:appointed|re-designated|redesignated)\b[^.;]{0,120}?\b(?:on|since|in)\s+((?:[A-Z][a-z]+\s+\d{1,2},?\s+\d{4})|(?:\d{1,2}\s+[A-Z][a-z]+,?\s+\d{4})|(?:[A-Z][a-z]+\s+\d{4}))/,
+        /[於于](\d{4}\s*年\s*\d{1,2}\s*月(?:\s*\d{1,2}\s*日)?)[^。；]{0,10}?(?:獲|获|被)?(?:委任|任命|調任|调任|選舉|选举)/
+    ];
+
+    class ManagementRoster {
+        /**
+         * 识别职位类别：取最靠前出现的类别
+         * @param {string} text - 职位描述（如"is our executive Director and chairman"）
+         * @returns {string|null} 职位类别键，无法识别时返回 null
+         */
+        static classifyRole(text) {
+            const source = String(text || '');
+            let best = null;
+            Object.entries(ROLE_TYPES).forEach(([key, role]) => {
+                role.patterns.forEach(pattern => {
+                    const index = source.search(pattern);
+                    if (index !== -1 && (!best || index < best.index)) {
+                        best = { key, index };
+                    }
+                });
+            });
+            return best ? best.key : null;
+        }
+
+        /**
+         * 识别文本中提到的董事委员会
+         * @param {string} text - 简历或委员会描述
+         * @returns {Array<string>} 委员会键，按 COMMITTEES 顺序
+         */
+        static detectCommittees(text) {
+            const source = String(text || '');
+            return Object.keys(COMMITTEES).filter(key => COMMITTEES[key].patterns.some(pattern => pattern.test(source)));
+        }
+
+        /**
+         * 规范化日期：能识别年月日时返回 YYYY-MM-DD，只有年月时返回 YYYY-MM，否则原样返回
+         * @param {string} value - 日期文本
+         * @returns {string|null}
+         */
+        static normalizeDate(value) {
+            const text = String(value || '').trim();
+            if (!text) return null;
+            const numeric = text.match(/(\d{4})\s*[-/.年]\s*(\d{1,2})(?:\s*[-/.月]\s*(\d{1,2}))?/);
+            if (numeric) {
+                const month = numeric[2].padStart(2, '0');
+                return numeric[3] ? `${numeric[1]}-${month}-${numeric[3].padStart(2, '0')}` : `${numeric[1]}-${month}`;
+            }
+            const parsed = new Date(`${text.replace(/,/g, '')} UTC`);
+            if (isNaN(parsed.getTime())) return text;
+            const iso = parsed.toISOString();
+            return /\d{1,2}\s*,?\s+\d{4}|\d{1,2}\s+[A-Za-z]+\s+\d{4}/.test(text) ? iso.slice(0, 10) : iso.slice(0, 7);
+        }
+
+        /**
+         * 按简历首句解析董事、监事（不依赖AI）
+         * @param {string} text - 章节文本
+         * @returns {Array<Object>} 人员列表，见 normalizePerson
+         */
+        static parseBiographies(text) {
+            const source = String(text || '');
+            const hits = [];
+            BIOGRAPHY_PATTERNS.forEach(({ language, regex }) => {
+                const pattern = new RegExp(regex.source, regex.flags);
+                let match;
+                while ((match = pattern.exec(source)) !== null) {
+                    hits.push(language === 'en'
+                        ? { index: match.index, end: match.index + match[0].length, nameEn: match[1], nameZh: match[2], age: match[3] }
+                        : { index: match.index, end: match.index + match[0].length, nameZh: match[1], age: match[2] });
+                }
+            });
+            hits.sort((a, b) => a.index - b.index);
+
+            const people = hits.map((hit, i) => {
+                const next = hits[i + 1];
+                const biography = source.slice(hit.end, Math.min(next ? next.index : source.length, hit.end + BIOGRAPHY_MAX_CHARS));
+                const appointment = APPOINTMENT_PATTERNS.map(pattern => biography.match(pattern)).find(Boolean);
+                return ManagementRoster.normalizePerson({
+                    nameEn: hit.nameEn,
+                    nameZh: hit.nameZh,
+                    role: ManagementRoster.classifyRole(biography.slice(0, ROLE_WINDOW)),
+                    age: hit.age,
+                    appointmentDate: appointment ? appointment[1] : null,
+                    committees: ManagementRoster.detectCommittees(biography)
+                });
+            });
+            return ManagementRoster.merge([], people.filter(Boolean));
+        }
+
+        /**
+         * 规范化单个人员条目；无法识别为董事或监事的条目（如高级管理人员）返回 null
+         * @param {Object} raw - { nameEn, nameZh, role, age, appointmentDate, committees }
+         * @returns {{nameEn: string|null, nameZh: string|null, role: string, age: number|null, appointmentDate: string|null, committees: Array<string>}|null}
+         */
+        static normalizePerson(raw) {
+            if (!raw || typeof raw !== 'object') return null;
+            const clean = value => {
+                const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+                return text && !['null', 'N/A', '未提取', '未识别'].includes(text) ? text : null;
+            };
+            const nameEn = clean(raw.nameEn);
+            const nameZh = clean(raw.nameZh);
+            if (!nameEn && !nameZh) return null;
+            const role = ROLE_TYPES[raw.role] ? raw.role : ManagementRoster.classifyRole(raw.role);
+            if (!role) return null;
+            const age = parseInt(String(raw.age ?? '').replace(/[^\d]/g, ''), 10);
+            const committeeText = Array.isArray(raw.committees) ? raw.committees.join('；') : String(raw.committees || '');
+            const committees = Array.isArray(raw.committees) && raw.committees.every(key => COMMITTEES[key])
+                ? raw.committees
+                : ManagementRoster.detectCommittees(committeeText);
+            return {
+                nameEn,
+                nameZh,
+                role,
+                age: Number.isFinite(age) && age > 0 ? age : null,
+                appointmentDate: ManagementRoster.normalizeDate(clean(raw.appointmentDate)),
+                committees
+            };
+        }
+
+        /**
+         * 合并两份名单：同一人（英文名或中文名相同）只保留一条，前一份优先，缺失字段由后一份补齐
+         * @param {Array<Object>} primary - 优先名单（AI结果）
+         * @param {Array<Object>} secondary - 补充名单（规则解析结果）
+         * @returns {Array<Object>} 合并后的名单，保持首次出现的顺序
+         */
+        static merge(primary = [], secondary = []) {
+            const merged = [];
+            const keyOf = person => [
+                person.nameEn ? 'en:' + person.nameEn.toLowerCase().replace(/[^a-z]/g, '') : null,
+                person.nameZh ? 'zh:' + person.nameZh.replace(/\s+/g, '') : null
+            ].filter(Boolean);
+            [...primary, ...secondary].forEach(person => {
+                if (!person) return;
+                const keys = keyOf(person);
+                const existing = merged.find(item => keyOf(item).some(key => keys.includes(key)));
+                if (!existing) {
+                    merged.push({ ...person, committees: [...person.committees] });
+                    return;
+                }
+                ['nameEn', 'nameZh', 'age', 'appointmentDate'].forEach(field => {
+                    if (existing[field] === null && person[field] !== null) existing[field] = person[field];
+                });
+                if (existing.committees.length === 0) existing.committees = [...person.committees];
+            });
+            return merged;
+        }
+
+        /**
+         * 生成AI提示词
+         * @param {string} text - 章节文本
+         * @returns {string} 提示词
+         */
+        static buildPrompt(text) {
+            return '你是港股招股书信息提取专家。请从以下"董事及高级管理层"章节文本中提取全部董事和监事（不含仅担任高级管理人员的人员）。\n' +
+                '严格返回如下JSON：{"directors": [{"nameEn": "英文姓名", "nameZh": "中文姓名", "role": "executive / nonExecutive / ined / supervisor", ' +
+                '"age": 45, "appointmentDate": "YYYY-MM-DD", "committees": ["audit / remuneration / nomination / esg / strategy"]}]}。\n' +
+                'role 中 executive 为执行董事，nonExecutive 为非执行董事，ined 为独立非执行董事，supervisor 为监事；' +
+                'committees 为其所属的董事委员会（审核、薪酬、提名、ESG、战略），没有则返回空数组；原文未载明的字段返回 null。\n\n' +
+                `文本：\n${String(text || '').slice(0, AI_TEXT_LIMIT)}`;
+        }
+
+        /**
+         * 职位类别的展示名称
+         * @param {string} key - 职位类别键
+         * @returns {string}
+         */
+        static describeRole(key) {
+            return ROLE_TYPES[key] ? ROLE_TYPES[key].label : (key || '未识别');
+        }
+
+        /**
+         * 委员会列表的展示文本，如"审核委员会、提名委员会"
+         * @param {Array<string>} keys - 委员会键
+         * @returns {string}
+         */
+        static describeCommittees(keys) {
+            return (Array.isArray(keys) ? keys : []).map(key => (COMMITTEES[key] ? COMMITTEES[key].label : key)).join('、');
+        }
+
+        /**
+         * 姓名的展示文本，如"ZHANG San（張三）"
+         * @param {Object} person - 人员条目
+         * @returns {string}
+         */
+        static describeName(person) {
+            if (person.nameEn && person.nameZh) return `${person.nameEn}（${person.nameZh}）`;
+            return person.nameEn || person.nameZh || '未提取';
+        }
+    }
+
+    ManagementRoster.ROLE_TYPES = ROLE_TYPES;
+    ManagementRoster.COMMITTEES = COMMITTEES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXManagement = ManagementRoster;
+    }
+
+    console.info('[HKEX-Management] 董事及监事模块加载完成');
+})();
@@ -0,0 +1,413 @@
+/**
+ * 港股招股书信息提取器 - 发售条款
+ * 从封面、"预期时间表"和"全球发售的架构"章节提取股份代号、发售股份数目、香港/国际分配、发售价区间、
+ * 每手买卖单位、上市日期及申请起止日期，并将时间表导出为ICS日历
+ */
+
+(function() {
+    'use strict';
+
+    // 各章节最多读取的页数
+    const CHAPTER_PAGES = { expectedTimetable: 4, structure: 6 };
+    // 时间表事项标题之后查找日期的字符数
+    const EVENT_WINDOW = 300;
+    // 香港时间与UTC的时差（小时），香港不实行夏令时
+    const HONG_KONG_UTC_OFFSET = 8;
+
+    // 数量和代码字段：按顺序尝试，取第一个命中的
+    const NUMBER_FIELDS = {
+        stockCode: [/Stock\s+code\s*[:：]?\s*(\d{4,5})\b/i, /股份代[號号]\s*[:：]?\s*(\d{4,5})/],
+        offerShares: [
+            /Number\s+of\s+Offer\s+Shares(?:\s+under\s+the\s+(?:Global|Share)\s+Offering)?\s*[:：]?\s*([\d,]{4,})/i,
+            /(?<!香港|國際|国际)發售股份數目\s*[:：]?\s*([\d,]{4,})/
+        ],
+        hkOfferShares: [/Number\s+of\s+Hong\s+Kong\s+Offer\s+Shares\s*[:：]?\s*([\d,]{4,})/i, /香港發售股份數目\s*[:：]?\s*([\d,]{4,})/],
+        internationalOfferShares: [/Number\s+of\s+International\s+Offer\s+Shares\s*[:：]?\s*([\d,]{4,})/i, /國際發售股份數目\s*[:：]?\s*([\d,]{4,})/],
+        boardLot: [/board\s+lots?\s+of\s+([\d,]+)\s+(?:H\s+)?Shares/i, /Board\s+lot(?:\s+size)?\s*[:：]\s*([\d,]+)/i, /每手買賣單位\s*[:：]?\s*([\d,]+)/, /每手([\d,]+)股/]
+    };
+
+    // 发售价区间：range 同时给出上下限，max 只给出最高发售价
+    const PRICE_PATTERNS = {
+        range: [
+            { regex: /not\s+more\s+than\s+(HK\$|US\$|RMB)\s*([\d.]+)[\s\S]{0,200}?not\s+less\s+than\s+(?:HK\$|US\$|RMB)\s*([\d.]+)/i, currency: 1, max: 2, min: 3 },
+            { regex: /(HK\$|US\$|RMB)\s*([\d.]+)\s*(?:to|-|–|and)\s*(?:HK\$|US\$|RMB)?\s*([\d.]+)\s+per\s+(?:Offer\s+|H\s+)?Share/i, currency: 1, min: 2, max: 3 },
+            { regex: /不高於每股(?:發售|H)?股份\s*([\d.]+)\s*港元[\s\S]{0,100}?不低於每股(?:發售|H)?股份\s*([\d.]+)\s*港元/, currency: 'HKD', max: 1, min: 2 }
+        ],
+        max: [
+            { regex: /Maximum\s+Offer\s+Price\s*[:：]?\s*(HK\$|US\$|RMB)\s*([\d.]+)/i, currency: 1, max: 2 },
+            { regex: /最高發售價\s*[:：]?\s*每股(?:發售|H)?股份\s*([\d.]+)\s*港元/, currency: 'HKD', max: 1 }
+        ]
+    };
+
+    /**
+     * 时间表事项
+     * - label: 展示名称，也用作日历事件标题
+     * - patterns: 事项标题（英文、中文），日期取标题之后最先出现的日期
+     */
+    const TIMETABLE_EVENTS = {
+        applicationOpen: {
+            label: '香港公开发售开始',
+            patterns: [/Hong\s+Kong\s+Public\s+Offering\s+commences/i, /香港公開發售開始/]
+        },
+        applicationClose: {
+            label: '截止办理申请登记',
+            patterns: [/Application\s+lists\s+close/i, /截止辦理申請登記/, /Latest\s+time\s+(?:to|for)\s+(?:lodging|lodge|complete)[^\n]{0,80}applications/i]
+        },
+        listingDate: {
+            label: '股份开始买卖（上市日期）',
+            patterns: [
+                /Dealings\s+in\s+(?:the\s+)?(?:H\s+)?Shares\s+on\s+the\s+(?:Hong\s+Kong\s+)?Stock\s+Exchange\s+(?:are\s+)?expected\s+to\s+commence/i,
+                /預期(?:H股)?股份於聯交所開始買賣|股份預期於聯交所開始買賣/
+            ]
+        }
+    };
+
+    const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+    const CHINESE_DIGITS = { 零: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+    class OfferingTerms {
+        /**
+         * 按规则解析发售条款（不依赖AI）
+         * @param {Object} texts - { cover, timetable, structure } 封面、预期时间表、全球发售的架构章节文本
+         * @returns {Object} 发售条款，字段见 empty()；未找到的字段为 null
+         */
+        static parse(texts = {}) {
+            const all = [texts.cover, texts.structure, texts.timetable].filter(Boolean).join('\n');
+            const terms = OfferingTerms.empty();
+            Object.entries(NUMBER_FIELDS).forEach(([field, patterns]) => {
+                const match = patterns.map(pattern => all.match(pattern)).find(Boolean);
+                if (!match) return;
+                terms[field] = field === 'stockCode' ? match[1] : OfferingTerms.toNumber(match[1]);
+            });
+            terms.priceRange = OfferingTerms.parsePriceRange(all);
+            const timetable = texts.timetable || all;
+            Object.entries(TIMETABLE_EVENTS).forEach(([field, event]) => {
+                terms[field] = OfferingTerms.findEventDate(timetable, event.patterns)
+                    || (timetable !== all ? OfferingTerms.findEventDate(all, event.patterns) : null);
+            });
+            return terms;
+        }
+
+        /**
+         * 空的发售条款
+         * @returns {Object}
+         */
+        static empty() {
+            return {
+                stockCode: null,
+                offerShares: null,
+                hkOfferShares: null,
+                internationalOfferShares: null,
+                priceRange: null,
+                boardLot: null,
+                applicationOpen: null,
+                applicationClose: null,
+                listingDate: null
+            };
+        }
+
+        /**
+         * 解析发售价区间
+         * @param {string} text - 文本
+         * @returns {{min: number|null, max: number|null, currency: string}|null}
+         */
+        static parsePriceRange(text) {
+            const read = (rule, match) => ({
+                min: rule.min ? OfferingTerms.toNumber(match[rule.min]) : null,
+                max: OfferingTerms.toNumber(match[rule.max]),
+                currency: OfferingTerms.normalizeCurrency(typeof rule.currency === 'number' ? match[rule.currency] : rule.currency)
+            });
+            for (const group of [PRICE_PATTERNS.range, PRICE_PATTERNS.max]) {
+                for (const rule of group) {
+                    const match = text.match(rule.regex);
+                    if (match) return read(rule, match);
+                }
+            }
+            return null;
+        }
+
+        /**
+         * 查找时间表事项的日期和时间（香港时间）
+         * @param {string} text - 时间表文本
+         * @param {Array<RegExp>} patterns - 事项标题
+         * @returns {{date: string, time: string|null}|null} date 为 YYYY-MM-DD，time 为 HH:mm
+         */
+        static findEventDate(text, patterns) {
+            for (const pattern of patterns) {
+                const match = text.match(pattern);
+                if (!match) continue;
+                const start = match.index + match[0].length;
+                const result = OfferingTerms.parseDateTime(text.slice(start, start + EVENT_WINDOW));
+                if (result) return result;
+            }
+            return null;
+        }
+
+        /**
+         * 解析片段中第一个日期及其前后的时间
+         * 支持"9:00 a.m. on Monday, June 2, 2025"、"12:00 noon on 2 June 2025"、"2025年6月2日（星期一）上午九時正"
+         * @param {string} snippet - 文本片段
+         * @returns {{date: string, time: string|null}|null}
+         */
+        static parseDateTime(snippet) {
+            const source = String(snippet || '');
+            const dates = [
+                { regex: /\b([A-Z][a-z]+)\s+(\d{1,2}),?\s+(\d{4})\b/, read: m => [m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, m[2]] },
+                { regex: /\b(\d{1,2})\s+([A-Z][a-z]+),?\s+(\d{4})\b/, read: m => [m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]] },
+                { regex: /(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/, read: m => [m[1], m[2], m[3]] }
+            ]
+                .map(rule => {
+                    const match = rule.regex.exec(source);
+                    if (!match) return null;
+                    const [year, month, day] = rule.read(match).map(Number);
+                    return month >= 1 ? { index: match.index, end: match.index + match[0].length, year, month, day } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.index - b.index);
+            if (dates.length === 0) return null;
+            const found = dates[0];
+            const date = `${found.year}-${String(found.month).padStart(2, '0')}-${String(found.day).padStart(2, '0')}`;
+            // 英文时间在日期之前，中文时间在日期之后
+            const before = source.slice(0, found.index);
+            const after = source.slice(found.end, found.end + 30);
+            const time = OfferingTerms.parseEnglishTime(before) || OfferingTerms.parseChineseTime(after);
+            return { date, time };
+        }
+
+        /**
+         * 解析英文时间，取片段中最后出现的时间
+         * @param {string} text - 文本
+         * @returns {string|null} HH:mm
+         */
+        static parseEnglishTime(text) {
+            const matches = [...String(text).matchAll(/(\d{1,2})(?::|\.)(\d{2})\s*(a\.?\s?m\.?|p\.?\s?m\.?|noon|midnight)/gi)];
+            if (matches.length === 0) return null;
+            const match = matches[matches.length - 1];
+            let hour = Number(match[1]) % 12;
+            const suffix = match[3].toLowerCase();
+            if (suffix.startsWith('p') || suffix === 'noon') hour += 12;
+            return `${String(hour).padStart(2, '0')}:${match[2]}`;
+        }
+
+        /**
+         * 解析中文时间，如"上午九時正"、"中午十二時正"、"上午十一時四十五分"
+         * @param {string} text - 文本
+         * @returns {string|null} HH:mm
+         */
+        static parseChineseTime(text) {
+            const match = String(text).match(/(上午|下午|中午)([零一二三四五六七八九十]+)[時时](正|([零一二三四五六七八九十]+)分)?/);
+            if (!match) return null;
+            let hour = OfferingTerms.chineseNumber(match[2]) % 12;
+            if (match[1] !== '上午') hour += 12;
+            const minute = match[4] ? OfferingTerms.chineseNumber(match[4]) : 0;
+            return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        }
+
+        /**
+         * 中文数字（0-59）转为阿拉伯数字
+         * @param {string} text - 如"十二"、"四十五"
+         * @returns {number}
+         */
+        static chineseNumber(text) {
+            if (!text.includes('十')) return CHINESE_DIGITS[text] || 0;
+            const [tens, ones] = text.split('十');
+            return (tens ? CHINESE_DIGITS[tens] : 1) * 10 + (ones ? CHINESE_DIGITS[ones] : 0);
+        }
+
+        /**
+         * 去掉千分位后转为数字
+         * @param {string|number} value - 数值文本
+         * @returns {number|null}
+         */
+        static toNumber(value) {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+            const match = String(value ?? '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+            return match ? Number(match[0]) : null;
+        }
+
+        /**
+         * 统一币种写法
+         * @param {string} currency - 如"HK$"、"US$"
+         * @returns {string} HKD / USD / RMB
+         */
+        static normalizeCurrency(currency) {
+            const text = String(currency || '').toUpperCase();
+            if (text.startsWith('US')) return 'USD';
+            if (text.startsWith('RMB') || text === 'CNY') return 'RMB';
+            return 'HKD';
+        }
+
+        /**
+         * 生成AI提示词，只要求规则解析未找到的字段
+         * @param {Array<string>} fields - 缺失字段
+         * @param {string} text - 封面、时间表和架构章节文本
+         * @returns {string} 提示词
+         */
+        static buildPrompt(fields, text) {
+            const descriptions = {
+                stockCode: '"stockCode": 股份代号（字符串）',
+                offerShares: '"offerShares": 全球发售的发售股份总数（数字）',
+                hkOfferShares: '"hkOfferShares": 香港发售股份数目（数字）',
+                internationalOfferShares: '"internationalOfferShares": 国际发售股份数目（数字）',
+                priceRange: '"priceRange": {"min": 最低发售价, "max": 最高发售价, "currency": "HKD"}',
+                boardLot: '"boardLot": 每手买卖单位股数（数字）',
+                applicationOpen: '"applicationOpen": {"date": "YYYY-MM-DD", "time": "HH:mm"} 香港公开发售开始',
+                applicationClose: '"applicationClose": {"date": "YYYY-MM-DD", "time": "HH:mm"} 截止办理申请登记',
+                listingDate: '"listingDate": {"date": "YYYY-MM-DD", "time": "HH:mm"} 股份预期开始买卖'
+            };
+            return '你是港股招股书信息提取专家。请从以下封面、预期时间表和全球发售架构文本中提取发售条款。\n' +
+                `严格返回JSON，只包含以下字段：\n${fields.map(field => descriptions[field]).join('\n')}\n` +
+                '时间为香港时间（24小时制），原文未载明的字段返回 null。\n\n' +
+                `文本：\n${text}`;
+        }
+
+        /**
+         * 用AI结果补齐规则解析未找到的字段
+         * @param {Object} terms - 规则解析结果
+         * @param {Object} aiResult - AI返回的JSON
+         * @returns {Object} 合并后的发售条款
+         */
+        static fillMissing(terms, aiResult) {
+            if (!aiResult || typeof aiResult !== 'object') return terms;
+            const merged = { ...terms };
+            Object.keys(merged).forEach(field => {
+                if (merged[field] !== null || aiResult[field] === null || aiResult[field] === undefined) return;
+                const value = aiResult[field];
+                if (field === 'stockCode') {
+                    const code = String(value).match(/\d{4,5}/);
+                    merged.stockCode = code ? code[0] : null;
+                } else if (field === 'priceRange') {
+                    if (typeof value === 'object' && OfferingTerms.toNumber(value.max) !== null) {
+                        merged.priceRange = {
+                            min: OfferingTerms.toNumber(value.min),
+                            max: OfferingTerms.toNumber(value.max),
+                            currency: OfferingTerms.normalizeCurrency(value.currency)
+                        };
+                    }
+                } else if (TIMETABLE_EVENTS[field]) {
+                    const date = String(typeof value === 'object' ? value.date || '' : value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+                    const time = typeof value === 'object' && /^\d{2}:\d{2}$/.test(String(value.time || '')) ? value.time : null;
+                    merged[field] = date ? { date: date[0], time } : null;
+                } else {
+                    merged[field] = OfferingTerms.toNumber(value);
+                }
+            });
+            return merged;
+        }
+
+        /**
+         * 发售价区间的展示文本，如"HKD 10.00 - 12.00"
+         * @param {Object} priceRange - 发售价区间
+         * @returns {string}
+         */
+        static formatPriceRange(priceRange) {
+            if (!priceRange || priceRange.max === null) return '未提取';
+            const min = priceRange.min !== null && priceRange.min !== undefined ? `${priceRange.min.toFixed(2)} - ` : '不超过 ';
+            return `${priceRange.currency} ${min}${priceRange.max.toFixed(2)}`;
+        }
+
+        /**
+         * 时间表日期的展示文本，如"2025-06-02 09:00"
+         * @param {Object} value - { date, time }
+         * @returns {string}
+         */
+        static formatDateTime(value) {
+            if (!value || !value.date) return '未提取';
+            return value.time ? `${value.date} ${value.time}` : value.date;
+        }
+
+        /**
+         * 生成时间表的ICS日历（有时间的事项按香港时间换算为UTC，没有时间的为全天事件）
+         * @param {Object} offering - 发售条款
+         * @param {string} [companyName] - 公司名称，写入事件标题
+         * @returns {string|null} ICS文本，没有任何日期时返回 null
+         */
+        static toICS(offering, companyName = '') {
+            if (!offering) return null;
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+            const prefix = [companyName, offering.stockCode ? `(${offering.stockCode})` : ''].filter(Boolean).join(' ');
+            const events = Object.entries(TIMETABLE_EVENTS)
+                .filter(([field]) => offering[field] && offering[field].date)
+                .map(([field, event]) => {
+                    const { date, time } = offering[field];
+                    const compactDate = date.replace(/-/g, '');
+                    const lines = [
+                        'BEGIN:VEVENT',
+                        `UID:${offering.stockCode || compactDate}-${field}@hkex-prospectus-extractor`,
+                        `DTSTAMP:${stamp}`
+                    ];
+                    if (time) {
+                        const [year, month, day] = date.split('-').map(Number);
+                        const [hour, minute] = time.split(':').map(Number);
+                        const start = new Date(Date.UTC(year, month - 1, day, hour - HONG_KONG_UTC_OFFSET, minute));
+                        const format = value => value.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+                        lines.push(`DTSTART:${format(start)}`, `DTEND:${format(new Date(start.getTime() + 30 * 60 * 1000))}`);
+                    } else {
+                        const next = new Date(`${date}T00:00:00Z`);
+                        next.setUTCDate(next.getUTCDate() + 1);
+                        lines.push(`DTSTART;VALUE=DATE:${compactDate}`, `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`);
+                    }
+                    lines.push(
+                        `SUMMARY:${OfferingTerms.escapeICS(prefix ? `${prefix} ${event.label}` : event.label)}`,
+                        `DESCRIPTION:${OfferingTerms.escapeICS(`${event.label}（香港时间 ${OfferingTerms.formatDateTime(offering[field])}）`)}`,
+                        'END:VEVENT'
+                    );
+                    return lines;
+                });
+            if (events.length === 0) return null;
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//LawMoZ//HKEX Prospectus Extractor//ZH',
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                ...events.flat(),
+                'END:VCALENDAR'
+            ];
+            return lines.map(line => OfferingTerms.foldICSLine(line)).join('\r\n') + '\r\n';
+        }
+
+        /**
+         * 转义ICS文本值中的反斜杠、逗号、分号和换行
+         * @param {string} text - 文本
+         * @returns {string}
+         */
+        static escapeICS(text) {
+            return String(text).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+        }
+
+        /**
+         * 按RFC 5545折行：每行不超过75字节（UTF-8），续行以空格开头
+         * @param {string} line - 内容行
+         * @returns {string}
+         */
+        static foldICSLine(line) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            let current = '';
+            let bytes = 0;
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                const limit = parts.length === 0 ? 75 : 74;
+                if (bytes + size > limit) {
+                    parts.push(current);
+                    current = '';
+                    bytes = 0;
+                }
+                current += char;
+                bytes += size;
+            }
+            parts.push(current);
+            return parts.join('\r\n ');
+        }
+    }
+
+    OfferingTerms.CHAPTER_PAGES = CHAPTER_PAGES;
+    OfferingTerms.TIMETABLE_EVENTS = TIMETABLE_EVENTS;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXOffering = OfferingTerms;
+    }
+
+    console.info('[HKEX-Offering] 发售条款模块加载完成');
+})();
@@ -16,31 +16,41 @@
                 error: console.error.bind(console)
             };
             
-            this.companyTypePatterns = {
-                'cayman': /cayman|开曼群岛|Cayman Islands/i,
-                'china': /中华人民共和国|中国|PRC|People's Republic of China/i,
-                'hong kong': /Hong Kong|香港/i,
-                'bermuda': /Bermuda|百慕大/i,
-                'bvi': /British Virgin Islands|英属维尔京群岛|BVI/i,
-                'other': /Singapore|新加坡|Marshall Islands|马绍尔群岛/i 
+            // 解析选项
+            this.options = {
+                // 是否同时提取各参与方的地址和牌照（证监会持牌类型 / 公众利益实体核数师注册）
+                partyDetails: false,
+                // 各类参与方合并为一次AI请求（见 party-batch.js），false 时逐类调用
+                partyBatch: true
             };
 
-            // 添加AI配置
-            this.aiConfig = {
-                enabled: false, // 默认关闭AI验证
-                apiKey: '', // AI API密钥
-                endpoint: '' // AI API端点
-            };
+            // AI调用累计（次数和 token 用量），见 measureAI
+            this.aiUsage = { calls: 0, promptTokens: 0, completionTokens: 0 };
+            // 最近一次成功调用的接口、模型和是否为结构化输出
+            this.lastAICall = null;
+            // 本次提取中经重新提问仍失败的字段，见 markAIFailure
+            this.aiFailures = {};
+
+            // 提取配置中的AI接口选择，见 configureProfileAI
+            this.profileAI = null;
+        }
+
+        /**
+         * 设置提取配置中的AI接口选择（provider、model 等），切换配置时传入 null 恢复扩展配置的默认接口
+         * @param {Object|null} ai - 提取配置的 ai 字段
+         */
+        configureProfileAI(ai) {
+            this.profileAI = ai || null;
         }
 
         /**
-         * 配置AI辅助功能
-         * @param {Object} config - AI配置信息
+         * 配置解析选项
+         * @param {Object} options - { partyDetails }
          */
-        configureAI(config) {
-            this.aiConfig = {
-                ...this.aiConfig,
-                ...config
+        configure(options = {}) {
+            this.options = {
+                ...this.options,
+                ...options
             };
         }
 
@@ -52,7 +62,7 @@
         async parseCompanyInfo(sections) {
             this.logger.debug('开始解析公司基本信息');
             // 只让AI提取公司名和注册地类型
-            const basicInfo = await this.extractBasicCompanyInfo(sections.firstPageText);
+            const basicInfo = await this.extractBasicCompanyInfo(sections.firstPageText, sections.documentType);
             // 只用weAre句子AI提取主营业务
             let industry = '未识别';
             if (sections.weAreText && sections.weAreText.length > 0) {
@@ -60,11 +70,25 @@
             } else {
                 this.logger.warn('未找到有效的We are句子，无法提取主营业务');
             }
+            // AI未识别注册地时，使用封面注册地表述的识别结果（见 jurisdictions.js）
+            let companyType = basicInfo.companyType;
+            if ((!companyType || companyType === '未识别') && sections.companyType && sections.companyType !== 'other' && window.HKEXJurisdictions) {
+                companyType = window.HKEXJurisdictions.getProfile(sections.companyType).label;
+            }
+            // AI请求失败且规则也未找到的字段标记为提取失败，而不是"未识别"
+            const missing = (field, label, value) => {
+                if (value) return value;
+                if (!basicInfo.aiError) return '未识别';
+                this.markAIFailure(`company.${field}`, label, basicInfo.aiError);
+                return this.failedText();
+            };
             const result = {
-                companyName: basicInfo.companyName || '未识别',
-                companyChineseName: basicInfo.companyChineseName || '未识别',
-                companyType: basicInfo.companyType || '未识别',
-                industry
+                companyName: missing('companyName', '公司英文名称', basicInfo.companyName),
+                companyChineseName: missing('companyChineseName', '公司中文名称', basicInfo.companyChineseName),
+                companyType: missing('companyType', '公司类型', companyType),
+                industry,
+                // 公司名称的原文核实结果（见 verifier.js）
+                verification: basicInfo.verification || {}
             };
             this.logger.info('公司基本信息解析完成', result);
             return result;
@@ -73,18 +97,20 @@
         /**
          * 从首页提取公司基本信息
          * @param {string} firstPageText - 首页文本
+         * @param {string} [documentType='applicationProof'] - 文档类型，决定封面锚点
          * @returns {Promise<Object>} 公司基本信息
          */
-        async extractBasicCompanyInfo(firstPageText) {
+        async extractBasicCompanyInfo(firstPageText, documentType = 'applicationProof') {
             try {
-                // 使用正则表达式提取关键区域
-                const pattern = /Application\s+Proof\s+of([\s\S]*?)The\s+publication\s+of\s+this\s+Application\s+Proof\s+is\s+required\s+by\s+The/i;
-                const match = firstPageText.match(pattern);
+                // 按文档类型的封面锚点提取关键区域
+                const coverRegion = window.HKEXDocumentTypes
+                    ? window.HKEXDocumentTypes.extractCoverRegion(firstPageText, documentType)
+                    : null;
                 let extractedText = '';
                 let fallbackUsed = false;
-                if (match && match[1]) {
-                    extractedText = match[1].trim();
-                    this.logger.info('公司基本信息区域正则提取成功', { preview: extractedText.slice(0, 200) });
+                if (coverRegion) {
+                    extractedText = coverRegion;
+                    this.logger.info('公司基本信息区域正则提取成功', { documentType, preview: extractedText.slice(0, 200) });
                 } else {
                     // fallback: 取首页前1000字符
                     extractedText = firstPageText.slice(0, 1000);
@@ -93,6 +119,7 @@
                 }
                 const aiResult = await this.extractBasicInfoWithAI(extractedText);
                 this.logger.info('AI返回公司基本信息', aiResult);
+                let verifySource = extractedText;
                 // AI全未识别时，尝试正则兜底
                 if ((aiResult.companyName === '未识别' || !aiResult.companyName) && (aiResult.companyChineseName === '未识别' || !aiResult.companyChineseName)) {
                     // 英文公司名兜底
@@ -103,8 +130,16 @@
                     const chiMatch = firstPageText.match(chiPattern);
                     if (engMatch) aiResult.companyName = engMatch[0];
                     if (chiMatch) aiResult.companyChineseName = chiMatch[0];
+                    verifySource = firstPageText;
                     this.logger.warn('AI未识别，正则兜底公司名', { eng: aiResult.companyName, chi: aiResult.companyChineseName });
                 }
+                if (window.HKEXVerifier) {
+                    aiResult.verification = {
+                        companyName: window.HKEXVerifier.check(aiResult.companyName, verifySource),
+                        companyChineseName: window.HKEXVerifier.check(aiResult.companyChineseName, verifySource)
+                    };
+                    this.logger.info('公司名称原文核实', aiResult.verification);
+                }
                 return aiResult;
             } catch (error) {
                 this.logger.error('提取公司基本信息失败', error);
@@ -118,377 +153,662 @@
          * @returns {Promise<Object>} 解析结果
          */
         async extractBasicInfoWithAI(text) {
-            // 修复AI返回内容为字符串且带markdown包裹的情况
             try {
-                const prompt = `你是一个专业的港股招股书信息提取专家。请从以下文本中提取公司基本信息。\n\n请严格按照以下JSON格式返回结果：\n{\n  "companyName": "英文公司名称",\n  "companyChineseName": "中文公司名称（简体中文）",\n  "companyType": "注册地类型（如：中国公司、开曼公司、香港公司、百慕大公司、英属维尔京群岛公司、其他）"\n}\n...\n提取文本：\n${text}`;
+                const prompt = `你是一个专业的港股招股书信息提取专家。请从以下文本中提取公司基本信息。\n\n请严格按照以下JSON格式返回结果：\n{\n  "companyName": "英文公司名称",\n  "companyChineseName": "中文公司名称（按原文照录，繁体不要改为简体）",\n  "companyType": "注册地类型（如：中国公司、开曼公司、香港公司、百慕大公司、英属维尔京群岛公司、其他）"\n}\n...\n提取文本：\n${text}`;
                 this.logger.info('AI公司信息提取调用前', { promptPreview: prompt.slice(0, 300), textPreview: text.slice(0, 200) });
-                let result = await this.callAI(prompt);
-                // 处理AI返回内容为字符串的情况
-                if (typeof result === 'string') {
-                    // 去除markdown代码块包裹
-                    result = result.trim();
-                    if (result.startsWith('```json')) {
-                        result = result.replace(/^```json[\r\n]*/i, '').replace(/```$/i, '').trim();
-                    } else if (result.startsWith('```')) {
-                        result = result.replace(/^```[\w]*[\r\n]*/i, '').replace(/```$/i, '').trim();
-                    }
-                    try {
-                        result = JSON.parse(result);
-                    } catch (e) {
-                        this.logger.warn('AI返回内容无法解析为JSON', { raw: result });
-                        result = {};
-                    }
-                }
+                const result = await this.callAIJSON(prompt, 'company_basic');
                 this.logger.info('AI公司信息提取调用后', result);
-                return result;
+                if (!result.ok) {
+                    return { companyName: '', companyChineseName: '', companyType: '', aiError: result.disabled ? null : result.error };
+                }
+                return result.value;
             } catch (error) {
                 this.logger.error('AI解析公司基本信息失败', error);
-                return { companyName: '', companyChineseName: '', companyType: '' };
+                return { companyName: '', companyChineseName: '', companyType: '', aiError: error.message };
             }
         }
 
 
         /**
-         * 使用AI提取行业信息
-         * @param {string} summaryText - Summary章节文本
-         * @returns {Promise<string>} 行业描述
+         * 分段解析专业服务机构信息：按提取配置逐类调用AI，每类使用配置中的提示词
+         * @param {Object} chunks - 各专业机构片段对象，键为 `${role.key}Chunk`
+         * @param {Object} profile - 提取配置（profiles/*.json）
+         * @returns {Object} 服务机构信息，键为 role.key
          */
-        async extractIndustryWithAI(summaryText) {
-            try {
-                const prompt = "你是一个专业的港股招股书信息提取专家。请从以下招股书文本中提取公司的主要业务和行业信息。\n\n" +
-                    "要求：\n" +
-                    "1. 重点关注以下部分的内容：\n" +
-                    "   - \"BUSINESS OVERVIEW\"或\"OUR BUSINESS\"部分\n" +
-                    "   - \"COMPANY OVERVIEW\"部分\n" +
-                    "   - \"INDUSTRY OVERVIEW\"部分\n\n" +
-                    "2. 需要提取的信息包括：\n" +
-                    "   - 公司的主营业务是什么\n" +
-                    "   - 公司所属的行业领域\n" +
-                    "   - 公司的主要产品或服务\n\n" +
-                    "3. 返回格式要求：\n" +
-                    "   - 用简洁的语言描述\n" +
-                    "   - 不超过100字\n" +
-                    "   - 如果找不到相关信息请说明\"未找到业务描述信息\"\n" +
-                    "   - 直接返回描述文本不需要JSON格式\n\n" +
-                    "提取文本：\n" + summaryText;
-
-                const result = await this.callAI(prompt);
-                if (typeof result === "string" && result.includes("未找到业务描述信息")) {
-                    return "未能从Summary章节提取到行业信息";
+        async parseServiceProviders(chunks, profile) {
+            this.logger.debug('开始分段解析专业服务机构信息', { chunksPreview: Object.fromEntries(Object.entries(chunks || {}).map(([k, v]) => [k, v?.slice(0, 100)])) });
+            if (!profile || !Array.isArray(profile.roles)) {
+                this.logger.warn('提取配置未加载，跳过专业服务机构解析');
+                return {};
+            }
+
+            const details = this.getDetailsInstruction(profile);
+            const result = {};
+            for (const role of profile.roles) {
+                const roleChunks = chunks ? chunks[role.key + 'Chunk'] : null;
+                const text = Array.isArray(roleChunks) ? roleChunks.map(item => item.chunk).join('\n') : '';
+                if (!text) {
+                    this.logger.warn(`${role.label || role.key}关键词片段为空`);
+                    result[role.key] = [];
+                    continue;
                 }
-                return typeof result === "string" ? result : result.toString();
-            } catch (error) {
-                this.logger.error("AI提取行业信息失败", error);
-                return "未识别";
+                result[role.key] = this.finishRole(role, await this.extractRoleWithAI(role, text, details), roleChunks);
             }
+            this.logger.info('分段解析专业服务机构信息完成', result);
+            return result;
         }
 
         /**
-         * 分段解析专业服务机构信息（新版：每类独立AI调用，兼容AI返回格式）
-         * @param {Object} chunks - 各专业机构片段对象（sponsorsChunk, legalAdvisorChunk, industryConsultantsChunk, auditorsChunk）
-         * @returns {Object} 服务机构信息
+         * 专业机构名单的收尾处理：清理空的地址、牌照字段，法律顾问标注适用法律，按片段原文核实名称
+         * @param {Object} role - 专业机构类型
+         * @param {Array<Object>} list - AI返回的名单
+         * @param {Array<{keyword: string, chunk: string}>} roleChunks - 该类型的关键词片段
+         * @returns {Array<Object>} 名单
          */
-        async parseServiceProviders(chunks) {
-            this.logger.debug('开始分段解析专业服务机构信息', { chunksPreview: Object.fromEntries(Object.entries(chunks).map(([k, v]) => [k, v?.slice(0, 100)])) });
-
-            // 1. 保荐人
-            let sponsors = [];
-            let sponsorsText = Array.isArray(chunks.sponsorsChunk) ? chunks.sponsorsChunk.map(item => item.chunk).join('\n') : '';
-            if (sponsorsText) {
-                let sponsorRes = await this.extractSponsorsWithAI(sponsorsText);
-                // 兼容AI返回对象/数组
-                if (Array.isArray(sponsorRes)) {
-                    sponsors = sponsorRes;
-                } else if (sponsorRes && sponsorRes.sponsors) {
-                    sponsors = sponsorRes.sponsors;
-                } else {
-                    sponsors = [];
-                }
-            } else {
-                this.logger.warn('保荐人关键词片段为空');
+        finishRole(role, list, roleChunks) {
+            let result = (Array.isArray(list) ? list : []).map(item => this.cleanPartyDetails(item));
+            if (role.lawJurisdictions) {
+                result = this.assignLawJurisdictions(result, roleChunks);
+            }
+            if (window.HKEXVerifier) {
+                const source = Array.isArray(roleChunks) ? roleChunks.map(item => item.chunk).join('\n') : '';
+                result = window.HKEXVerifier.tagList(result, source);
             }
-            this.logger.info('保荐人最终结果', sponsors);
+            this.logger.info(`${role.label || role.key}最终结果`, result);
+            return result;
+        }
 
-            // 2. 行业顾问
-            let industryConsultants = [];
-            let industryConsultantsText = Array.isArray(chunks.industryConsultantsChunk) ? chunks.industryConsultantsChunk.map(item => item.chunk).join('\n') : '';
-            if (industryConsultantsText) {
-                industryConsultants = await this.extractIndustryConsultantsWithAI(industryConsultantsText);
-            } else {
-                this.logger.warn('行业顾问关键词片段为空');
+        /**
+         * 解析全部参与方（专业机构及承销团）：先把所有类型的片段合并为一次结构化AI请求，
+         * 合并请求中缺失或格式不对的类型再按各自提示词逐类补提；partyBatch 关闭时全部逐类调用
+         * @param {Object} professionalChunks - 专业机构片段，键为 `${role.key}Chunk`
+         * @param {Object} syndicateChunks - 承销团角色片段，键为 `${role.key}Chunk`
+         * @param {Object} profile - 提取配置
+         * @returns {Promise<{professionals: Object, syndicate: Array<Object>, aiStats: Object}>} aiStats 为本次参与方解析的AI调用耗时、次数和 token 用量
+         */
+        async parseParties(professionalChunks, syndicateChunks, profile) {
+            const batcher = window.HKEXPartyBatch;
+            if (!this.options.partyBatch || !batcher || !profile || !Array.isArray(profile.roles)) {
+                const perRole = await this.measureAI(async () => ({
+                    professionals: await this.parseServiceProviders(professionalChunks, profile),
+                    syndicate: await this.parseSyndicate(syndicateChunks || {}, profile)
+                }));
+                return { ...perRole.value, aiStats: { mode: 'perRole', batch: null, fallback: null, total: perRole.stats } };
             }
-            this.logger.info('行业顾问最终结果', industryConsultants);
-
-            // 3. 法律顾问（分别提取公司法律顾问和保荐人法律顾问）
-            let legalAdvisersToCompany = [];
-            let legalAdvisersToSponsors = [];
-            // 公司法律顾问
-            let legalAdvisersToCompanyText = Array.isArray(chunks.legalAdvisersToCompanyChunk) ? chunks.legalAdvisersToCompanyChunk.map(item => item.chunk).join('\n') : '';
-            if (legalAdvisersToCompanyText) {
-                this.logger.info('AI公司法律顾问提取调用前', { textPreview: legalAdvisersToCompanyText.slice(0, 200) });
-                try {
-                    const res = await this.extractLegalAdvisers(legalAdvisersToCompanyText);
-                    if (res && Array.isArray(res.company)) {
-                        legalAdvisersToCompany = res.company;
-                    } else if (Array.isArray(res)) {
-                        legalAdvisersToCompany = res;
-                    }
-                    this.logger.info('AI公司法律顾问提取调用后', legalAdvisersToCompany);
-                } catch (e) {
-                    this.logger.error('AI公司法律顾问提取异常', e);
+
+            const details = this.getDetailsInstruction(profile);
+            const { tasks, empty } = batcher.collectTasks(profile, professionalChunks, syndicateChunks);
+            empty.forEach(task => this.logger.warn(`${task.role.label || task.key}关键词片段为空`));
+            const { batch, overflow } = batcher.splitByLimit(tasks);
+            const lists = {};
+            let failed = overflow;
+
+            let batchStats = null;
+            if (batch.length > 0) {
+                const prompt = batcher.buildPrompt(batch, details);
+                const schema = batcher.buildSchema(batch, !!this.options.partyDetails);
+                this.logger.info('AI参与方合并提取调用前', { roles: batch.map(task => `${task.group}.${task.key}`), promptLength: prompt.length });
+                this.lastAICall = null;
+                const measured = await this.measureAI(() => this.requestAI(prompt, { schema }));
+                // 合并请求只做容错解析不重新提问，缺失或未通过 schema 校验的类型直接逐类补提
+                let raw = null;
+                if (measured.value.success) {
+                    const parsed = window.HKEXAIResponse ? window.HKEXAIResponse.parse(measured.value.text) : { ok: false };
+                    raw = parsed.ok ? parsed.value : null;
                 }
-            } else {
-                this.logger.warn('公司法律顾问关键词片段为空');
+                const read = batcher.readResult(raw, batch, schema);
+                Object.assign(lists, read.lists);
+                failed = [...read.failed, ...overflow];
+                batchStats = { ...measured.stats, roles: batch.length, structured: !!(this.lastAICall && this.lastAICall.structured) };
+                this.logger.info('AI参与方合并提取调用后', { ok: Object.keys(read.lists), failed: read.failed.map(task => `${task.group}.${task.key}`), errors: read.errors, stats: batchStats });
             }
-            // 保荐人法律顾问
-            let legalAdvisersToSponsorsText = Array.isArray(chunks.legalAdvisersToSponsorsChunk) ? chunks.legalAdvisersToSponsorsChunk.map(item => item.chunk).join('\n') : '';
-            if (legalAdvisersToSponsorsText) {
-                this.logger.info('AI保荐人法律顾问提取调用前', { textPreview: legalAdvisersToSponsorsText.slice(0, 200) });
-                try {
-                    const res = await this.extractLegalAdvisers(legalAdvisersToSponsorsText);
-                    if (res && Array.isArray(res.sponsors)) {
-                        legalAdvisersToSponsors = res.sponsors;
-                    } else if (Array.isArray(res)) {
-                        legalAdvisersToSponsors = res;
-                    }
-                    this.logger.info('AI保荐人法律顾问提取调用后', legalAdvisersToSponsors);
-                } catch (e) {
-                    this.logger.error('AI保荐人法律顾问提取异常', e);
+
+            // 合并请求未返回的类型按各自提示词补提
+            const fallback = await this.measureAI(async () => {
+                for (const task of failed) {
+                    const role = task.group === 'syndicate'
+                        ? { ...task.role, prompt: profile.syndicate.prompt, resultKey: profile.syndicate.resultKey }
+                        : task.role;
+                    const field = task.group === 'syndicate' ? `syndicate.${task.key}` : `professionals.${task.key}`;
+                    lists[`${task.group}.${task.key}`] = await this.extractRoleWithAI(role, task.text, details, field);
                 }
-            } else {
-                this.logger.warn('保荐人法律顾问关键词片段为空');
+            });
+
+            const professionals = {};
+            profile.roles.forEach(role => {
+                const task = tasks.find(item => item.group === 'roles' && item.key === role.key);
+                professionals[role.key] = task ? this.finishRole(role, lists[`roles.${role.key}`], task.roleChunks) : [];
+            });
+            const syndicate = profile.syndicate
+                ? this.mergeSyndicate(profile.syndicate.roles.map(role => {
+                    const task = tasks.find(item => item.group === 'syndicate' && item.key === role.key);
+                    return { key: role.key, names: lists[`syndicate.${role.key}`] || [], text: task ? task.text : '' };
+                }))
+                : [];
+
+            const aiStats = {
+                mode: 'batch',
+                batch: batchStats,
+                fallback: { ...fallback.stats, roles: failed.map(task => `${task.group}.${task.key}`) },
+                total: this.sumStats([batchStats, fallback.stats])
+            };
+            this.logger.info('参与方解析完成', { professionals, syndicate, aiStats });
+            return { professionals, syndicate, aiStats };
+        }
+
+        /**
+         * 执行一段包含AI调用的步骤，统计耗时、调用次数和 token 用量
+         * @param {Function} fn - 异步步骤
+         * @returns {Promise<{value: any, stats: {elapsedMs: number, calls: number, promptTokens: number, completionTokens: number}}>}
+         */
+        async measureAI(fn) {
+            const before = { ...this.aiUsage };
+            const start = performance.now();
+            const value = await fn();
+            return {
+                value,
+                stats: {
+                    elapsedMs: Math.round(performance.now() - start),
+                    calls: this.aiUsage.calls - before.calls,
+                    promptTokens: this.aiUsage.promptTokens - before.promptTokens,
+                    completionTokens: this.aiUsage.completionTokens - before.completionTokens
+                }
+            };
+        }
+
+        /**
+         * 合计多段AI调用统计（忽略 null）
+         * @param {Array<Object|null>} list - measureAI 的 stats
+         * @returns {{elapsedMs: number, calls: number, promptTokens: number, completionTokens: number}}
+         */
+        sumStats(list) {
+            return list.filter(Boolean).reduce((sum, stats) => ({
+                elapsedMs: sum.elapsedMs + stats.elapsedMs,
+                calls: sum.calls + stats.calls,
+                promptTokens: sum.promptTokens + stats.promptTokens,
+                completionTokens: sum.completionTokens + stats.completionTokens
+            }), { elapsedMs: 0, calls: 0, promptTokens: 0, completionTokens: 0 });
+        }
+
+        /**
+         * 按提取配置中的提示词提取某类专业机构名称
+         * @param {Object} role - 配置中的专业机构类型（prompt 含 {{text}} 占位符，resultKey 为AI返回JSON中的列表字段）
+         * @param {string} text - 关键词片段
+         * @param {string} [details] - 填入 {{details}} 的详情要求
+         * @param {string} [field] - 失败时记录的字段路径，默认 `professionals.${role.key}`
+         * @returns {Promise<Array<{name: string, address?: string, licence?: string}>>} 机构名单，提取失败时为空数组并记入 aiFailures
+         */
+        async extractRoleWithAI(role, text, details, field = `professionals.${role.key}`) {
+            try {
+                const prompt = window.HKEXProfiles
+                    ? window.HKEXProfiles.renderPrompt(role, text, role.prompt, details)
+                    : role.prompt.split('{{label}}').join(role.label || role.key).split('{{details}}').join(details || '').split('{{text}}').join(text);
+                this.logger.info(`AI${role.label || role.key}信息提取调用前`, { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
+                const resultKey = role.resultKey || role.key;
+                const schema = window.HKEXAIResponse ? window.HKEXAIResponse.partyListSchema(resultKey) : null;
+                const result = await this.callAIJSON(prompt, 'party_list', { schema, arrayKey: resultKey, field, label: role.label || role.key });
+                this.logger.info(`AI${role.label || role.key}信息提取调用后`, result);
+                if (!result.ok) return [];
+                return result.value[resultKey].map(item => this.cleanPartyDetails(item));
+            } catch (error) {
+                this.markAIFailure(field, role.label || role.key, error.message);
+                return [];
             }
-            // 兜底逻辑，如果都没有就用legalAdvisorChunk
-            let legalAdvisorText = Array.isArray(chunks.legalAdvisorChunk) ? chunks.legalAdvisorChunk.map(item => item.chunk).join('\n') : '';
-            if (!legalAdvisersToCompanyText && !legalAdvisersToSponsorsText && legalAdvisorText) {
-                this.logger.info('AI法律顾问兜底提取调用前', { textPreview: legalAdvisorText.slice(0, 200) });
-                try {
-                    const res = await this.extractLegalAdvisers(legalAdvisorText);
-                    if (res && Array.isArray(res.company)) legalAdvisersToCompany = res.company;
-                    if (res && Array.isArray(res.sponsors)) legalAdvisersToSponsors = res.sponsors;
-                    this.logger.info('AI法律顾问兜底提取调用后', res);
-                } catch (e) {
-                    this.logger.error('AI法律顾问兜底提取异常', e);
+        }
+
+        /**
+         * 为法律顾问标注适用法律（jurisdictions 为法域键列表，见 HKEXJurisdictions.LAW_JURISDICTIONS）
+         * 优先按原文：名称所在行的限定语，其次名称之前最近的"As to ... law"限定语；原文找不到时使用AI返回的 laws
+         * @param {Array<Object>} list - 法律顾问名单
+         * @param {Array<{keyword: string, chunk: string}>} roleChunks - 该类型的关键词片段
+         * @returns {Array<Object>} 带 jurisdictions 的名单
+         */
+        assignLawJurisdictions(list, roleChunks) {
+            const detector = window.HKEXJurisdictions;
+            if (!detector || !Array.isArray(list)) return list;
+            const chunkTexts = Array.isArray(roleChunks) ? roleChunks.map(item => item.chunk) : [];
+            const qualifiersByChunk = chunkTexts.map(chunk => detector.findLawQualifiers(chunk));
+            return list.map(item => {
+                if (!item || typeof item !== 'object') return item;
+                const fromText = chunkTexts.flatMap((chunk, i) => this.findLawsForName(item.name, chunk, qualifiersByChunk[i]));
+                const fromAI = Array.isArray(item.laws) ? item.laws.flatMap(law => detector.detectLaws(law)) : [];
+                const { laws, ...rest } = item;
+                return { ...rest, jurisdictions: [...new Set(fromText.length > 0 ? fromText : fromAI)] };
+            });
+        }
+
+        /**
+         * 在片段中查找某律师事务所每次出现时对应的适用法律
+         * @param {string} name - 律师事务所名称
+         * @param {string} text - 关键词片段
+         * @param {Array<{index: number, end: number, laws: Array<string>}>} qualifiers - 片段中的限定语
+         * @returns {Array<string>} 法域键
+         */
+        findLawsForName(name, text, qualifiers) {
+            // 取名称前四个词匹配，容忍换行和AI对名称尾部的改写
+            const words = String(name || '').trim().split(/\s+/).filter(Boolean).slice(0, 4)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            if (words.length === 0 || qualifiers.length === 0) return [];
+            const regex = new RegExp(words.join('\\s+'), 'gi');
+            const laws = [];
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                const lineEnd = text.indexOf('\n', match.index);
+                const sameLine = qualifiers.filter(q => q.index >= match.index && q.index < (lineEnd === -1 ? text.length : lineEnd));
+                const preceding = qualifiers.filter(q => q.end <= match.index).pop();
+                if (sameLine.length > 0) {
+                    sameLine.forEach(q => laws.push(...q.laws));
+                } else if (preceding) {
+                    laws.push(...preceding.laws);
                 }
+                if (match[0].length === 0) regex.lastIndex++;
             }
+            return laws;
+        }
 
-            // 4. 审计师
-            let auditors = [];
-            let auditorsText = Array.isArray(chunks.auditorsChunk) ? chunks.auditorsChunk.map(item => item.chunk).join('\n') : '';
-            if (auditorsText) {
-                const auditorRes = await this.extractAuditorsWithAI(auditorsText);
-                if (Array.isArray(auditorRes)) {
-                    auditors = auditorRes;
-                } else if (auditorRes && auditorRes.auditors) {
-                    auditors = auditorRes.auditors;
+        /**
+         * 当前选项下填入提示词的详情要求
+         * @param {Object} profile - 提取配置
+         * @returns {string|undefined}
+         */
+        getDetailsInstruction(profile) {
+            return window.HKEXProfiles
+                ? window.HKEXProfiles.getDetailsInstruction(profile, this.options.partyDetails)
+                : undefined;
+        }
+
+        /**
+         * 去掉AI返回的空地址、空牌照字段
+         * @param {Object} item - 名单条目
+         * @returns {Object} 清理后的条目
+         */
+        cleanPartyDetails(item) {
+            if (!item || typeof item !== 'object') return item;
+            const cleaned = { ...item };
+            ['address', 'licence'].forEach(field => {
+                const value = typeof cleaned[field] === 'string' ? cleaned[field].trim() : '';
+                if (value) {
+                    cleaned[field] = value;
                 } else {
-                    auditors = [];
+                    delete cleaned[field];
                 }
-            } else {
-                this.logger.warn('审计师关键词片段为空');
+            });
+            return cleaned;
+        }
+
+        /**
+         * 解析承销团：逐个角色提取名单，再按机构合并，同一机构担任多个角色时 roles 含多项
+         * @param {Object} chunks - 各角色名单片段，键为 `${role.key}Chunk`
+         * @param {Object} profile - 提取配置（使用 profile.syndicate）
+         * @returns {Promise<Array<{name: string, roles: Array<string>, address?: string, licence?: string}>>} 承销团，roles 为角色键，按配置顺序排列
+         */
+        async parseSyndicate(chunks, profile) {
+            if (!profile || !profile.syndicate) return [];
+            const { syndicate } = profile;
+            const details = this.getDetailsInstruction(profile);
+            const byRole = [];
+            for (const role of syndicate.roles) {
+                const roleChunks = chunks ? chunks[role.key + 'Chunk'] : null;
+                const text = Array.isArray(roleChunks) ? roleChunks.map(item => item.chunk).join('\n') : '';
+                if (!text) continue;
+                const names = await this.extractRoleWithAI(
+                    { ...role, prompt: syndicate.prompt, resultKey: syndicate.resultKey },
+                    text,
+                    details,
+                    `syndicate.${role.key}`
+                );
+                byRole.push({ key: role.key, names, text });
             }
-            this.logger.info('审计师最终结果', auditors);
+            return this.mergeSyndicate(byRole);
+        }
 
-            const result = {
-                sponsors,
-                auditors,
-                industryConsultants,
-                legalAdvisersToCompany,
-                legalAdvisersToSponsors
-            };
-            this.logger.info('分段解析专业服务机构信息完成', result);
+        /**
+         * 按机构合并各角色名单，同一机构担任多个角色时 roles 含多项；名称按各角色片段原文核实，取最可靠的结果
+         * @param {Array<{key: string, names: Array<Object>, text?: string}>} byRole - 按配置顺序排列的各角色名单，text 为该角色的片段原文
+         * @returns {Array<{name: string, roles: Array<string>, address?: string, licence?: string, verification?: string}>} 承销团
+         */
+        mergeSyndicate(byRole) {
+            const firms = new Map();
+            byRole.forEach(({ key: roleKey, names, text }) => {
+                (names || []).forEach(item => {
+                    const name = item && item.name ? String(item.name).trim() : '';
+                    if (!name) return;
+                    const key = this.normalizeFirmName(name);
+                    const firm = firms.get(key) || { name, roles: [] };
+                    if (!firm.roles.includes(roleKey)) firm.roles.push(roleKey);
+                    // 同一机构在多个角色下出现时，取第一次给出的地址和牌照
+                    if (item.address && !firm.address) firm.address = item.address;
+                    if (item.licence && !firm.licence) firm.licence = item.licence;
+                    if (window.HKEXVerifier && text !== undefined) {
+                        firm.verification = window.HKEXVerifier.best(firm.verification, window.HKEXVerifier.check(name, text));
+                    }
+                    firms.set(key, firm);
+                });
+            });
+            const result = Array.from(firms.values());
+            this.logger.info('承销团解析完成', result);
             return result;
         }
 
         /**
-         * 提取法律顾问信息（公司法律顾问和保荐人法律顾问）
-         * @param {string} text - 法律顾问相关文本
-         * @returns {Promise<{company: Array, sponsors: Array}>}
+         * 机构名称比较键：统一Ltd缩写，去除空格和标点，英文小写
+         * @param {string} name - 机构名称
+         * @returns {string} 比较键
          */
-        async extractLegalAdvisers(text) {
+        normalizeFirmName(name) {
+            return name
+                .replace(/\bLtd\b\.?/gi, 'Limited')
+                .replace(/[\s.,，、&'’"()（）\-]/g, '')
+                .toLowerCase();
+        }
+
+        /**
+         * 解析董事、监事名单：AI提取为主，简历首句的规则解析结果补充AI遗漏的人员和字段（AI未启用时即为全部结果）
+         * @param {string} text - "董事及高级管理层"章节文本
+         * @returns {Promise<Array<Object>>} 人员列表，见 HKEXManagement.normalizePerson
+         */
+        async parseManagement(text) {
+            const roster = window.HKEXManagement;
+            if (!roster || !text) return [];
+            const parsed = roster.parseBiographies(text);
+            let fromAI = [];
             try {
-                // 你可以根据实际需求调整prompt和返回格式
-                const prompt = `你是港股招股书信息提取专家。请从以下文本中分别提取公司法律顾问和保荐人法律顾问，严格返回如下JSON：\n{\n  "company": [\n    {"name": "公司法律顾问名称"}, ...\n  ],\n  "sponsors": [\n    {"name": "保荐人法律顾问名称"}, ...\n  ]\n}\n只要名称，不要地址等。找不到请返回[]。\n\n文本：\n${text}`;
-                this.logger.info('AI法律顾问信息提取调用前', { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
-                let result = await this.callAI(prompt);
-                // 处理AI返回内容为字符串的情况
-                if (typeof result === 'string') {
-                    result = result.trim();
-                    if (result.startsWith('```json')) {
-                        result = result.replace(/^```json[\r\n]*/i, '').replace(/```$/i, '').trim();
-                    } else if (result.startsWith('```')) {
-                        result = result.replace(/^```[\w]*[\r\n]*/i, '').replace(/```$/i, '').trim();
-                    }
-                    try {
-                        result = JSON.parse(result);
-                    } catch (e) {
-                        this.logger.warn('AI返回内容无法解析为JSON', { raw: result });
-                        result = {};
-                    }
+                const prompt = roster.buildPrompt(text);
+                this.logger.info('AI董事及监事提取调用前', { promptPreview: prompt.slice(0, 200), textLength: text.length });
+                const result = await this.callAIJSON(prompt, 'management', { arrayKey: 'directors', field: 'management', label: '董事及监事' });
+                this.logger.info('AI董事及监事提取调用后', result);
+                if (result.ok) {
+                    fromAI = result.value.directors.map(item => roster.normalizePerson(item)).filter(Boolean);
                 }
-                // 兜底结构
-                if (!result || typeof result !== 'object') result = {};
-                if (!Array.isArray(result.company)) result.company = [];
-                if (!Array.isArray(result.sponsors)) result.sponsors = [];
-                this.logger.info('AI法律顾问信息提取调用后', result);
-                return result;
             } catch (error) {
-                this.logger.error('AI解析法律顾问信息失败', error);
-                return { company: [], sponsors: [] };
+                this.markAIFailure('management', '董事及监事', error.message);
             }
+            const merged = roster.merge(fromAI, parsed);
+            this.logger.info('董事及监事解析完成', { ai: fromAI.length, parsed: parsed.length, total: merged.length });
+            return merged;
         }
 
         /**
-         * 提取保荐人信息
-         * @param {string} text - sponsorsChunk
-         * @returns {Promise<Array>} 保荐人信息
+         * 解析控股股东、首次公开发售前投资者和基石投资者：逐组调用AI，再按名称在原文中定位来源页码
+         * @param {Object} sources - 各组别读取的页面，键为组别键，值为 { startPage, endPage, pages: [{page, text}] }
+         * @returns {Promise<Object>} 键为组别键，值为 [{ name, percentage, amount?, currency?, page }]；未找到章节的组别不出现
          */
-        async extractSponsorsWithAI(text) {
-            try {
-                const prompt = `你是港股招股书信息提取专家。请从以下文本中提取保荐人名称，严格返回如下JSON：\n{\n  "sponsors": [\n    {"name": "保荐人名称"},\n    ...\n  ]\n}\n只要名称，不要地址等。找不到请返回[]。\n\n文本：\n${text}`;
-                this.logger.info('AI保荐人信息提取调用前', { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
-                let result = await this.callAI(prompt);
-                this.logger.info('AI保荐人信息提取调用后', result);
-                // 兼容字符串带markdown和字符串JSON
-                if (typeof result === 'string') {
-                    result = result.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/g, '').trim();
-                    try {
-                        result = JSON.parse(result);
-                    } catch (e) {
-                        this.logger.warn('AI返回内容无法解析为JSON', { raw: result });
-                        result = {};
-                    }
+        async parseShareholders(sources) {
+            const extractor = window.HKEXShareholders;
+            if (!extractor || !sources) return {};
+            const result = {};
+            for (const [groupKey, source] of Object.entries(sources)) {
+                if (!extractor.GROUPS[groupKey] || !source || !Array.isArray(source.pages)) continue;
+                const text = source.pages.map(item => item.text).join('\n');
+                try {
+                    const prompt = extractor.buildPrompt(groupKey, text);
+                    this.logger.info(`AI${extractor.GROUPS[groupKey].label}提取调用前`, { promptPreview: prompt.slice(0, 200), pages: `${source.startPage}-${source.endPage}` });
+                    const response = await this.callAIJSON(prompt, 'shareholders', {
+                        arrayKey: 'holders',
+                        field: `shareholders.${groupKey}`,
+                        label: extractor.GROUPS[groupKey].label
+                    });
+                    this.logger.info(`AI${extractor.GROUPS[groupKey].label}提取调用后`, response);
+                    const list = response.ok ? response.value.holders : [];
+                    result[groupKey] = list
+                        .map(item => extractor.normalizeHolder(item, groupKey))
+                        .filter(Boolean)
+                        .map(holder => ({ ...holder, page: extractor.locatePage(holder.name, source.pages) }));
+                } catch (error) {
+                    this.markAIFailure(`shareholders.${groupKey}`, extractor.GROUPS[groupKey].label, error.message);
+                    result[groupKey] = [];
                 }
-                if (Array.isArray(result)) return result;
-                if (result && Array.isArray(result.sponsors)) return result.sponsors;
-                return [];
+            }
+            this.logger.info('股权结构解析完成', result);
+            return result;
+        }
+
+        /**
+         * 解析发售条款：先按规则解析封面、预期时间表和全球发售架构章节，规则未找到的字段再交由AI补齐
+         * @param {Object} texts - { cover, timetable, structure }
+         * @returns {Promise<Object>} 发售条款，见 HKEXOffering.empty
+         */
+        async parseOffering(texts) {
+            const offering = window.HKEXOffering;
+            if (!offering || !texts) return null;
+            const terms = offering.parse(texts);
+            const missing = Object.keys(terms).filter(field => terms[field] === null);
+            if (missing.length === 0) {
+                this.logger.info('发售条款规则解析完成', terms);
+                return terms;
+            }
+            try {
+                const text = [texts.cover, texts.timetable, texts.structure].filter(Boolean).join('\n');
+                const prompt = offering.buildPrompt(missing, text);
+                this.logger.info('AI发售条款补充提取调用前', { missing, promptPreview: prompt.slice(0, 200) });
+                const result = await this.callAIJSON(prompt, 'offering', { field: 'offering', label: '发售条款' });
+                this.logger.info('AI发售条款补充提取调用后', result);
+                if (!result.ok) return terms;
+                const merged = offering.fillMissing(terms, result.value);
+                this.logger.info('发售条款解析完成', merged);
+                return merged;
             } catch (error) {
-                this.logger.error('AI解析保荐人信息失败', error);
-                return [];
+                this.markAIFailure('offering', '发售条款', error.message);
+                return terms;
             }
         }
 
         /**
-         * 提取审计师信息
-         * @param {string} text - auditorsChunk（已精准分割的关键词片段）
-         * @returns {Promise<Array<string>>} 审计师信息
+         * 解析所得款项用途：AI提取各项用途的比例及金额，再核对比例合计
+         * @param {string} text - 所得款项用途小节文本
+         * @returns {Promise<Object|null>} 见 HKEXProceeds.normalize，无文本时返回 null
          */
-        async extractAuditorsWithAI(text) {
+        async parseUseOfProceeds(text) {
+            const proceeds = window.HKEXProceeds;
+            if (!proceeds || !text) return null;
             try {
-                const prompt = `你是港股招股书信息提取专家。下面文本中一定有一个审计师名称，请从以下文本中提取审计师名称，严格返回如下JSON：\n{\n  "auditors": [\n    {"name": "审计师名称"},\n    ...\n  ]\n}\n只要名称，不要地址等。找不到请返回[]。\n\n文本：\n${text}`;
-                this.logger.info('AI审计师信息提取调用前', { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
-                let result = await this.callAI(prompt);
-                this.logger.info('AI审计师信息提取调用后', result);
-                // 兼容字符串带markdown和字符串JSON
-                if (typeof result === 'string') {
-                    result = result.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/g, '').trim();
-                    try {
-                        result = JSON.parse(result);
-                    } catch (e) {
-                        this.logger.warn('AI返回内容无法解析为JSON', { raw: result });
-                        result = {};
-                    }
+                const prompt = proceeds.buildPrompt(text);
+                this.logger.info('AI所得款项用途提取调用前', { promptPreview: prompt.slice(0, 200) });
+                const result = await this.callAIJSON(prompt, 'use_of_proceeds', { field: 'useOfProceeds', label: '所得款项用途' });
+                this.logger.info('AI所得款项用途提取调用后', result);
+                if (!result.ok) return null;
+                const normalized = proceeds.normalize(result.value);
+                if (normalized.uses.length > 0 && !normalized.balanced) {
+                    this.logger.warn('所得款项用途比例合计与100%不符', { totalPercentage: normalized.totalPercentage });
                 }
-                if (Array.isArray(result)) return result;
-                if (result && Array.isArray(result.auditors)) return result.auditors;
-                return [];
+                this.logger.info('所得款项用途解析完成', normalized);
+                return normalized;
             } catch (error) {
-                this.logger.error('AI解析审计师信息失败', error);
-                return [];
+                this.markAIFailure('useOfProceeds', '所得款项用途', error.message);
+                return null;
             }
         }
 
         /**
-         * 提取行业顾问信息
-         * @param {string} text - industryConsultantsChunk
-         * @returns {Promise<Array>} 行业顾问信息
+         * 为每个风险类别写中文摘要：标题较多时分块摘要后再合并；AI失败时该类别摘要为 null 并记录 digestError，标题列表不受影响
+         * @param {Array<Object>} categories - HKEXRiskFactors.parse 的结果
+         * @returns {Promise<Array<Object>>} 增加 digest（及失败时 digestError）字段的类别列表
          */
-        async extractIndustryConsultantsWithAI(text) {
-            try {
-                const prompt = `你是港股招股书信息提取专家。请从以下文本中提取行业顾问名称，注意只有一个行业顾问。严格返回如下JSON：\n{\n  "consultants": [\n    {"name": "行业顾问名称"},\n    ...\n  ]\n}\n只要名称，不要地址等。找不到请返回[]。\n\n文本：\n${text}`;
-                this.logger.info('AI行业顾问信息提取调用前', { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
-                let result = await this.callAI(prompt);
-                this.logger.info('AI行业顾问信息提取调用后', result);
-                // 兼容字符串带markdown和字符串JSON
-                if (typeof result === 'string') {
-                    result = result.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/g, '').trim();
-                    try {
-                        result = JSON.parse(result);
-                    } catch (e) {
-                        this.logger.warn('AI返回内容无法解析为JSON', { raw: result });
-                        result = {};
+        async digestRiskFactors(categories) {
+            const helper = window.HKEXRiskFactors;
+            if (!helper || !Array.isArray(categories)) return categories || [];
+            const result = [];
+            // AI未启用时后台直接拒绝，第一次请求即可得知，其余类别不再请求，摘要留空且不算失败
+            let disabled = false;
+            for (const category of categories) {
+                if (disabled) {
+                    result.push({ ...category, digest: null });
+                    continue;
+                }
+                try {
+                    const chunks = helper.chunkHeadings(category.headings);
+                    const partials = [];
+                    let digestError = null;
+                    for (const [index, chunk] of chunks.entries()) {
+                        const prompt = helper.buildDigestPrompt(category, chunk);
+                        this.logger.info('AI风险因素摘要调用前', { category: category.title, chunk: `${index + 1}/${chunks.length}`, promptLength: prompt.length });
+                        const response = await this.callAIJSON(prompt, 'risk_digest');
+                        this.logger.info('AI风险因素摘要调用后', response);
+                        if (response.disabled) {
+                            disabled = true;
+                            break;
+                        }
+                        const digest = response.ok ? helper.readDigest(response.value) : null;
+                        if (digest) partials.push(digest);
+                        else digestError = response.error || '摘要为空';
+                    }
+                    if (disabled) {
+                        this.logger.warn('AI功能未启用，风险因素只列标题不生成摘要');
+                        result.push({ ...category, digest: null });
+                        continue;
+                    }
+                    let digest = partials.length === 1 ? partials[0] : null;
+                    if (partials.length > 1) {
+                        const merged = await this.callAIJSON(helper.buildMergePrompt(category, partials), 'risk_digest');
+                        digest = (merged.ok && helper.readDigest(merged.value)) || partials.join('\n');
                     }
+                    result.push(digest ? { ...category, digest } : { ...category, digest: null, digestError });
+                } catch (error) {
+                    this.logger.error(`AI摘要风险类别「${category.title}」失败`, error);
+                    result.push({ ...category, digest: null, digestError: error.message });
                 }
-                if (Array.isArray(result)) return result;
-                if (result && Array.isArray(result.consultants)) return result.consultants;
-                return [];
+            }
+            return result;
+        }
+
+        /**
+         * 按自定义字段的提取说明和输出类型提取字段值
+         * @param {Object} field - 自定义字段定义
+         * @param {string} text - 锚点定位到的文本
+         * @returns {Promise<{value: any, unit: string, error?: string}>} value 为 null 表示未提取到，另有 error 时表示提取失败
+         */
+        async extractCustomFieldWithAI(field, text) {
+            try {
+                if (!window.HKEXCustomFields) {
+                    return { value: null, unit: '' };
+                }
+                const prompt = window.HKEXCustomFields.buildPrompt(field, text);
+                this.logger.info(`AI自定义字段「${field.name}」提取调用前`, { promptPreview: prompt.slice(0, 200), textPreview: text.slice(0, 200) });
+                const result = await this.callAIJSON(prompt, 'custom_field', { field: `customFields.${field.id}`, label: field.name });
+                this.logger.info(`AI自定义字段「${field.name}」提取调用后`, result);
+                if (!result.ok) return result.disabled ? { value: null, unit: '' } : { value: null, unit: '', error: result.error };
+                return window.HKEXCustomFields.parseValue(field, result.value);
             } catch (error) {
-                this.logger.error('AI解析行业顾问信息失败', error);
-                return [];
+                this.markAIFailure(`customFields.${field.id}`, field.name, error.message);
+                return { value: null, unit: '', error: error.message };
             }
         }
+
         /**
-         * 通用AI调用方法
+         * 发送AI请求，返回模型输出原文
          * @param {string} prompt - AI提示词
-         * @returns {Promise<any>} AI返回结果
+         * @param {Object} [options] - options.schema 为 { name, schema } 时要求结构化输出
+         * @returns {Promise<{success: boolean, text?: string, error?: string, disabled?: boolean}>}
          */
-        async callAI(prompt) {
+        async requestAI(prompt, options = {}) {
             try {
-                // 优先使用最新的全局配置
-                let endpoint = this.aiConfig.endpoint;
-                let apiKey = this.aiConfig.apiKey;
-                let enabled = this.aiConfig.enabled;
-                if (typeof window !== 'undefined' && window.HKEXConfig && window.HKEXConfig.ai) {
-                    endpoint = window.HKEXConfig.ai.endpoint || endpoint;
-                    apiKey = window.HKEXConfig.ai.apiKey || apiKey;
-                    enabled = window.HKEXConfig.ai.enabled ?? enabled;
+                // 密钥只保存在后台，请求交由后台 service worker 发送
+                if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+                    this.logger.error('无法连接扩展后台，AI调用跳过');
+                    return { success: false, error: '无法连接扩展后台' };
                 }
-                if (!enabled) {
-                    this.logger.warn('AI功能未启用，直接返回空结果');
-                    return {};
+                this.logger.info('调用AI接口', { provider: (this.profileAI && this.profileAI.provider) || '默认', promptPreview: prompt.slice(0, 200) });
+                this.aiUsage.calls++;
+                const response = await chrome.runtime.sendMessage({ action: 'callAI', prompt, profileAI: this.profileAI, schema: options.schema || null });
+                if (!response || !response.success) {
+                    if (response && response.disabled) {
+                        this.logger.warn('AI功能未启用，直接返回空结果');
+                        return { success: false, disabled: true, error: 'AI功能未启用' };
+                    }
+                    this.logger.error('AI接口请求失败', response ? response.error : '后台无响应');
+                    return { success: false, error: (response && response.error) || '后台无响应' };
                 }
-                if (!endpoint || !apiKey) {
-                    this.logger.error('AI配置缺失，endpoint或apiKey为空');
-                    return {};
+                this.logger.info('AI接口返回', { provider: response.provider, model: response.model, usage: response.usage, structured: response.structured });
+                if (response.usage) {
+                    this.aiUsage.promptTokens += response.usage.promptTokens || 0;
+                    this.aiUsage.completionTokens += response.usage.completionTokens || 0;
                 }
-                this.logger.info('调用AI接口', { endpoint, promptPreview: prompt.slice(0, 200) });
-                // 以 OpenAI 格式调用
-                const response = await fetch(endpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: 'deepseek-chat',
-                        messages: [
-                            { role: 'user', content: prompt }
-                        ]
-                    })
-                });
-                if (!response.ok) {
-                    this.logger.error('AI接口请求失败', { status: response.status, statusText: response.statusText });
-                    return {};
+                this.lastAICall = { provider: response.provider, model: response.model, structured: !!response.structured };
+                return { success: true, text: String(response.data ?? '') };
+            } catch (error) {
+                this.logger.error('AI调用异常', error);
+                return { success: false, error: error.message };
+            }
+        }
+
+        /**
+         * 调用AI并按 JSON Schema 校验返回：先容错修复，仍不符合时带着错误原因重新提问（至多 MAX_REPAIR_ATTEMPTS 次）；
+         * 最终失败且指定了 field 时记入 aiFailures
+         * @param {string} prompt - AI提示词
+         * @param {string} schemaName - HKEXAIResponse.SCHEMAS 中的名称，或 options.schema 的名称
+         * @param {Object} [options]
+         * @param {Object} [options.schema] - 不在 SCHEMAS 中的 schema（如参与方名单）
+         * @param {string} [options.arrayKey] - 回复为顶层数组时包装成的字段
+         * @param {string} [options.field] - 失败时记录的字段路径，如 `professionals.sponsors`
+         * @param {string} [options.label] - 失败时记录的字段名称
+         * @returns {Promise<{ok: boolean, value?: any, error?: string, disabled?: boolean, attempts: number}>}
+         */
+        async callAIJSON(prompt, schemaName, options = {}) {
+            const helper = window.HKEXAIResponse;
+            const schema = options.schema || (helper ? helper.SCHEMAS[schemaName] : null);
+            const maxAttempts = 1 + (helper ? helper.MAX_REPAIR_ATTEMPTS : 0);
+            let current = prompt;
+            let error = null;
+            let disabled = false;
+            let attempts = 0;
+            while (attempts < maxAttempts) {
+                attempts++;
+                const response = await this.requestAI(current, schema ? { schema: { name: schemaName, schema } } : {});
+                if (!response.success) {
+                    // 请求本身失败（未启用、超时、鉴权错误等）时重新提问无意义
+                    error = response.error;
+                    disabled = !!response.disabled;
+                    break;
                 }
-                const data = await response.json();
-                let result = '';
-                if (data && data.choices && data.choices[0] && data.choices[0].message) {
-                    result = data.choices[0].message.content;
-                } else {
-                    this.logger.warn('AI接口返回格式异常', data);
-                    return {};
+                if (!helper) {
+                    try {
+                        return { ok: true, value: JSON.parse(response.text), attempts };
+                    } catch (e) {
+                        error = 'JSON格式错误';
+                        break;
+                    }
                 }
-                // 尝试解析JSON
-                try {
-                    return JSON.parse(result);
-                } catch (e) {
-                    // 如果不是JSON，直接返回原始文本
-                    return result;
+                const parsed = helper.parse(response.text, { arrayKey: options.arrayKey });
+                const errors = parsed.ok ? helper.validate(parsed.value, schema) : [parsed.error];
+                if (errors.length === 0) {
+                    if (parsed.repaired || attempts > 1) {
+                        this.logger.info(`AI返回经${parsed.repaired ? '容错修复' : ''}${attempts > 1 ? `第${attempts}次请求` : ''}后通过校验`, { schemaName });
+                    }
+                    return { ok: true, value: parsed.value, attempts };
                 }
-            } catch (error) {
-                this.logger.error('AI调用异常', error);
-                return {};
+                error = helper.describeErrors(errors);
+                this.logger.warn('AI返回未通过校验', { schemaName, attempt: attempts, error, raw: response.text.slice(0, 500) });
+                current = helper.buildRepairPrompt(prompt, response.text, error);
             }
+            // AI未启用不算提取失败，字段按未识别处理
+            if (options.field && !disabled) this.markAIFailure(options.field, options.label || options.field, error);
+            return { ok: false, error, disabled, attempts };
+        }
+
+        /**
+         * 记录提取失败的字段，写入提取结果的 aiFailures，popup 和复制结果中显示为"提取失败"
+         * @param {string} field - 字段路径，如 `professionals.sponsors`、`management`
+         * @param {string} label - 字段名称
+         * @param {string} error - 失败原因
+         */
+        markAIFailure(field, label, error) {
+            this.aiFailures[field] = { label, error: error || '未知错误' };
+            this.logger.error(`${label}提取失败`, error);
+        }
+
+        /**
+         * 提取失败字段的展示文本
+         * @returns {string}
+         */
+        failedText() {
+            return window.HKEXAIResponse ? window.HKEXAIResponse.FAILED_TEXT : '提取失败';
+        }
+
+        /**
+         * 清空失败记录，每次一键提取前调用
+         */
+        resetAIFailures() {
+            this.aiFailures = {};
         }
 
         /**
@@ -502,11 +822,17 @@
                     '你是港股招股书行业信息提取专家。请根据下述“We are”句子或段落，总结公司主营行业，直接用一句话中文简明描述，避免多余修饰，不要返回JSON：\n' +
                     weAreText;
                 this.logger.info('AI主营行业解析调用前', { promptPreview: prompt.slice(0, 200), textPreview: weAreText.slice(0, 200) });
-                const result = await this.callAI(prompt);
-                this.logger.info('AI主营行业解析调用后', result);
-                if (typeof result === 'string') return result;
-                if (result && result.industry) return result.industry;
-                return '未识别';
+                const response = await this.requestAI(prompt);
+                this.logger.info('AI主营行业解析调用后', response);
+                if (!response.success) {
+                    if (response.disabled) return '未识别';
+                    this.markAIFailure('company.industry', '行业', response.error);
+                    return this.failedText();
+                }
+                // 模型偶尔仍返回 {"industry": "..."}
+                const parsed = window.HKEXAIResponse ? window.HKEXAIResponse.parse(response.text) : { ok: false };
+                if (parsed.ok && parsed.value && typeof parsed.value.industry === 'string') return parsed.value.industry;
+                return response.text.trim() || '未识别';
             } catch (error) {
                 this.logger.error('AI解析主营行业失败', error);
                 return '未识别';
@@ -0,0 +1,188 @@
+/**
+ * 港股招股书信息提取器 - 参与方合并提取
+ * 把提取配置中各类参与方（专业机构及承销团角色）的关键词片段合并成一次AI请求，按 JSON Schema 要求结构化返回；
+ * 返回中缺失或格式不对的类型由 TextParser 按原提示词逐类补提
+ */
+
+(function() {
+    'use strict';
+
+    // 合并请求中的分组：专业机构（profile.roles）和承销团角色（profile.syndicate.roles）
+    const GROUPS = ['roles', 'syndicate'];
+    // 合并提示词中片段文本的总字符上限，超出的类型不放入合并请求，直接逐类提取
+    const MAX_BATCH_CHARS = 60000;
+    // 结构化输出的 schema 名称（Anthropic 作为工具名，只能用字母、数字、下划线和连字符）
+    const SCHEMA_NAME = 'prospectus_parties';
+    // 各类型在提示词中的默认要求
+    const DEFAULT_HINT = '提取其中的{{label}}名称';
+    const LAWS_HINT = 'laws 为该律师事务所负责的法律范畴，取自"As to Hong Kong law"、"有關中國法律"等表述（可有多个，原文未注明时返回[]）。';
+    const SYNDICATE_HINT = '提取「{{label}}」一栏名单中的全部机构名称';
+
+    class PartyBatchRequest {
+        /**
+         * 按提取配置收集有片段文本的类型
+         * @param {Object} profile - 提取配置
+         * @param {Object} professionalChunks - 专业机构片段，键为 `${role.key}Chunk`
+         * @param {Object} syndicateChunks - 承销团角色片段，键为 `${role.key}Chunk`
+         * @returns {{tasks: Array<Object>, empty: Array<Object>}} tasks 为可提取的类型，empty 为片段为空的类型
+         */
+        static collectTasks(profile, professionalChunks, syndicateChunks) {
+            const tasks = [];
+            const empty = [];
+            const add = (group, roles, chunks) => {
+                (roles || []).forEach(role => {
+                    const roleChunks = chunks ? chunks[role.key + 'Chunk'] : null;
+                    const text = Array.isArray(roleChunks) ? roleChunks.map(item => item.chunk).join('\n') : '';
+                    (text ? tasks : empty).push({ group, key: role.key, role, text, roleChunks });
+                });
+            };
+            add('roles', profile && profile.roles, professionalChunks);
+            add('syndicate', profile && profile.syndicate && profile.syndicate.roles, syndicateChunks);
+            return { tasks, empty };
+        }
+
+        /**
+         * 按字符上限划分放入合并请求的类型和直接逐类提取的类型
+         * @param {Array<Object>} tasks - collectTasks 的 tasks
+         * @param {number} [maxChars] - 片段文本总字符上限
+         * @returns {{batch: Array<Object>, overflow: Array<Object>}}
+         */
+        static splitByLimit(tasks, maxChars = MAX_BATCH_CHARS) {
+            const batch = [];
+            const overflow = [];
+            let size = 0;
+            tasks.forEach(task => {
+                if (batch.length > 0 && size + task.text.length > maxChars) {
+                    overflow.push(task);
+                    return;
+                }
+                batch.push(task);
+                size += task.text.length;
+            });
+            return { batch, overflow };
+        }
+
+        /**
+         * 生成合并提示词
+         * @param {Array<Object>} tasks - 放入合并请求的类型
+         * @param {string} [details] - 详情要求，见 HKEXProfiles.getDetailsInstruction
+         * @returns {string} 提示词
+         */
+        static buildPrompt(tasks, details = '') {
+            const example = {};
+            tasks.forEach(task => {
+                example[task.group] = example[task.group] || {};
+                example[task.group][task.key] = [task.role.lawJurisdictions ? { name: '名称', laws: ['Hong Kong'] } : { name: '名称' }];
+            });
+            const sections = tasks.map((task, index) => {
+                const label = task.role.label || task.key;
+                const template = task.role.batchHint || (task.group === 'syndicate' ? SYNDICATE_HINT : DEFAULT_HINT);
+                const hint = template.split('{{label}}').join(label) + (task.role.lawJurisdictions ? `。${LAWS_HINT}` : '');
+                return `【片段${index + 1}】${task.group}.${task.key}（${label}）\n要求：${hint}\n文本：\n${task.text}`;
+            });
+            return '你是港股招股书信息提取专家。下面按编号给出招股书中各类参与方的原文片段，请分别从各自的片段中提取，不要把一个片段中的名称填到其他类型下。\n' +
+                `严格返回如下JSON，每个类型一个数组，找不到时返回[]：\n${JSON.stringify(example)}\n` +
+                `${details || ''}名称为[REDACTED]或[編纂]等占位符时不要返回。\n\n` +
+                sections.join('\n\n');
+        }
+
+        /**
+         * 生成结构化输出的 JSON Schema
+         * @param {Array<Object>} tasks - 放入合并请求的类型
+         * @param {boolean} [partyDetails=false] - 是否要求地址和牌照
+         * @returns {{name: string, schema: Object}}
+         */
+        static buildSchema(tasks, partyDetails = false) {
+            const listSchema = (task) => {
+                const properties = { name: { type: 'string' } };
+                if (partyDetails) {
+                    properties.address = { type: 'string' };
+                    properties.licence = { type: 'string' };
+                }
+                if (task.role.lawJurisdictions) {
+                    properties.laws = { type: 'array', items: { type: 'string' } };
+                }
+                return { type: 'array', items: { type: 'object', properties, required: ['name'] } };
+            };
+            const properties = {};
+            GROUPS.forEach(group => {
+                const groupTasks = tasks.filter(task => task.group === group);
+                if (groupTasks.length === 0) return;
+                properties[group] = {
+                    type: 'object',
+                    properties: Object.fromEntries(groupTasks.map(task => [task.key, listSchema(task)])),
+                    required: groupTasks.map(task => task.key)
+                };
+            });
+            return { name: SCHEMA_NAME, schema: { type: 'object', properties, required: Object.keys(properties) } };
+        }
+
+        /**
+         * 读取合并请求的返回：每个类型取对应数组并按 buildSchema 中该类型的 schema 校验，缺失或校验不通过的类型记为失败
+         * @param {Object|null} raw - 经 HKEXAIResponse.parse 解析的返回，无法解析时为 null
+         * @param {Array<Object>} tasks - 放入合并请求的类型
+         * @param {{name: string, schema: Object}} schema - buildSchema 的结果
+         * @returns {{lists: Object, failed: Array<Object>, errors: Object}} lists 和 errors 的键为 `${group}.${key}`
+         */
+        static readResult(raw, tasks, schema) {
+            const lists = {};
+            const failed = [];
+            const errors = {};
+            tasks.forEach(task => {
+                const id = `${task.group}.${task.key}`;
+                const group = raw && typeof raw === 'object' ? raw[task.group] : null;
+                // 模型偶尔省略分组一层，直接以类型键返回
+                const list = group && typeof group === 'object' && task.key in group ? group[task.key] : (raw ? raw[task.key] : undefined);
+                const listSchema = schema.schema.properties[task.group].properties[task.key];
+                const problems = window.HKEXAIResponse
+                    ? window.HKEXAIResponse.validate(list, listSchema, `$.${id}`)
+                    : (Array.isArray(list) ? [] : [`$.${id} 应为 array`]);
+                if (problems.length === 0) {
+                    lists[id] = list.filter(item => item.name.trim());
+                } else {
+                    errors[id] = problems;
+                    failed.push(task);
+                }
+            });
+            return { lists, failed, errors };
+        }
+
+        /**
+         * AI调用统计的说明文本，如"合并1次（结构化）+ 补提2次，共18.2秒，输入12,345 / 输出1,234 tokens"
+         * @param {Object} stats - TextParser.parseParties 返回的 aiStats
+         * @returns {string}
+         */
+        static describeStats(stats) {
+            if (!stats || !stats.total) return '';
+            const usage = PartyBatchRequest.describeUsage(stats.total);
+            if (stats.mode !== 'batch') {
+                return `逐类${stats.total.calls}次，${usage}`;
+            }
+            const batch = stats.batch ? `合并${stats.batch.calls}次${stats.batch.structured ? '（结构化）' : ''}` : '合并0次';
+            const fallback = stats.fallback && stats.fallback.calls > 0 ? ` + 补提${stats.fallback.calls}次` : '';
+            return `${batch}${fallback}，${usage}`;
+        }
+
+        /**
+         * 耗时和 token 用量的说明文本，如"共18.2秒，输入12,345 / 输出1,234 tokens"
+         * @param {{elapsedMs: number, calls: number, promptTokens: number, completionTokens: number}} total - measureAI 的 stats
+         * @returns {string}
+         */
+        static describeUsage(total) {
+            if (!total) return '';
+            const tokens = total.promptTokens || total.completionTokens
+                ? `，输入${total.promptTokens.toLocaleString('en-US')} / 输出${total.completionTokens.toLocaleString('en-US')} tokens`
+                : '';
+            return `共${(total.elapsedMs / 1000).toFixed(1)}秒${tokens}`;
+        }
+    }
+
+    PartyBatchRequest.GROUPS = GROUPS;
+    PartyBatchRequest.MAX_BATCH_CHARS = MAX_BATCH_CHARS;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXPartyBatch = PartyBatchRequest;
+    }
+
+    console.info('[HKEX-PartyBatch] 参与方合并提取模块加载完成');
+})();
@@ -0,0 +1,176 @@
+/**
+ * 港股招股书信息提取器 - 页面文本流水线
+ * 以有限并发按页序预取并解析页面文本，解析完成的页面即时写入缓存
+ */
+
+(function() {
+    'use strict';
+
+    class PageTextPipeline {
+        /**
+         * @param {number} numPages - 总页数
+         * @param {Function} loadPage - (pageNum) => Promise<string>，负责解析并写入缓存
+         * @param {Object} [options] - 流水线选项
+         * @param {number} [options.concurrency=4] - 最大并发页数
+         */
+        constructor(numPages, loadPage, options = {}) {
+            this.logger = window.HKEXLogger ? new window.HKEXLogger('PageTextPipeline') : {
+                debug: console.debug.bind(console),
+                info: console.info.bind(console),
+                warn: console.warn.bind(console),
+                error: console.error.bind(console)
+            };
+            this.numPages = numPages;
+            this.loadPage = loadPage;
+            this.concurrency = Math.max(1, options.concurrency || 4);
+
+            // pageNum -> { promise, resolve, scheduled, done }
+            this.tasks = new Map();
+            this.queue = [];
+            this.inFlight = 0;
+            this.completed = 0;
+            this.startTime = null;
+            this.finishTime = null;
+        }
+
+        /**
+         * 获取（或创建）某页的任务
+         * @param {number} pageNum - 页码
+         * @returns {Object} 任务
+         */
+        getTask(pageNum) {
+            if (!this.tasks.has(pageNum)) {
+                let resolve;
+                const promise = new Promise(r => { resolve = r; });
+                this.tasks.set(pageNum, { promise, resolve, scheduled: false, done: false });
+            }
+            return this.tasks.get(pageNum);
+        }
+
+        /**
+         * 从指定页开始按页序预取全部页面
+         * @param {number} [fromPage=1] - 起始页
+         */
+        start(fromPage = 1) {
+            if (this.startTime === null) {
+                this.startTime = performance.now();
+                this.logger.info(`页面流水线启动，共 ${this.numPages} 页，并发 ${this.concurrency}`);
+            }
+            for (let pageNum = fromPage; pageNum <= this.numPages; pageNum++) {
+                if (!this.getTask(pageNum).scheduled) this.queue.push(pageNum);
+            }
+            for (let pageNum = 1; pageNum < fromPage; pageNum++) {
+                if (!this.getTask(pageNum).scheduled) this.queue.push(pageNum);
+            }
+            this.pump();
+        }
+
+        /**
+         * 获取某页文本；尚未进入队列的页面插队优先解析，已排队的页面保持页序
+         * @param {number} pageNum - 页码
+         * @returns {Promise<string>} 页面文本
+         */
+        getPage(pageNum) {
+            const task = this.getTask(pageNum);
+            if (!task.scheduled && !this.queue.includes(pageNum)) {
+                this.queue.unshift(pageNum);
+                this.pump();
+            }
+            return task.promise;
+        }
+
+        /**
+         * 按页序等待，返回第一个满足条件的页面，不会重复解析已缓存页面
+         * @param {Function} predicate - (text, pageNum) => boolean
+         * @param {Object} [range] - 搜索范围
+         * @param {number} [range.from=1] - 起始页
+         * @param {number} [range.to=numPages] - 结束页
+         * @returns {Promise<{page: number, text: string}|null>}
+         */
+        async findFirstPage(predicate, { from = 1, to = this.numPages } = {}) {
+            const begin = performance.now();
+            const last = Math.min(to, this.numPages);
+            // 确保搜索范围内的页面已进入队列
+            for (let pageNum = from; pageNum <= last; pageNum++) {
+                const task = this.getTask(pageNum);
+                if (!task.scheduled && !this.queue.includes(pageNum)) this.queue.push(pageNum);
+            }
+            this.pump();
+            for (let pageNum = from; pageNum <= last; pageNum++) {
+                const text = await this.getPage(pageNum);
+                if (predicate(text, pageNum)) {
+                    this.logger.debug(`流水线命中第${pageNum}页，耗时 ${Math.round(performance.now() - begin)}ms`);
+                    return { page: pageNum, text };
+                }
+            }
+            this.logger.debug(`流水线在第${from}-${last}页未命中，耗时 ${Math.round(performance.now() - begin)}ms`);
+            return null;
+        }
+
+        /**
+         * 获取页码范围内的全部页面文本（并发解析，按页序返回）
+         * @param {number} [from=1] - 起始页
+         * @param {number} [to=numPages] - 结束页
+         * @returns {Promise<Array<string>>}
+         */
+        getPages(from = 1, to = this.numPages) {
+            const pages = [];
+            for (let pageNum = from; pageNum <= Math.min(to, this.numPages); pageNum++) {
+                pages.push(this.getPage(pageNum));
+            }
+            return Promise.all(pages);
+        }
+
+        /**
+         * 在并发上限内调度队列中的页面
+         */
+        pump() {
+            while (this.inFlight < this.concurrency && this.queue.length > 0) {
+                const pageNum = this.queue.shift();
+                const task = this.getTask(pageNum);
+                if (task.scheduled) continue;
+                task.scheduled = true;
+                this.inFlight++;
+                Promise.resolve()
+                    .then(() => this.loadPage(pageNum))
+                    .catch(error => {
+                        this.logger.error(`流水线解析第${pageNum}页失败`, error);
+                        return '';
+                    })
+                    .then(text => {
+                        task.done = true;
+                        task.resolve(text || '');
+                        this.inFlight--;
+                        this.completed++;
+                        if (this.completed === this.numPages && this.finishTime === null) {
+                            this.finishTime = performance.now();
+                            this.logger.info('页面流水线全部完成', this.getStats());
+                        }
+                        this.pump();
+                    });
+            }
+        }
+
+        /**
+         * 流水线耗时统计
+         * @returns {{pages: number, completed: number, concurrency: number, elapsedMs: number, pagesPerSecond: number}}
+         */
+        getStats() {
+            const end = this.finishTime ?? performance.now();
+            const elapsedMs = this.startTime === null ? 0 : Math.round(end - this.startTime);
+            return {
+                pages: this.numPages,
+                completed: this.completed,
+                concurrency: this.concurrency,
+                elapsedMs,
+                pagesPerSecond: elapsedMs > 0 ? Math.round(this.completed / elapsedMs * 10000) / 10 : 0
+            };
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.HKEXPagePipeline = PageTextPipeline;
+    }
+
+    console.info('[HKEX-Pipeline] 页面文本流水线加载完成');
+})();
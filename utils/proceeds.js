@@ -0,0 +1,143 @@
+/**
+ * 港股招股书信息提取器 - 所得款项用途
+ * 从"Future Plans and Use of Proceeds"章节提取各项用途的比例及大致金额，并核对比例合计是否为100%
+ */
+
+(function() {
+    'use strict';
+
+    // 章节内"所得款项用途"小节的标题；章节地图未命中时也用于全书查找
+    const ANCHORS = [/USE\s+OF\s+PROCEEDS/, /所得款項用途|所得款项用途/];
+    // 全书查找时页面还需同时出现的内容，用于排除目录页
+    const CONTENT_PATTERNS = [/net\s+proceeds|所得款項淨額|所得款项净额/i, /\d(?:\.\d+)?\s*%/];
+    // 自小节标题页起最多读取的页数
+    const MAX_PAGES = 4;
+    // 交给AI的文本上限（字符）
+    const AI_TEXT_LIMIT = 15000;
+    // 比例合计与100%的允许误差（百分点，招股书各项比例多四舍五入至一位小数）
+    const SUM_TOLERANCE = 0.5;
+
+    class UseOfProceeds {
+        /**
+         * 判断页面是否为所得款项用途小节（全书查找时使用）
+         * @param {string} text - 页面文本
+         * @param {boolean} [strict=true] - 是否同时要求出现所得款项净额和百分比
+         * @returns {boolean}
+         */
+        static matchPage(text, strict = true) {
+            const source = String(text || '');
+            if (!ANCHORS.some(anchor => anchor.test(source))) return false;
+            return !strict || CONTENT_PATTERNS.every(pattern => pattern.test(source));
+        }
+
+        /**
+         * 生成AI提示词
+         * @param {string} text - 所得款项用途小节文本
+         * @returns {string} 提示词
+         */
+        static buildPrompt(text) {
+            return '你是港股招股书信息提取专家。请从以下"所得款项用途"文本中提取全球发售所得款项净额的用途分配。\n' +
+                '严格返回如下JSON：{"netProceeds": {"amount": 1234.5, "currency": "HKD"}, ' +
+                '"uses": [{"purpose": "用途（中文概括，不超过30字）", "percentage": 40.0, "amount": 493.8}]}。\n' +
+                'netProceeds 按发售价中位数计算（未行使超额配股权）；amount 均以百万为单位，只写数字；percentage 只写数字、不带%。\n' +
+                '只列出最上一级用途，不要重复列出其下的细分用途；原文未载明的字段返回 null。找不到请返回 {"netProceeds": null, "uses": []}。\n\n' +
+                `文本：\n${String(text || '').slice(0, AI_TEXT_LIMIT)}`;
+        }
+
+        /**
+         * 规范化AI结果并核对比例合计；用途未载明金额时按所得款项净额和比例估算
+         * @param {Object} raw - AI返回的对象
+         * @returns {{netProceeds: {amount: number, currency: string}|null, uses: Array<{purpose: string, percentage: number|null, amount: number|null, estimated: boolean}>, totalPercentage: number|null, balanced: boolean}}
+         */
+        static normalize(raw) {
+            const source = raw && typeof raw === 'object' ? raw : {};
+            const net = source.netProceeds && typeof source.netProceeds === 'object' ? source.netProceeds : null;
+            const netAmount = net ? UseOfProceeds.toNumber(net.amount) : null;
+            const netProceeds = netAmount !== null
+                ? { amount: netAmount, currency: net.currency ? String(net.currency).trim().toUpperCase() : null }
+                : null;
+
+            const uses = (Array.isArray(source.uses) ? source.uses : [])
+                .map(item => {
+                    if (!item || typeof item !== 'object') return null;
+                    const purpose = String(item.purpose || '').replace(/\s+/g, ' ').trim();
+                    if (!purpose) return null;
+                    const percentage = UseOfProceeds.toNumber(item.percentage);
+                    let amount = UseOfProceeds.toNumber(item.amount);
+                    let estimated = false;
+                    if (amount === null && percentage !== null && netProceeds) {
+                        amount = Math.round(netProceeds.amount * percentage) / 100;
+                        estimated = true;
+                    }
+                    return { purpose, percentage, amount, estimated };
+                })
+                .filter(Boolean);
+
+            const percentages = uses.map(use => use.percentage).filter(value => value !== null);
+            const totalPercentage = percentages.length > 0
+                ? Math.round(percentages.reduce((sum, value) => sum + value, 0) * 100) / 100
+                : null;
+            return {
+                netProceeds,
+                uses,
+                totalPercentage,
+                balanced: UseOfProceeds.isBalanced(totalPercentage, uses)
+            };
+        }
+
+        /**
+         * 比例合计是否为100%：有用途缺少比例时视为不平衡
+         * @param {number|null} totalPercentage - 比例合计
+         * @param {Array} uses - 用途列表
+         * @returns {boolean}
+         */
+        static isBalanced(totalPercentage, uses) {
+            if (totalPercentage === null || uses.some(use => use.percentage === null)) return false;
+            return Math.abs(totalPercentage - 100) <= SUM_TOLERANCE;
+        }
+
+        /**
+         * 解析数字（去掉千分位和百分号）
+         * @param {any} value - 原值
+         * @returns {number|null}
+         */
+        static toNumber(value) {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+            const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+            return match ? Number(match[0]) : null;
+        }
+
+        /**
+         * 单项用途的金额文本，如"HKD 493.8百万（估算）"
+         * @param {Object} use - 用途条目
+         * @param {Object|null} netProceeds - 所得款项净额
+         * @returns {string}
+         */
+        static formatAmount(use, netProceeds) {
+            if (use.amount === null || use.amount === undefined) return '—';
+            const currency = netProceeds && netProceeds.currency ? `${netProceeds.currency} ` : '';
+            return `${currency}${use.amount.toLocaleString('en-US', { maximumFractionDigits: 1 })}百万${use.estimated ? '（估算）' : ''}`;
+        }
+
+        /**
+         * 比例核对结果的说明文本
+         * @param {Object} proceeds - normalize 的结果
+         * @returns {string}
+         */
+        static describeCheck(proceeds) {
+            if (!proceeds || proceeds.uses.length === 0) return '';
+            if (proceeds.balanced) return `比例合计 ${proceeds.totalPercentage}%`;
+            const missing = proceeds.uses.filter(use => use.percentage === null).length;
+            if (missing > 0) return `⚠️ ${missing} 项用途未载明比例，请人工核对`;
+            return `⚠️ 比例合计 ${proceeds.totalPercentage}%，与100%不符，请人工核对`;
+        }
+    }
+
+    UseOfProceeds.MAX_PAGES = MAX_PAGES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXProceeds = UseOfProceeds;
+    }
+
+    console.info('[HKEX-Proceeds] 所得款项用途模块加载完成');
+})();
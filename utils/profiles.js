@@ -0,0 +1,273 @@
+/**
+ * 港股招股书信息提取器 - 提取配置（JSON）
+ * 专业机构类型、标题匹配规则、截取窗口和AI提示词均来自 profiles/*.json，用户可导入自定义配置
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_PROFILE_PATH = 'profiles/default.json';
+    const CUSTOM_PROFILE_STORAGE_KEY = 'hkex_customProfile';
+    // 截取窗口默认值：匹配位置前50字符、后500字符，每条规则取第一个匹配
+    const DEFAULT_WINDOW = { before: 50, after: 500, maxMatches: 1 };
+    // 提示词中 {{details}} 占位符的默认取值：off 只要名称，on 同时要地址和牌照（配置的 details 字段可覆盖）
+    const DEFAULT_DETAILS = {
+        off: '只要名称，不要地址等。',
+        on: '每项除 name 外还需返回 address（办公地址）和 licence（证监会持牌类型或公众利益实体核数师注册信息），原文未载明的字段返回空字符串。'
+    };
+    // 关键词片段的来源章节：directors 为"董事及参与各方"章节（默认），corporateInformation 为"公司资料"章节
+    const CHUNK_SOURCES = ['directors', 'corporateInformation'];
+
+    const logger = window.HKEXLogger ? new window.HKEXLogger('ExtractionProfiles') : {
+        debug: console.debug.bind(console),
+        info: console.info.bind(console),
+        warn: console.warn.bind(console),
+        error: console.error.bind(console)
+    };
+
+    class ExtractionProfiles {
+        /**
+         * 加载当前生效的提取配置：优先用户导入的自定义配置，其次内置默认配置
+         * @returns {Promise<Object>} 提取配置
+         */
+        static async load() {
+            const custom = await ExtractionProfiles.readCustom();
+            if (custom) {
+                try {
+                    ExtractionProfiles.validate(custom);
+                    logger.info(`使用自定义提取配置: ${custom.name}`);
+                    return { ...custom, custom: true };
+                } catch (error) {
+                    logger.warn('自定义提取配置无效，改用内置配置', error.message);
+                }
+            }
+            return ExtractionProfiles.loadDefault();
+        }
+
+        /**
+         * 加载扩展内置的默认配置
+         * @returns {Promise<Object>} 提取配置
+         */
+        static async loadDefault() {
+            const response = await fetch(chrome.runtime.getURL(DEFAULT_PROFILE_PATH));
+            if (!response.ok) {
+                throw new Error(`读取内置提取配置失败: ${response.status}`);
+            }
+            const profile = await response.json();
+            ExtractionProfiles.validate(profile);
+            return { ...profile, custom: false };
+        }
+
+        /**
+         * 读取 chrome.storage.local 中的设置（自定义提取配置和自定义字段共用）：扩展页面（popup）直接读取；
+         * content script 无权直接访问（后台已将其限制为受信任上下文），经后台的 readSetting 消息读取
+         * @param {string} key - 存储键
+         * @returns {Promise<*>} 未保存或读取失败时为 null
+         */
+        static readSetting(key) {
+            return new Promise(resolve => {
+                if (typeof chrome === 'undefined' || !chrome.runtime) {
+                    resolve(null);
+                    return;
+                }
+                if (location.protocol === 'chrome-extension:') {
+                    chrome.storage.local.get([key], result => resolve(result && result[key] !== undefined ? result[key] : null));
+                    return;
+                }
+                chrome.runtime.sendMessage({ action: 'readSetting', key }, response => {
+                    if (chrome.runtime.lastError || !response || !response.success) {
+                        logger.warn('读取设置失败:', key, chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+                        resolve(null);
+                        return;
+                    }
+                    resolve(response.data);
+                });
+            });
+        }
+
+        /**
+         * 读取用户导入的自定义配置
+         * @returns {Promise<Object|null>}
+         */
+        static async readCustom() {
+            return (await ExtractionProfiles.readSetting(CUSTOM_PROFILE_STORAGE_KEY)) || null;
+        }
+
+        /**
+         * 校验并保存自定义配置
+         * @param {Object} profile - 提取配置
+         * @returns {Promise<void>}
+         */
+        static saveCustom(profile) {
+            ExtractionProfiles.validate(profile);
+            return new Promise(resolve => {
+                chrome.storage.local.set({ [CUSTOM_PROFILE_STORAGE_KEY]: profile }, resolve);
+            });
+        }
+
+        /**
+         * 删除自定义配置，恢复内置配置
+         * @returns {Promise<void>}
+         */
+        static clearCustom() {
+            return new Promise(resolve => {
+                chrome.storage.local.remove(CUSTOM_PROFILE_STORAGE_KEY, resolve);
+            });
+        }
+
+        /**
+         * 校验配置结构，不合法时抛出带具体原因的错误
+         * @param {Object} profile - 提取配置
+         */
+        static validate(profile) {
+            if (!profile || typeof profile !== 'object') {
+                throw new Error('提取配置必须是JSON对象');
+            }
+            if (!profile.name) {
+                throw new Error('提取配置缺少 name');
+            }
+            if (!Array.isArray(profile.roles) || profile.roles.length === 0) {
+                throw new Error('提取配置缺少 roles');
+            }
+            ExtractionProfiles.validateRoles(profile.roles, 'roles', true);
+            if (profile.syndicate) {
+                const { syndicate } = profile;
+                if (!Array.isArray(syndicate.roles) || syndicate.roles.length === 0) {
+                    throw new Error('syndicate 缺少 roles');
+                }
+                if (!syndicate.prompt || !syndicate.prompt.includes('{{text}}')) {
+                    throw new Error('syndicate 的 prompt 必须包含 {{text}} 占位符');
+                }
+                ExtractionProfiles.validateRoles(syndicate.roles, 'syndicate.roles', false);
+            }
+            if (profile.ai !== undefined && globalThis.HKEXProviders) {
+                globalThis.HKEXProviders.validateProfileAI(profile.ai);
+            }
+        }
+
+        /**
+         * 校验类型列表
+         * @param {Array<Object>} roles - 类型列表
+         * @param {string} path - 报错中使用的字段路径
+         * @param {boolean} requirePrompt - 每项是否必须有自己的 prompt（承销团角色共用 syndicate.prompt）
+         */
+        static validateRoles(roles, path, requirePrompt) {
+            const keys = new Set();
+            roles.forEach((role, index) => {
+                const where = `${path}[${index}]`;
+                if (!role || !role.key) throw new Error(`${where} 缺少 key`);
+                if (keys.has(role.key)) throw new Error(`${where} key 重复: ${role.key}`);
+                keys.add(role.key);
+                if (role.source && !CHUNK_SOURCES.includes(role.source)) {
+                    throw new Error(`${where} 的 source 必须是 ${CHUNK_SOURCES.join(' / ')}`);
+                }
+                if (requirePrompt && (!role.prompt || !role.prompt.includes('{{text}}'))) {
+                    throw new Error(`${where} 的 prompt 必须包含 {{text}} 占位符`);
+                }
+                // batchHint：参与方合并提取时该类型的要求（见 party-batch.js），可选
+                if (role.batchHint !== undefined && typeof role.batchHint !== 'string') {
+                    throw new Error(`${where} 的 batchHint 必须是字符串`);
+                }
+                const headings = Object.values(role.headings || {}).flat();
+                const patterns = Object.values(role.patterns || {}).flat();
+                if (headings.length === 0 && patterns.length === 0) {
+                    throw new Error(`${where} 至少需要一条 headings 或 patterns`);
+                }
+                patterns.forEach(pattern => {
+                    try {
+                        new RegExp(pattern, 'gi');
+                    } catch (error) {
+                        throw new Error(`${where} 的正则无效: ${pattern}`);
+                    }
+                });
+            });
+        }
+
+        /**
+         * 生成某类专业机构在指定语言下的匹配规则
+         * headings 为短语（空白可跨行、大小写不敏感），patterns 为正则；该语言未配置时使用英文规则
+         * @param {Object} role - 配置中的专业机构类型
+         * @param {string} language - 文档语言（'en' / 'zh'）
+         * @param {Array<string>} [extraHeadings] - 附加短语（如注册地特有的标题）
+         * @param {Object} [windowRule] - 截取窗口，提供 maxMatches
+         * @returns {Array<{keyword: string, regex: RegExp, maxMatches: number}>}
+         */
+        static buildMatchers(role, language, extraHeadings = [], windowRule = DEFAULT_WINDOW) {
+            const pick = (rules) => {
+                if (!rules) return [];
+                return rules[language] || rules.en || [];
+            };
+            const headings = [...new Set([...pick(role.headings), ...extraHeadings])];
+            const matchers = headings.map(heading => ({
+                keyword: heading,
+                regex: new RegExp(heading.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'), 'gi'),
+                maxMatches: windowRule.maxMatches
+            }));
+            pick(role.patterns).forEach(pattern => {
+                matchers.push({ keyword: pattern, regex: new RegExp(pattern, 'gi'), maxMatches: windowRule.maxMatches });
+            });
+            return matchers;
+        }
+
+        /**
+         * 获取某类专业机构的截取窗口（类型配置覆盖全局配置）
+         * @param {Object} profile - 提取配置（承销团传入 profile.syndicate）
+         * @param {Object} role - 专业机构类型
+         * @returns {{before: number, after: number, maxMatches: number}}
+         */
+        static getWindow(profile, role) {
+            return { ...DEFAULT_WINDOW, ...(profile.window || {}), ...(role.window || {}) };
+        }
+
+        /**
+         * 将片段文本、类型名称和详情要求填入提示词（{{text}}、{{label}}、{{details}} 占位符）
+         * @param {Object} role - 专业机构类型
+         * @param {string} text - 关键词片段
+         * @param {string} [prompt] - 提示词模板，默认使用 role.prompt
+         * @param {string} [details] - 详情要求，见 getDetailsInstruction
+         * @returns {string} 提示词
+         */
+        static renderPrompt(role, text, prompt = role.prompt, details = DEFAULT_DETAILS.off) {
+            return prompt
+                .split('{{label}}').join(role.label || role.key)
+                .split('{{details}}').join(details)
+                .split('{{text}}').join(text);
+        }
+
+        /**
+         * 获取详情要求：是否同时提取地址和牌照
+         * @param {Object} profile - 提取配置
+         * @param {boolean} partyDetails - 是否提取地址和牌照
+         * @returns {string} 填入 {{details}} 的文字
+         */
+        static getDetailsInstruction(profile, partyDetails) {
+            const details = { ...DEFAULT_DETAILS, ...((profile && profile.details) || {}) };
+            return partyDetails ? details.on : details.off;
+        }
+
+        /**
+         * 配置摘要，写入提取结果的 metadata，供popup和复制结果渲染各类型标题
+         * @param {Object} profile - 提取配置
+         * @returns {{name: string, version: number, custom: boolean, roles: Array, syndicateRoles: Array}}
+         */
+        static summarize(profile) {
+            const describe = role => ({ key: role.key, label: role.label || role.key, labelEn: role.labelEn || '' });
+            return {
+                name: profile.name,
+                version: profile.version || 1,
+                custom: !!profile.custom,
+                roles: profile.roles.map(describe),
+                syndicateRoles: profile.syndicate ? profile.syndicate.roles.map(describe) : []
+            };
+        }
+    }
+
+    ExtractionProfiles.CUSTOM_PROFILE_STORAGE_KEY = CUSTOM_PROFILE_STORAGE_KEY;
+    ExtractionProfiles.CHUNK_SOURCES = CHUNK_SOURCES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXProfiles = ExtractionProfiles;
+    }
+
+    console.info('[HKEX-Profiles] 提取配置模块加载完成');
+})();
@@ -0,0 +1,345 @@
+/**
+ * 港股招股书信息提取器 - 大模型接口适配
+ * TextParser.requestAI 经后台 service worker 用此模块发送请求：OpenAI兼容接口、Azure OpenAI、Anthropic Messages、本地 Ollama / llama.cpp
+ * 各适配器负责自己的鉴权头、模型名、结构化输出（JSON Schema）和返回解析；注册在 globalThis 上，由后台 service worker 发送请求，设置页和 content script 只用其中的接口列表和校验
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_PROVIDER = 'openai';
+    // 接口设置（不含密钥），设置页写入，后台读取
+    const SETTINGS_STORAGE_KEY = 'hkex_aiSettings';
+    // 各接口的 apiKey，只由后台 service worker 读写，content script 和设置页均不读取
+    const KEYS_STORAGE_KEY = 'hkex_aiKeys';
+    const DEFAULT_SETTINGS = {
+        enabled: true,
+        provider: DEFAULT_PROVIDER,
+        // 单次请求超时（毫秒）
+        timeoutMs: 120000,
+        providers: {}
+    };
+
+    /**
+     * 接口适配器
+     * - defaults: 该接口的默认设置（配置和提取配置中的同名字段覆盖）
+     * - requiresKey: 是否必须提供 apiKey
+     * - fields: 设置页中可编辑的字段（apiKey 另行处理）
+     * - buildRequest(settings, prompt, schema): 返回 { url, headers, body, structured }；schema 为 { name, schema } 时按该接口的方式要求结构化输出
+     * - parseResponse(data): 从返回JSON中取出模型输出文本，取不到时返回 null
+     * - parseUsage(data): 取出 token 用量 { promptTokens, completionTokens }，接口未返回时为 null
+     */
+    const PROVIDERS = {
+        openai: {
+            label: 'OpenAI兼容接口（DeepSeek、OpenAI等）',
+            // responseFormat：json_schema（OpenAI）/ json_object（DeepSeek 只支持此项）/ none
+            defaults: { endpoint: 'https://api.deepseek.com/v1/chat/completions', model: 'deepseek-chat', responseFormat: 'json_object' },
+            requiresKey: true,
+            fields: ['endpoint', 'model', 'responseFormat'],
+            buildRequest(settings, prompt, schema) {
+                const body = { model: settings.model, messages: [{ role: 'user', content: prompt }] };
+                const responseFormat = schema ? chatResponseFormat(settings.responseFormat, schema) : null;
+                if (responseFormat) body.response_format = responseFormat;
+                return {
+                    url: settings.endpoint,
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${settings.apiKey}` },
+                    body,
+                    structured: !!responseFormat
+                };
+            },
+            parseResponse(data) {
+                return data?.choices?.[0]?.message?.content ?? null;
+            },
+            parseUsage(data) {
+                return usageOf(data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+            }
+        },
+        azure: {
+            label: 'Azure OpenAI',
+            // endpoint 为资源地址（如 https://xxx.openai.azure.com），deployment 为部署名，未填时使用 model
+            defaults: { endpoint: '', deployment: '', model: '', apiVersion: '2024-08-01-preview', responseFormat: 'json_schema' },
+            requiresKey: true,
+            fields: ['endpoint', 'deployment', 'apiVersion', 'responseFormat'],
+            buildRequest(settings, prompt, schema) {
+                const deployment = settings.deployment || settings.model;
+                if (!deployment) throw new Error('Azure OpenAI 缺少 deployment（部署名）');
+                const base = settings.endpoint.replace(/\/+$/, '');
+                const body = { messages: [{ role: 'user', content: prompt }] };
+                const responseFormat = schema ? chatResponseFormat(settings.responseFormat, schema) : null;
+                if (responseFormat) body.response_format = responseFormat;
+                return {
+                    url: `${base}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(settings.apiVersion)}`,
+                    headers: { 'Content-Type': 'application/json', 'api-key': settings.apiKey },
+                    body,
+                    structured: !!responseFormat
+                };
+            },
+            parseResponse(data) {
+                return data?.choices?.[0]?.message?.content ?? null;
+            },
+            parseUsage(data) {
+                return usageOf(data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+            }
+        },
+        anthropic: {
+            label: 'Anthropic Messages',
+            defaults: { endpoint: 'https://api.anthropic.com/v1/messages', model: 'claude-3-5-sonnet-latest', maxTokens: 4096, anthropicVersion: '2023-06-01' },
+            requiresKey: true,
+            fields: ['endpoint', 'model', 'maxTokens'],
+            // 结构化输出：强制调用一个以 schema 为 input_schema 的工具，工具参数即结果
+            buildRequest(settings, prompt, schema) {
+                const body = { model: settings.model, max_tokens: settings.maxTokens, messages: [{ role: 'user', content: prompt }] };
+                if (schema) {
+                    body.tools = [{ name: schema.name, description: '按要求返回提取结果', input_schema: schema.schema }];
+                    body.tool_choice = { type: 'tool', name: schema.name };
+                }
+                return {
+                    url: settings.endpoint,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': settings.apiKey,
+                        'anthropic-version': settings.anthropicVersion,
+                        // 浏览器环境直接调用需显式声明
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body,
+                    structured: !!schema
+                };
+            },
+            parseResponse(data) {
+                if (!Array.isArray(data?.content)) return null;
+                const tool = data.content.find(block => block.type === 'tool_use');
+                if (tool) return JSON.stringify(tool.input ?? {});
+                const text = data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+                return text || null;
+            },
+            parseUsage(data) {
+                return usageOf(data?.usage?.input_tokens, data?.usage?.output_tokens);
+            }
+        },
+        ollama: {
+            label: '本地模型（Ollama / llama.cpp）',
+            // Ollama 使用 /api/chat；llama.cpp server 将 endpoint 改为 http://localhost:8080/v1/chat/completions
+            defaults: { endpoint: 'http://localhost:11434/api/chat', model: 'qwen2.5:7b' },
+            requiresKey: false,
+            fields: ['endpoint', 'model'],
+            // 结构化输出：Ollama 0.5+ 的 format 字段接受 JSON Schema；llama.cpp 的OpenAI兼容接口使用 response_format
+            buildRequest(settings, prompt, schema) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+                const body = { model: settings.model, messages: [{ role: 'user', content: prompt }], stream: false };
+                if (schema) {
+                    if (/\/api\/chat\/?$/.test(settings.endpoint)) {
+                        body.format = schema.schema;
+                    } else {
+                        body.response_format = chatResponseFormat('json_schema', schema);
+                    }
+                }
+                return { url: settings.endpoint, headers, body, structured: !!schema };
+            },
+            parseResponse(data) {
+                // Ollama 返回 message.content，llama.cpp 的OpenAI兼容接口返回 choices
+                return data?.message?.content ?? data?.choices?.[0]?.message?.content ?? null;
+            },
+            parseUsage(data) {
+                if (data?.usage) return usageOf(data.usage.prompt_tokens, data.usage.completion_tokens);
+                return usageOf(data?.prompt_eval_count, data?.eval_count);
+            }
+        }
+    };
+
+    /**
+     * OpenAI兼容接口的 response_format
+     * @param {string} mode - json_schema / json_object / none
+     * @param {{name: string, schema: Object}} schema - 结果的 JSON Schema
+     * @returns {Object|null}
+     */
+    function chatResponseFormat(mode, schema) {
+        if (mode === 'json_schema') {
+            // strict 要求所有字段必填且禁止额外字段，提取配置的字段可选，故不开启
+            return { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: false } };
+        }
+        if (mode === 'json_object') return { type: 'json_object' };
+        return null;
+    }
+
+    /**
+     * token 用量，两项都取不到时为 null
+     * @param {any} promptTokens - 输入 token
+     * @param {any} completionTokens - 输出 token
+     * @returns {{promptTokens: number, completionTokens: number}|null}
+     */
+    function usageOf(promptTokens, completionTokens) {
+        if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) return null;
+        return { promptTokens: Number(promptTokens) || 0, completionTokens: Number(completionTokens) || 0 };
+    }
+
+    // OpenAI兼容接口和 Azure 的结构化输出方式
+    const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+    // 提取配置的 ai 字段可设置的项（apiKey 只保存在扩展设置中，不随提取配置分发）；
+    // endpoint 也只能在设置页填写：保存的密钥按接口附加，若共享的提取配置能改接口地址，密钥就会被发往任意主机
+    const PROFILE_FIELDS = ['provider', 'model', 'deployment', 'apiVersion', 'maxTokens', 'responseFormat'];
+
+    class LLMProviders {
+        /**
+         * 可选接口列表
+         * @returns {Array<{key: string, label: string, requiresKey: boolean, fields: Array<string>, defaults: Object}>}
+         */
+        static list() {
+            return Object.entries(PROVIDERS).map(([key, provider]) => ({
+                key,
+                label: provider.label,
+                requiresKey: provider.requiresKey,
+                fields: provider.fields,
+                defaults: provider.defaults
+            }));
+        }
+
+        /**
+         * 把各接口的密钥并入设置（仅在后台 service worker 中调用）
+         * @param {Object} settings - 设置页保存的接口设置
+         * @param {Object} keys - { 接口键: apiKey }
+         * @returns {Object} providers[key].apiKey 已填入的设置
+         */
+        static withKeys(settings, keys = {}) {
+            const providers = { ...(settings.providers || {}) };
+            Object.entries(keys || {}).forEach(([key, apiKey]) => {
+                if (apiKey) providers[key] = { ...(providers[key] || {}), apiKey };
+            });
+            return { ...settings, providers };
+        }
+
+        /**
+         * 合并得到本次调用的接口设置
+         * 优先级：提取配置的 ai 字段 > 扩展设置中该接口的设置（providers[key]）> 适配器默认值；
+         * 设置顶层的 endpoint / apiKey / model 视为默认接口的设置（兼容旧配置）
+         * @param {Object} config - 扩展设置，见 DEFAULT_SETTINGS
+         * @param {Object} [override] - 提取配置的 ai 字段
+         * @returns {Object} 含 provider、timeoutMs 键的完整设置
+         */
+        static resolve(config = {}, override = {}) {
+            const provider = (override && override.provider) || config.provider || DEFAULT_PROVIDER;
+            if (!PROVIDERS[provider]) {
+                throw new Error(`未知的AI接口: ${provider}`);
+            }
+            const legacy = provider === (config.provider || DEFAULT_PROVIDER)
+                ? LLMProviders.pick(config, ['endpoint', 'apiKey', 'model'])
+                : {};
+            const saved = (config.providers && config.providers[provider]) || {};
+            return {
+                ...PROVIDERS[provider].defaults,
+                ...legacy,
+                // 设置页中留空的字段使用默认值
+                ...LLMProviders.pick(saved, Object.keys(saved)),
+                ...LLMProviders.pick(override || {}, PROFILE_FIELDS),
+                provider,
+                timeoutMs: Number(config.timeoutMs) || DEFAULT_SETTINGS.timeoutMs
+            };
+        }
+
+        /**
+         * 生成 fetch 请求
+         * @param {Object} settings - resolve 的结果
+         * @param {string} prompt - 提示词
+         * @param {{name: string, schema: Object}} [schema] - 要求结构化输出时的 JSON Schema
+         * @returns {{url: string, init: Object, structured: boolean}}
+         */
+        static buildRequest(settings, prompt, schema = null) {
+            const provider = PROVIDERS[settings.provider];
+            if (!provider) throw new Error(`未知的AI接口: ${settings.provider}`);
+            if (!settings.endpoint) throw new Error(`${provider.label} 缺少 endpoint`);
+            if (provider.requiresKey && !settings.apiKey) throw new Error(`${provider.label} 缺少 apiKey`);
+            const request = provider.buildRequest(settings, prompt, schema);
+            return {
+                url: request.url,
+                init: { method: 'POST', headers: request.headers, body: JSON.stringify(request.body) },
+                structured: !!request.structured
+            };
+        }
+
+        /**
+         * 发送请求并取出模型输出文本
+         * @param {Object} settings - resolve 的结果
+         * @param {string} prompt - 提示词
+         * @param {Function} [fetchImpl] - fetch 实现
+         * @returns {Promise<string>} 模型输出文本；请求失败、超时或返回格式异常时抛出错误
+         */
+        static async send(settings, prompt, fetchImpl = globalThis.fetch) {
+            return (await LLMProviders.complete(settings, prompt, null, fetchImpl)).text;
+        }
+
+        /**
+         * 发送请求，返回模型输出文本、token 用量以及是否使用了结构化输出
+         * @param {Object} settings - resolve 的结果
+         * @param {string} prompt - 提示词
+         * @param {{name: string, schema: Object}} [schema] - 要求结构化输出时的 JSON Schema
+         * @param {Function} [fetchImpl] - fetch 实现
+         * @returns {Promise<{text: string, usage: Object|null, structured: boolean}>} 请求失败、超时或返回格式异常时抛出错误
+         */
+        static async complete(settings, prompt, schema = null, fetchImpl = globalThis.fetch) {
+            const { url, init, structured } = LLMProviders.buildRequest(settings, prompt, schema);
+            const controller = new AbortController();
+            const timer = settings.timeoutMs ? setTimeout(() => controller.abort(), settings.timeoutMs) : null;
+            try {
+                const response = await fetchImpl(url, { ...init, signal: controller.signal });
+                if (!response.ok) {
+                    throw new Error(`AI接口请求失败: ${response.status} ${response.statusText || ''}`.trim());
+                }
+                const data = await response.json();
+                const provider = PROVIDERS[settings.provider];
+                const text = provider.parseResponse(data);
+                if (typeof text !== 'string') {
+                    throw new Error('AI接口返回格式异常');
+                }
+                return { text, usage: provider.parseUsage(data), structured };
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(`AI接口请求超时（${Math.round(settings.timeoutMs / 1000)}秒）`);
+                }
+                throw error;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+        }
+
+        /**
+         * 校验提取配置中的 ai 字段，不合法时抛出带具体原因的错误
+         * @param {Object} ai - 提取配置的 ai 字段
+         */
+        static validateProfileAI(ai) {
+            if (typeof ai !== 'object' || ai === null) throw new Error('ai 必须是对象');
+            if (ai.provider && !PROVIDERS[ai.provider]) {
+                throw new Error(`ai.provider 必须是 ${Object.keys(PROVIDERS).join(' / ')}`);
+            }
+            if ('apiKey' in ai) throw new Error('ai 中不能包含 apiKey，密钥请在扩展设置页中填写');
+            if ('endpoint' in ai) throw new Error('ai 中不能包含 endpoint，接口地址请在扩展设置页中填写');
+            if (ai.responseFormat && !RESPONSE_FORMATS.includes(ai.responseFormat)) {
+                throw new Error(`ai.responseFormat 必须是 ${RESPONSE_FORMATS.join(' / ')}`);
+            }
+        }
+
+        /**
+         * 取对象中的指定字段（忽略 undefined、null 和空字符串）
+         * @param {Object} source - 源对象
+         * @param {Array<string>} fields - 字段名
+         * @returns {Object}
+         */
+        static pick(source, fields) {
+            return Object.fromEntries(fields
+                .filter(field => source[field] !== undefined && source[field] !== null && source[field] !== '')
+                .map(field => [field, source[field]]));
+        }
+    }
+
+    LLMProviders.PROVIDERS = PROVIDERS;
+    LLMProviders.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
+    LLMProviders.RESPONSE_FORMATS = RESPONSE_FORMATS;
+    LLMProviders.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+    LLMProviders.SETTINGS_STORAGE_KEY = SETTINGS_STORAGE_KEY;
+    LLMProviders.KEYS_STORAGE_KEY = KEYS_STORAGE_KEY;
+
+    globalThis.HKEXProviders = LLMProviders;
+
+    console.info('[HKEX-Providers] AI接口适配模块加载完成');
+})();
@@ -0,0 +1,196 @@
+/**
+ * 港股招股书信息提取器 - 风险因素
+ * 按粗体识别"Risk Factors"章节中的风险标题（含页码），按招股书自身的风险类别分组，并可由AI为每个类别写中文摘要
+ */
+
+(function() {
+    'use strict';
+
+    // 字体实际名称中表示粗体的写法（如"ABCDEF+Arial-BoldMT"、"TimesNewRoman,Bold"、"SourceHanSans-Heavy"）
+    const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi|[-,+]B$|[-,+]BD$/i;
+
+    // 类别标题，如"RISKS RELATING TO OUR BUSINESS"、"與我們業務有關的風險"
+    const CATEGORY_HEADING_PATTERNS = [
+        /^RISKS?\s+(?:RELATING|RELATED|ASSOCIATED|IN\s+RELATION|WITH\s+RESPECT)\s+(?:TO|WITH)\b.{0,120}$/i,
+        /^(?:與|与|有關|有关).{1,40}(?:有關|有关|相關|相关)的?風險$|^(?:與|与|有關|有关).{1,40}(?:有關|有关|相關|相关)的?风险$/
+    ];
+
+    /**
+     * 风险类别，按顺序匹配类别标题，均未命中时归为 other
+     * （"在中國開展業務"先按中国判断，"業務及行業"按业务判断）
+     */
+    const CATEGORIES = {
+        offering: { label: '与发售及股份有关的风险', patterns: [/GLOBAL\s+OFFERING|SHARE\s+OFFER|\bOFFERING\b|OUR\s+(?:H\s+)?SHARES|\bH\s+SHARES|REDACTED/i, /全球發售|股份發售|我們的股份|H股|編纂|全球发售|股份发售|我们的股份|编纂/] },
+        prc: { label: '与在中国经营有关的风险', patterns: [/\bPRC\b|CHINA|PEOPLE['’]S\s+REPUBLIC|MAINLAND/i, /中國|中国|內地|内地/] },
+        business: { label: '与业务有关的风险', patterns: [/BUSINESS|OPERATIONS/i, /業務|业务|經營|经营/] },
+        industry: { label: '与行业有关的风险', patterns: [/INDUSTRY|INDUSTRIES|SECTOR/i, /行業|行业/] },
+        other: { label: '其他风险', patterns: [] }
+    };
+
+    // 章节标题本身（章节首页正文中的粗体标题）不作为风险标题
+    const CHAPTER_TITLE_PATTERN = /^(?:RISK\s+FACTORS|風險因素|风险因素)$/i;
+    // 风险标题最短字符数，过滤粗体小标题和强调词
+    const MIN_HEADING_CHARS = 12;
+    // 每次交给AI的标题文本上限（字符），超过时分块摘要后再合并
+    const CHUNK_CHARS = 12000;
+    // 章节最多读取的页数
+    const MAX_PAGES = 80;
+
+    const CJK_PATTERN = /[㐀-鿿豈-﫿　-〿＀-￯]/;
+
+    class RiskFactorDigest {
+        /**
+         * 判断字体实际名称是否为粗体
+         * @param {Object} font - page.commonObjs 中的字体对象（含 name、bold、black）
+         * @returns {boolean}
+         */
+        static isBoldFont(font) {
+            if (!font) return false;
+            return !!(font.bold || font.black) || BOLD_FONT_PATTERN.test(String(font.name || ''));
+        }
+
+        /**
+         * 从带粗体标记的正文行中收集风险标题并按类别分组
+         * 连续的粗体行合并为一个标题；类别标题开启新的分组，类别标题之前的风险标题归入"风险因素"分组
+         * @param {Array<{page: number, lines: Array<{text: string, bold: boolean}>}>} pages - 按页序排列的章节页面
+         * @returns {Array<{key: string, title: string, label: string, headings: Array<{text: string, page: number}>}>}
+         */
+        static parse(pages) {
+            const categories = [];
+            let current = null;
+            let heading = null;
+
+            const flush = () => {
+                if (heading && heading.text.length >= MIN_HEADING_CHARS && !CHAPTER_TITLE_PATTERN.test(heading.text)) {
+                    if (!current) {
+                        current = { key: 'other', title: '风险因素', label: CATEGORIES.other.label, headings: [] };
+                        categories.push(current);
+                    }
+                    current.headings.push(heading);
+                }
+                heading = null;
+            };
+
+            (Array.isArray(pages) ? pages : []).forEach(({ page, lines }) => {
+                (lines || []).forEach(line => {
+                    const text = String(line.text || '').replace(/\s+/g, ' ').trim();
+                    if (!text) return;
+                    if (!line.bold) {
+                        flush();
+                        return;
+                    }
+                    if (!heading && RiskFactorDigest.isCategoryHeading(text)) {
+                        flush();
+                        const key = RiskFactorDigest.classifyCategory(text);
+                        current = { key, title: text, label: CATEGORIES[key].label, headings: [] };
+                        categories.push(current);
+                        return;
+                    }
+                    heading = heading
+                        ? { text: RiskFactorDigest.joinText(heading.text, text), page: heading.page }
+                        : { text, page };
+                });
+            });
+            flush();
+            return categories.filter(category => category.headings.length > 0);
+        }
+
+        /**
+         * 是否为类别标题
+         * @param {string} text - 粗体行文本
+         * @returns {boolean}
+         */
+        static isCategoryHeading(text) {
+            return CATEGORY_HEADING_PATTERNS.some(pattern => pattern.test(text));
+        }
+
+        /**
+         * 按类别标题判断类别键
+         * @param {string} title - 类别标题
+         * @returns {string} offering / prc / business / industry / other
+         */
+        static classifyCategory(title) {
+            return Object.keys(CATEGORIES).find(key => CATEGORIES[key].patterns.some(pattern => pattern.test(title))) || 'other';
+        }
+
+        /**
+         * 拼接跨行标题：中文之间不加空格，英文行尾连字符直接相连
+         * @param {string} previous - 已有文本
+         * @param {string} next - 下一行文本
+         * @returns {string}
+         */
+        static joinText(previous, next) {
+            if (/-$/.test(previous)) return previous + next;
+            if (CJK_PATTERN.test(previous.slice(-1)) && CJK_PATTERN.test(next.charAt(0))) return previous + next;
+            return `${previous} ${next}`;
+        }
+
+        /**
+         * 把一个类别的标题按字符上限分块
+         * @param {Array<{text: string}>} headings - 风险标题
+         * @param {number} [maxChars] - 每块字符上限
+         * @returns {Array<Array<Object>>}
+         */
+        static chunkHeadings(headings, maxChars = CHUNK_CHARS) {
+            const chunks = [];
+            let chunk = [];
+            let size = 0;
+            headings.forEach(heading => {
+                if (chunk.length > 0 && size + heading.text.length > maxChars) {
+                    chunks.push(chunk);
+                    chunk = [];
+                    size = 0;
+                }
+                chunk.push(heading);
+                size += heading.text.length + 1;
+            });
+            if (chunk.length > 0) chunks.push(chunk);
+            return chunks;
+        }
+
+        /**
+         * 生成某类别（或其中一块）风险标题的摘要提示词
+         * @param {Object} category - 类别
+         * @param {Array<{text: string}>} headings - 本块风险标题
+         * @returns {string} 提示词
+         */
+        static buildDigestPrompt(category, headings) {
+            return `你是港股招股书分析专家。以下是招股书"风险因素"章节中"${category.title}"类别下的风险标题。\n` +
+                '请用中文写一段不超过150字的摘要，概括其中最主要的风险，不要逐条罗列。\n' +
+                '严格返回如下JSON：{"digest": "摘要"}。\n\n' +
+                `风险标题：\n${headings.map((heading, index) => `${index + 1}. ${heading.text}`).join('\n')}`;
+        }
+
+        /**
+         * 生成合并分块摘要的提示词
+         * @param {Object} category - 类别
+         * @param {Array<string>} partials - 各块摘要
+         * @returns {string} 提示词
+         */
+        static buildMergePrompt(category, partials) {
+            return `你是港股招股书分析专家。以下是招股书"风险因素"章节中"${category.title}"类别分块写出的摘要。\n` +
+                '请合并为一段不超过200字的中文摘要，去掉重复内容。\n' +
+                '严格返回如下JSON：{"digest": "摘要"}。\n\n' +
+                partials.map((partial, index) => `摘要${index + 1}：${partial}`).join('\n');
+        }
+
+        /**
+         * 读取AI返回的摘要文本
+         * @param {Object} response - 经 callAIJSON 解析和校验的返回
+         * @returns {string|null}
+         */
+        static readDigest(response) {
+            const digest = response && typeof response.digest === 'string' ? response.digest.trim() : '';
+            return digest || null;
+        }
+    }
+
+    RiskFactorDigest.CATEGORIES = CATEGORIES;
+    RiskFactorDigest.MAX_PAGES = MAX_PAGES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXRiskFactors = RiskFactorDigest;
+    }
+
+    console.info('[HKEX-RiskFactors] 风险因素模块加载完成');
+})();
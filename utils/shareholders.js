@@ -0,0 +1,140 @@
+/**
+ * 港股招股书信息提取器 - 股权结构
+ * 提取控股股东、首次公开发售前投资者和基石投资者三组股东：名称、持股比例及来源页码
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * 股东组别
+     * - chapterKey: 所在章节（章节地图的预设章节键）
+     * - anchors: 章节内的起始标题（如"Pre-IPO Investments"），为空表示从章节首页开始；配置了但未找到时视为无此组别
+     * - maxPages: 自起始页起最多读取的页数
+     * - amount: 是否同时提取认购金额（基石投资者）
+     * - finalOnly: 是否只在正式招股章程中出现（由文档类型的 sections.cornerstone 决定）
+     * - percentage: 提示词中对持股比例口径的说明
+     */
+    const GROUPS = {
+        controllingShareholders: {
+            label: '控股股东',
+            chapterKey: 'controllingShareholders',
+            anchors: [],
+            maxPages: 4,
+            amount: false,
+            finalOnly: false,
+            percentage: '紧随全球发售完成后其（单独或合计）控制的已发行股份百分比'
+        },
+        preIpoInvestors: {
+            label: '首次公开发售前投资者',
+            chapterKey: 'history',
+            anchors: [/PRE[\s-]*IPO\s+INVESTMENTS?/i, /首次公開發售前投資|首次公开发售前投资/],
+            maxPages: 8,
+            amount: false,
+            finalOnly: false,
+            percentage: '紧随全球发售完成后其持有的已发行股份百分比'
+        },
+        cornerstoneInvestors: {
+            label: '基石投资者',
+            chapterKey: 'cornerstoneInvestors',
+            anchors: [],
+            maxPages: 8,
+            amount: true,
+            finalOnly: true,
+            percentage: '紧随全球发售完成后其认购股份占已发行股份的百分比（按发售价中位数计算）'
+        }
+    };
+
+    // 交给AI的文本上限（字符）
+    const AI_TEXT_LIMIT = 20000;
+
+    class ShareholdingExtractor {
+        /**
+         * 生成某组股东的AI提示词
+         * @param {string} groupKey - 组别键
+         * @param {string} text - 章节文本
+         * @returns {string} 提示词
+         */
+        static buildPrompt(groupKey, text) {
+            const group = GROUPS[groupKey];
+            const amount = group.amount
+                ? '、"amount": 认购金额（阿拉伯数字，不带千分位）、"currency": 认购金额币种（如 HKD、USD）'
+                : '';
+            return `你是港股招股书信息提取专家。请从以下文本中提取全部${group.label}。\n` +
+                `严格返回如下JSON：{"holders": [{"name": "名称（原文写法）", "percentage": 12.34${amount}}]}。\n` +
+                `percentage 为${group.percentage}，只写数字、不带%；原文未载明的字段返回 null。` +
+                `通过持股公司持股的，列出最终持有人和持股公司各一项。找不到请返回 {"holders": []}。\n\n` +
+                `文本：\n${String(text || '').slice(0, AI_TEXT_LIMIT)}`;
+        }
+
+        /**
+         * 规范化单个股东条目
+         * @param {Object} raw - AI返回的条目
+         * @param {string} groupKey - 组别键
+         * @returns {{name: string, percentage: number|null, amount?: number|null, currency?: string|null}|null}
+         */
+        static normalizeHolder(raw, groupKey) {
+            if (!raw || typeof raw !== 'object') return null;
+            const name = String(raw.name || '').replace(/\s+/g, ' ').trim();
+            if (!name) return null;
+            const toNumber = value => {
+                if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+                const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+                return match ? Number(match[0]) : null;
+            };
+            const holder = { name, percentage: toNumber(raw.percentage) };
+            if (GROUPS[groupKey] && GROUPS[groupKey].amount) {
+                holder.amount = toNumber(raw.amount);
+                holder.currency = raw.currency ? String(raw.currency).trim().toUpperCase() : null;
+            }
+            return holder;
+        }
+
+        /**
+         * 查找名称首次出现的页码：英文取前三个词（容忍换行），中文取全名
+         * @param {string} name - 股东名称
+         * @param {Array<{page: number, text: string}>} pages - 该组别读取的页面
+         * @returns {number|null} 页码，找不到时返回 null
+         */
+        static locatePage(name, pages) {
+            const words = String(name || '').trim().split(/\s+/).filter(Boolean).slice(0, 3)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            if (words.length === 0 || !Array.isArray(pages)) return null;
+            const regex = new RegExp(words.join('\\s+'), 'i');
+            const hit = pages.find(item => regex.test(item.text));
+            return hit ? hit.page : null;
+        }
+
+        /**
+         * 单个股东的展示文本，如"ABC Holdings Limited — 约12.34%，认购金额 USD 10,000,000"
+         * @param {Object} holder - 股东条目
+         * @returns {string}
+         */
+        static formatHolder(holder) {
+            const holding = ShareholdingExtractor.describeHolding(holder);
+            return holding ? `${holder.name} — ${holding}` : holder.name;
+        }
+
+        /**
+         * 持股比例和认购金额的说明文本，如"约12.34%，认购金额 USD 10,000,000"，均未提取到时为空字符串
+         * @param {Object} holder - 股东条目
+         * @returns {string}
+         */
+        static describeHolding(holder) {
+            const parts = [];
+            if (holder.percentage !== null && holder.percentage !== undefined) parts.push(`约${holder.percentage}%`);
+            if (holder.amount !== null && holder.amount !== undefined) {
+                parts.push(`认购金额 ${holder.currency ? holder.currency + ' ' : ''}${holder.amount.toLocaleString('en-US')}`);
+            }
+            return parts.join('，');
+        }
+    }
+
+    ShareholdingExtractor.GROUPS = GROUPS;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXShareholders = ShareholdingExtractor;
+    }
+
+    console.info('[HKEX-Shareholders] 股权结构模块加载完成');
+})();
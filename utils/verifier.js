@@ -0,0 +1,135 @@
+/**
+ * 港股招股书信息提取器 - 名称核实
+ * 检查AI返回的参与方和公司名称是否确实出现在提取所用的原文片段中，防止模型臆造名称
+ */
+
+(function() {
+    'use strict';
+
+    // 核实结果：verified 原文中有该名称（忽略空白、换行、大小写和 Limited/Ltd. 等写法差异）、
+    // fuzzy 原文中只有去掉公司后缀的名称或大部分字词、unverified 原文中找不到
+    const STATUSES = {
+        verified: '已核实',
+        fuzzy: '近似匹配',
+        unverified: '未核实'
+    };
+    // 名称结尾的公司形式，近似匹配时去掉后再比较
+    const LEGAL_SUFFIX = /(\s*,?\s*\b(limited|ltd|company|co|corporation|corp|incorporated|inc|llp|lp|plc)\b\.?)+\s*$|(股份)?有限(责任|責任)?公司$/i;
+    // 名称中不计入近似匹配的英文虚词
+    const STOP_WORDS = ['and', 'the', 'of'];
+    // 近似匹配要求原文中出现的字词比例（英文按单词、中文按字）；AI按原文写法返回中文名称，繁简不同不计入近似匹配
+    const LATIN_RATIO = 0.75;
+    const CJK_RATIO = 0.75;
+    // 中文机构名称中的行业通用字词，按字计算比例前去掉，只比较字号部分；
+    // 否则"安永會計師事務所"会因原文中有"羅兵咸永道會計師事務所"而凑够一半的字
+    const GENERIC_FIRM_WORDS = ['會計師事務所', '會計師行', '律師事務所', '律師行', '證券', '融資'];
+    // 未识别、提取失败等占位值不做核实
+    const SKIPPED_VALUES = ['未识别', '提取失败', '解析器未加载'];
+
+    class NameVerifier {
+        /**
+         * 规范化文本：沿用中英核对的规则（繁体转简体、统一Ltd/Co.缩写、去除空格和标点、英文小写）
+         * @param {string} text - 名称或原文
+         * @returns {string}
+         */
+        static normalize(text) {
+            if (window.HKEXBilingual) return window.HKEXBilingual.normalizeName(text);
+            return String(text || '')
+                .replace(/\bLtd\b\.?/gi, 'Limited')
+                .replace(/\bCo\b\.?/gi, 'Company')
+                .replace(/[\s.,，、&'’"“”()（）\-]/g, '')
+                .toLowerCase();
+        }
+
+        /**
+         * 核实单个名称
+         * @param {string} name - AI返回的名称
+         * @param {string} source - 提取该名称所用的原文片段
+         * @returns {string|null} STATUSES 的键；名称为空或为"未识别"等占位值时为 null
+         */
+        static check(name, source) {
+            const value = String(name || '').trim();
+            if (!value || SKIPPED_VALUES.includes(value)) return null;
+            const text = NameVerifier.normalize(source);
+            if (!text) return 'unverified';
+            if (text.includes(NameVerifier.normalize(value))) return 'verified';
+
+            const core = NameVerifier.normalize(value.replace(LEGAL_SUFFIX, ''));
+            if (core.length >= 3 && text.includes(core)) return 'fuzzy';
+            return NameVerifier.coverage(value.replace(LEGAL_SUFFIX, ''), text) ? 'fuzzy' : 'unverified';
+        }
+
+        /**
+         * 名称的大部分字词是否出现在原文中：英文按单词计，中文按字计；
+         * 中文只计去掉行业通用字词后的字号部分，且字号中至少有相邻两字在原文中连续出现
+         * @param {string} name - 去掉公司后缀的名称
+         * @param {string} text - 规范化后的原文
+         * @returns {boolean}
+         */
+        static coverage(name, text) {
+            const words = name.split(/[^A-Za-z0-9]+/)
+                .map(word => word.toLowerCase())
+                .filter(word => word.length >= 2 && !STOP_WORDS.includes(word));
+            const chars = Array.from(NameVerifier.distinctivePart(name.replace(/[A-Za-z0-9]/g, '')));
+            const parts = [
+                { items: words, ratio: LATIN_RATIO },
+                { items: chars, ratio: CJK_RATIO }
+            ].filter(part => part.items.length >= 2);
+            if (parts.length === 0) return false;
+            if (chars.length >= 2 && !chars.slice(1).some((char, index) => text.includes(chars[index] + char))) return false;
+            return parts.every(part => part.items.filter(item => text.includes(item)).length / part.items.length >= part.ratio);
+        }
+
+        /**
+         * 中文名称去掉行业通用字词后的字号部分，如"安永會計師事務所"为"安永"
+         * @param {string} name - 名称中的中文部分
+         * @returns {string} 规范化后的字号
+         */
+        static distinctivePart(name) {
+            return GENERIC_FIRM_WORDS
+                .map(word => NameVerifier.normalize(word))
+                .reduce((rest, word) => rest.split(word).join(''), NameVerifier.normalize(name));
+        }
+
+        /**
+         * 为名单中每项加上 verification 字段
+         * @param {Array<Object>} list - 名单，每项含 name
+         * @param {string} source - 提取该名单所用的原文片段
+         * @returns {Array<Object>} 新名单
+         */
+        static tagList(list, source) {
+            if (!Array.isArray(list)) return list;
+            return list.map(item => {
+                if (!item || typeof item !== 'object') return item;
+                const verification = NameVerifier.check(item.name, source);
+                return verification ? { ...item, verification } : item;
+            });
+        }
+
+        /**
+         * 同一名称在多个片段中核实时取最可靠的结果（如承销团机构担任多个角色）
+         * @param {...string} statuses - 核实结果
+         * @returns {string|null}
+         */
+        static best(...statuses) {
+            return Object.keys(STATUSES).find(status => statuses.includes(status)) || null;
+        }
+
+        /**
+         * 核实结果的说明文字，已核实时为空（界面只标记需要人工留意的值）
+         * @param {string} status - 核实结果
+         * @returns {string}
+         */
+        static describe(status) {
+            return status && status !== 'verified' ? STATUSES[status] || '' : '';
+        }
+    }
+
+    NameVerifier.STATUSES = STATUSES;
+
+    if (typeof window !== 'undefined') {
+        window.HKEXVerifier = NameVerifier;
+    }
+
+    console.info('[HKEX-Verifier] 名称核实模块加载完成');
+})();